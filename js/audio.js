@@ -1,5 +1,45 @@
 ﻿/**
- * AudioManager - Handles sound effects using Web Audio API
+ * Sound limits - How many copies of each sound may play at once (voices,
+ * each held for length seconds, or for as long as a sound pack's sample
+ * plays) and how soon it may play again (cooldown, in seconds). A burst of
+ * hits past either limit is dropped rather than stacking up into clipping.
+ */
+const SoundLimits = {
+    brickHit: { voices: 4, length: 0.1, cooldown: 0.03 },
+    brickDestroy: { voices: 4, length: 0.15, cooldown: 0.03 },
+    paddleHit: { voices: 2, length: 0.15, cooldown: 0.05 },
+    wallHit: { voices: 3, length: 0.08, cooldown: 0.04 },
+    powerUp: { voices: 2, length: 0.35, cooldown: 0.1 },
+    powerDown: { voices: 2, length: 0.25, cooldown: 0.1 },
+    launch: { voices: 2, length: 0.15, cooldown: 0.05 },
+    laser: { voices: 4, length: 0.05, cooldown: 0.03 },
+    explosion: { voices: 3, length: 0.3, cooldown: 0.08 },
+    levelComplete: { voices: 1, length: 0.75, cooldown: 0.5 },
+    gameOver: { voices: 1, length: 0.9, cooldown: 0.5 },
+    lifeLost: { voices: 1, length: 0.45, cooldown: 0.2 },
+    combo: { voices: 2, length: 0.1, cooldown: 0.1 },
+    extraLife: { voices: 1, length: 0.5, cooldown: 0.2 },
+    buttonClick: { voices: 2, length: 0.05, cooldown: 0.03 }
+};
+
+/**
+ * AudioManager - Handles sound effects and music using Web Audio API
+ *
+ * Everything is mixed on three buses - sfx, music and ui (menu clicks) -
+ * each with its own volume, into a master gain and a limiter so a pile of
+ * sounds at once cannot clip. Music runs through the music bus (music
+ * volume, ducking) from a MusicSequencer. A track asked for before init()
+ * starts once audio is allowed to play. Game sets the music intensity as
+ * play heats up, which fades the tracks' extra layers in and out.
+ *
+ * Gameplay sounds can take a position ({ x, y } as shares of the canvas,
+ * 0-1): they pan with x, and those further up the field sound duller.
+ * Mono skips the panning, for players who hear with one ear.
+ *
+ * A sound pack (see SoundPackLoader) replaces the synthesized effects with
+ * samples. Its files are fetched straight away but can only be decoded once
+ * there is an audio context; until then, and for any event the pack has no
+ * working file for, the synth plays instead.
  */
 class AudioManager {
     constructor() {
@@ -9,6 +49,28 @@ class AudioManager {
         this.musicVolume = 0.3;
         this.enabled = true;
         this.initialized = false;
+        this.mono = false;
+        this.panWidth = 0.8; // Pan at the side walls (1 would be hard left/right)
+
+        // Mixer, built in init()
+        this.master = null;
+        this.limiter = null;
+        this.buses = null; // { sfx, music, ui } gain nodes
+        this.noiseBuffer = null; // One second of white noise, shared by every noise sound
+        this.voices = new Map(); // Event -> end times of its playing copies
+        this.lastPlayed = new Map(); // Event -> when it last started
+
+        // Sound pack
+        this.soundPack = null;
+        this.sampleData = null; // Event -> fetched ArrayBuffers, waiting for decoding
+        this.samples = new Map(); // Event -> decoded AudioBuffers
+
+        // Music
+        this.music = null; // MusicSequencer once initialized
+        this.musicTrack = null; // Track asked for, played once initialized
+        this.musicDucked = false;
+        this.duckLevel = 0.35; // Share of the music volume left while ducked
+        this.musicIntensity = 0;
     }
 
     /**
@@ -23,26 +85,308 @@ class AudioManager {
         } catch (e) {
             console.warn('Web Audio API not supported');
             this.enabled = false;
+            return;
+        }
+
+        this.createMixer();
+        this.music = new MusicSequencer(this.context, this.buses.music, this.noiseBuffer);
+        this.music.setIntensity(this.musicIntensity);
+        this.updateVolumes();
+        if (this.musicTrack) {
+            this.music.play(this.musicTrack);
+        }
+        if (this.sampleData) {
+            this.decodeSamples(this.soundPack);
+        }
+    }
+
+    // ==================== MIXER ====================
+
+    /**
+     * Buses -> master gain -> limiter -> speakers, and the shared noise
+     */
+    createMixer() {
+        const now = this.context.currentTime;
+        this.limiter = this.context.createDynamicsCompressor();
+        this.limiter.threshold.setValueAtTime(-6, now);
+        this.limiter.knee.setValueAtTime(4, now);
+        this.limiter.ratio.setValueAtTime(12, now);
+        this.limiter.attack.setValueAtTime(0.003, now);
+        this.limiter.release.setValueAtTime(0.25, now);
+        this.limiter.connect(this.context.destination);
+
+        this.master = this.context.createGain();
+        this.master.connect(this.limiter);
+
+        this.buses = {};
+        for (const bus of ['sfx', 'music', 'ui']) {
+            this.buses[bus] = this.context.createGain();
+            this.buses[bus].connect(this.master);
+        }
+
+        const length = this.context.sampleRate;
+        this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const data = this.noiseBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+    }
+
+    /**
+     * Push the volumes and mute into the mixer
+     */
+    updateVolumes() {
+        if (!this.master) return;
+
+        const now = this.context.currentTime;
+        this.master.gain.setTargetAtTime(this.enabled ? this.masterVolume : 0, now, 0.02);
+        this.buses.sfx.gain.setTargetAtTime(this.sfxVolume, now, 0.02);
+        this.buses.ui.gain.setTargetAtTime(this.sfxVolume, now, 0.02);
+        this.buses.music.gain.setTargetAtTime(this.musicVolume * (this.musicDucked ? this.duckLevel : 1), now, 0.1);
+    }
+
+    /**
+     * Whether a sound may start now under its SoundLimits; if so it takes
+     * one of its voices
+     */
+    claimVoice(event) {
+        if (!this.enabled || !this.context) return false;
+
+        const limits = SoundLimits[event];
+        const now = this.context.currentTime;
+        if (this.lastPlayed.has(event) && now - this.lastPlayed.get(event) < limits.cooldown) {
+            return false;
         }
+
+        const playing = (this.voices.get(event) || []).filter(end => end > now);
+        this.voices.set(event, playing);
+        if (playing.length >= limits.voices) return false;
+
+        playing.push(now + limits.length);
+        this.lastPlayed.set(event, now);
+        return true;
+    }
+
+    /**
+     * Hold the voice an event just claimed for length seconds from now
+     * instead of its SoundLimits length
+     */
+    holdVoice(event, length) {
+        const playing = this.voices.get(event);
+        playing[playing.length - 1] = this.context.currentTime + length;
+    }
+
+    // ==================== SOUND PACKS ====================
+
+    /**
+     * Switch to a sound pack from SoundPackLoader, or back to the synth with
+     * null. Resolves once its samples are loaded (and decoded, if audio has
+     * started).
+     */
+    async setSoundPack(pack) {
+        this.soundPack = pack;
+        this.sampleData = null;
+        this.samples = new Map();
+        if (!pack) return;
+
+        const sampleData = await this.fetchSamples(pack);
+        if (this.soundPack !== pack) return; // Switched again while loading
+
+        this.sampleData = sampleData;
+        if (this.context) {
+            await this.decodeSamples(pack);
+        }
+    }
+
+    /**
+     * Fetch every file in a pack; files that fail are left out
+     */
+    async fetchSamples(pack) {
+        const sampleData = new Map();
+        for (const [event, sound] of Object.entries(pack.sounds)) {
+            const buffers = [];
+            for (const file of sound.files) {
+                try {
+                    const response = await fetch(file);
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    buffers.push(await response.arrayBuffer());
+                } catch (e) {
+                    console.warn(`Could not load sound ${file}:`, e);
+                }
+            }
+            sampleData.set(event, buffers);
+        }
+        return sampleData;
+    }
+
+    /**
+     * Decode the fetched files; ones the browser cannot decode are left out
+     */
+    async decodeSamples(pack) {
+        const sampleData = this.sampleData;
+        this.sampleData = null;
+
+        for (const [event, buffers] of sampleData) {
+            const decoded = [];
+            for (const buffer of buffers) {
+                try {
+                    decoded.push(await this.context.decodeAudioData(buffer));
+                } catch (e) {
+                    console.warn(`Could not decode a ${event} sound:`, e);
+                }
+            }
+            if (this.soundPack !== pack) return;
+            if (decoded.length > 0) {
+                this.samples.set(event, decoded);
+            }
+        }
+    }
+
+    /**
+     * Play one of the pack's samples for an event, with its pitch and volume
+     * varied. Returns false when there is none, so the synth plays instead.
+     */
+    playSample(event, position = null) {
+        const buffers = this.samples.get(event);
+        if (!this.enabled || !this.context || !buffers) return false;
+
+        const sound = this.soundPack.sounds[event];
+        const source = this.context.createBufferSource();
+        const gainNode = this.context.createGain();
+        source.buffer = buffers[Math.floor(Math.random() * buffers.length)];
+        const rate = 1 + (Math.random() * 2 - 1) * sound.pitchVariation;
+        source.playbackRate.setValueAtTime(rate, this.context.currentTime);
+        this.holdVoice(event, source.buffer.duration / rate);
+
+        const variation = 1 - Math.random() * sound.volumeVariation;
+        gainNode.gain.setValueAtTime(sound.volume * variation, this.context.currentTime);
+
+        source.connect(gainNode);
+        this.connectOutput(gainNode, position, event === 'buttonClick' ? 'ui' : 'sfx');
+        source.start();
+        return true;
+    }
+
+    // ==================== MUSIC ====================
+
+    /**
+     * Crossfade to a track from MusicTracks
+     */
+    playMusic(name) {
+        this.musicTrack = name;
+        if (this.music) {
+            this.music.play(name);
+        }
+    }
+
+    stopMusic() {
+        this.musicTrack = null;
+        if (this.music) {
+            this.music.stop();
+        }
+    }
+
+    /**
+     * Lower the music (while paused) without stopping it
+     */
+    setMusicDucked(ducked) {
+        if (this.musicDucked === ducked) return;
+        this.musicDucked = ducked;
+        this.updateVolumes();
+    }
+
+    /**
+     * Speed the music up or back down (1 is the track's own tempo)
+     */
+    setMusicTempo(multiplier) {
+        if (this.music) {
+            this.music.setTempo(multiplier);
+        }
+    }
+
+    /**
+     * How heated play is, from 0 (calm) to 1; higher brings in more layers
+     */
+    setMusicIntensity(value) {
+        if (this.musicIntensity === value) return;
+        this.musicIntensity = value;
+        if (this.music) {
+            this.music.setIntensity(value);
+        }
+    }
+
+    /**
+     * Play a stinger from MusicStingers over the music
+     */
+    playStinger(name, transpose = 0) {
+        if (this.music && this.enabled) {
+            this.music.playStinger(name, transpose);
+        }
+    }
+
+    /**
+     * Schedule upcoming notes (call once per frame)
+     */
+    updateMusic() {
+        if (this.music && this.enabled) {
+            this.music.update();
+        }
+    }
+
+    // ==================== POSITIONAL SOUND ====================
+
+    /**
+     * Connect a sound to a bus, panned and filtered for where it happened
+     * (centred and unfiltered without a position)
+     */
+    connectOutput(node, position, bus = 'sfx') {
+        if (!position) {
+            node.connect(this.buses[bus]);
+            return;
+        }
+
+        const now = this.context.currentTime;
+        let output = node;
+
+        // Distance: full range at the paddles, down to 5kHz at the top wall
+        const distance = 1 - Math.max(0, Math.min(1, position.y));
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(20000 * Math.pow(0.25, distance), now);
+        output.connect(filter);
+        output = filter;
+
+        if (!this.mono && this.context.createStereoPanner) {
+            const panner = this.context.createStereoPanner();
+            const pan = (Math.max(0, Math.min(1, position.x)) * 2 - 1) * this.panWidth;
+            panner.pan.setValueAtTime(pan, now);
+            output.connect(panner);
+            output = panner;
+        }
+
+        output.connect(this.buses[bus]);
+    }
+
+    setMono(mono) {
+        this.mono = mono;
     }
 
     /**
      * Create oscillator-based sound
      */
-    playTone(frequency, duration, type = 'sine', volume = 1) {
+    playTone(frequency, duration, type = 'sine', volume = 1, position = null, bus = 'sfx') {
         if (!this.enabled || !this.context) return;
 
         const oscillator = this.context.createOscillator();
         const gainNode = this.context.createGain();
 
         oscillator.connect(gainNode);
-        gainNode.connect(this.context.destination);
+        this.connectOutput(gainNode, position, bus);
 
         oscillator.type = type;
         oscillator.frequency.setValueAtTime(frequency, this.context.currentTime);
 
-        const vol = volume * this.sfxVolume * this.masterVolume;
-        gainNode.gain.setValueAtTime(vol, this.context.currentTime);
+        gainNode.gain.setValueAtTime(volume, this.context.currentTime);
         gainNode.gain.exponentialRampToValueAtTime(0.01, this.context.currentTime + duration);
 
         oscillator.start(this.context.currentTime);
@@ -50,90 +394,107 @@ class AudioManager {
     }
 
     /**
-     * Play noise-based sound (for hits)
+     * Play noise-based sound (for hits), from a random point in the shared
+     * noise buffer
      */
-    playNoise(duration, volume = 1) {
+    playNoise(duration, volume = 1, position = null) {
         if (!this.enabled || !this.context) return;
 
-        const bufferSize = this.context.sampleRate * duration;
-        const buffer = this.context.createBuffer(1, bufferSize, this.context.sampleRate);
-        const data = buffer.getChannelData(0);
-
-        for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
-        }
-
         const source = this.context.createBufferSource();
         const gainNode = this.context.createGain();
         const filter = this.context.createBiquadFilter();
 
-        source.buffer = buffer;
+        source.buffer = this.noiseBuffer;
         filter.type = 'lowpass';
         filter.frequency.setValueAtTime(2000, this.context.currentTime);
 
         source.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(this.context.destination);
+        this.connectOutput(gainNode, position);
 
-        const vol = volume * this.sfxVolume * this.masterVolume;
-        gainNode.gain.setValueAtTime(vol, this.context.currentTime);
+        gainNode.gain.setValueAtTime(volume, this.context.currentTime);
         gainNode.gain.exponentialRampToValueAtTime(0.01, this.context.currentTime + duration);
 
-        source.start();
+        const offset = Math.random() * Math.max(0, this.noiseBuffer.duration - duration);
+        source.start(this.context.currentTime, offset, duration);
     }
 
-    // Sound effect methods
-    playBrickHit() {
-        this.playTone(400 + Math.random() * 200, 0.1, 'square', 0.3);
+    // Sound effect methods - capped by SoundLimits; the pack's sample if it has one, else the synth
+    playBrickHit(position = null) {
+        if (!this.claimVoice('brickHit')) return;
+        if (this.playSample('brickHit', position)) return;
+        this.playTone(400 + Math.random() * 200, 0.1, 'square', 0.3, position);
     }
 
-    playBrickDestroy() {
-        this.playTone(600, 0.1, 'square', 0.4);
-        setTimeout(() => this.playTone(800, 0.1, 'square', 0.3), 50);
+    playBrickDestroy(position = null) {
+        if (!this.claimVoice('brickDestroy')) return;
+        if (this.playSample('brickDestroy', position)) return;
+        this.playTone(600, 0.1, 'square', 0.4, position);
+        setTimeout(() => this.playTone(800, 0.1, 'square', 0.3, position), 50);
     }
 
-    playPaddleHit() {
-        this.playTone(200, 0.15, 'triangle', 0.4);
+    playPaddleHit(position = null) {
+        if (!this.claimVoice('paddleHit')) return;
+        if (this.playSample('paddleHit', position)) return;
+        this.playTone(200, 0.15, 'triangle', 0.4, position);
     }
 
-    playWallHit() {
-        this.playTone(150, 0.08, 'sine', 0.2);
+    playWallHit(position = null) {
+        if (!this.claimVoice('wallHit')) return;
+        if (this.playSample('wallHit', position)) return;
+        this.playTone(150, 0.08, 'sine', 0.2, position);
     }
 
-    playPowerUp() {
-        this.playTone(523, 0.1, 'sine', 0.4);
-        setTimeout(() => this.playTone(659, 0.1, 'sine', 0.4), 100);
-        setTimeout(() => this.playTone(784, 0.15, 'sine', 0.4), 200);
+    playPowerUp(position = null) {
+        if (!this.claimVoice('powerUp')) return;
+        if (this.playSample('powerUp', position)) return;
+        this.playTone(523, 0.1, 'sine', 0.4, position);
+        setTimeout(() => this.playTone(659, 0.1, 'sine', 0.4, position), 100);
+        setTimeout(() => this.playTone(784, 0.15, 'sine', 0.4, position), 200);
     }
 
     playPowerDown() {
+        if (!this.claimVoice('powerDown')) return;
+        if (this.playSample('powerDown')) return;
         this.playTone(400, 0.1, 'sawtooth', 0.3);
         setTimeout(() => this.playTone(300, 0.15, 'sawtooth', 0.3), 100);
     }
 
     playLaunch() {
+        if (!this.claimVoice('launch')) return;
+        if (this.playSample('launch')) return;
         this.playTone(300, 0.1, 'triangle', 0.3);
         this.playTone(400, 0.15, 'triangle', 0.2);
     }
 
     playLaser() {
+        if (!this.claimVoice('laser')) return;
+        if (this.playSample('laser')) return;
         this.playTone(1000, 0.05, 'sawtooth', 0.2);
         this.playTone(800, 0.05, 'sawtooth', 0.15);
     }
 
-    playExplosion() {
-        this.playNoise(0.3, 0.5);
-        this.playTone(100, 0.2, 'sine', 0.4);
+    playExplosion(position = null) {
+        if (!this.claimVoice('explosion')) return;
+        if (this.playSample('explosion', position)) return;
+        this.playNoise(0.3, 0.5, position);
+        this.playTone(100, 0.2, 'sine', 0.4, position);
     }
 
     playLevelComplete() {
-        const notes = [523, 659, 784, 1047]; // C5, E5, G5, C6
-        notes.forEach((note, i) => {
-            setTimeout(() => this.playTone(note, 0.3, 'sine', 0.4), i * 150);
-        });
+        if (!this.claimVoice('levelComplete')) return;
+        if (!this.playSample('levelComplete')) {
+            const notes = [523, 659, 784, 1047]; // C5, E5, G5, C6
+            notes.forEach((note, i) => {
+                setTimeout(() => this.playTone(note, 0.3, 'sine', 0.4), i * 150);
+            });
+        }
+        this.playStinger('levelComplete');
     }
 
     playGameOver() {
+        if (!this.claimVoice('gameOver')) return;
+        if (this.playSample('gameOver')) return;
         const notes = [400, 350, 300, 250];
         notes.forEach((note, i) => {
             setTimeout(() => this.playTone(note, 0.3, 'sawtooth', 0.3), i * 200);
@@ -141,16 +502,28 @@ class AudioManager {
     }
 
     playLifeLost() {
+        if (!this.claimVoice('lifeLost')) return;
+        if (this.playSample('lifeLost')) return;
         this.playTone(300, 0.2, 'sawtooth', 0.4);
         setTimeout(() => this.playTone(200, 0.3, 'sawtooth', 0.3), 150);
     }
 
+    /**
+     * Combo milestone: a tone plus a stinger that climbs (up to an octave)
+     * for longer combos
+     */
     playCombo(comboCount) {
-        const baseFreq = 400 + Math.min(comboCount, 10) * 50;
-        this.playTone(baseFreq, 0.1, 'sine', 0.3);
+        if (!this.claimVoice('combo')) return;
+        if (!this.playSample('combo')) {
+            const baseFreq = 400 + Math.min(comboCount, 10) * 50;
+            this.playTone(baseFreq, 0.1, 'sine', 0.3);
+        }
+        this.playStinger('combo', Math.max(0, Math.min(comboCount - 5, 12)));
     }
 
     playExtraLife() {
+        if (!this.claimVoice('extraLife')) return;
+        if (this.playSample('extraLife')) return;
         const notes = [523, 659, 784, 1047, 1319];
         notes.forEach((note, i) => {
             setTimeout(() => this.playTone(note, 0.15, 'sine', 0.3), i * 80);
@@ -158,7 +531,9 @@ class AudioManager {
     }
 
     playButtonClick() {
-        this.playTone(600, 0.05, 'sine', 0.2);
+        if (!this.claimVoice('buttonClick')) return;
+        if (this.playSample('buttonClick')) return;
+        this.playTone(600, 0.05, 'sine', 0.2, null, 'ui');
     }
 
     /**
@@ -166,6 +541,7 @@ class AudioManager {
      */
     toggle() {
         this.enabled = !this.enabled;
+        this.updateVolumes();
         return this.enabled;
     }
 
@@ -174,5 +550,16 @@ class AudioManager {
      */
     setVolume(vol) {
         this.masterVolume = Math.max(0, Math.min(1, vol));
+        this.updateVolumes();
+    }
+
+    setSfxVolume(vol) {
+        this.sfxVolume = Math.max(0, Math.min(1, vol));
+        this.updateVolumes();
+    }
+
+    setMusicVolume(vol) {
+        this.musicVolume = Math.max(0, Math.min(1, vol));
+        this.updateVolumes();
     }
 }
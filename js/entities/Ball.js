@@ -1,5 +1,8 @@
 ﻿/**
  * Ball - The bouncing ball entity that breaks bricks
+ *
+ * Ball.trailLength (from the trail length setting) is how many past
+ * positions every ball's trail keeps.
  */
 class Ball {
     constructor(x, y, radius = 8, level = 1) {
@@ -19,14 +22,31 @@ class Ball {
         this.speed = this.baseSpeed;
         this.maxSpeed = 12;
         this.launched = false;
+        this.lastPlayer = 0; // Player whose paddle or laser last touched it (co-op credit)
         this.trail = [];
-        this.maxTrailLength = 10;
-        this.color = '#ffffff';
-        this.glowColor = '#4ecdc4';
         
         // Power-up states
         this.isMega = false;
         this.isFireball = false;
+
+        this.applyTheme();
+    }
+
+    /**
+     * Colours for the current power-up state; a plain ball takes the
+     * theme's
+     */
+    applyTheme() {
+        if (this.isFireball) {
+            this.color = '#ffa500';
+            this.glowColor = '#ff4500';
+        } else if (this.isMega) {
+            this.color = '#ff6b6b';
+            this.glowColor = '#ff0000';
+        } else {
+            this.color = Theme.current.ball.color;
+            this.glowColor = Theme.current.ball.glowColor;
+        }
     }
 
     reset(x, y) {
@@ -37,62 +57,74 @@ class Ball {
         this.trail = [];
         this.isMega = false;
         this.isFireball = false;
-        this.color = '#ffffff';
-        this.glowColor = '#4ecdc4';
+        this.applyTheme();
+    }
+
+    /**
+     * Plain data for a saved run
+     */
+    toSaveData() {
+        return {
+            x: this.position.x,
+            y: this.position.y,
+            vx: this.velocity.x,
+            vy: this.velocity.y,
+            radius: this.radius,
+            baseSpeed: this.baseSpeed,
+            speed: this.speed,
+            launched: this.launched,
+            lastPlayer: this.lastPlayer,
+            isMega: this.isMega,
+            isFireball: this.isFireball
+        };
+    }
+
+    /**
+     * Rebuild a ball from toSaveData()
+     */
+    static fromSaveData(data) {
+        const ball = new Ball(data.x, data.y, data.radius);
+        ball.velocity.set(data.vx, data.vy);
+        ball.baseSpeed = data.baseSpeed;
+        ball.speed = data.speed;
+        ball.launched = data.launched;
+        ball.lastPlayer = data.lastPlayer;
+        ball.setMega(data.isMega);
+        ball.setFireball(data.isFireball);
+        ball.radius = data.radius; // setMega() resets the radius
+        return ball;
     }
 
     launch(angle = -Math.PI / 2) {
         if (this.launched) return;
         
         // Add slight randomness to angle (-15 to 15 degrees)
-        const randomOffset = (Math.random() - 0.5) * (Math.PI / 6);
+        const randomOffset = GameRandom.gameplay.range(-0.5, 0.5) * (Math.PI / 6);
         const finalAngle = angle + randomOffset;
         
         this.velocity = Vector2.fromAngle(finalAngle, this.speed);
         this.launched = true;
     }
 
-    update(dt, canvasWidth, canvasHeight) {
-        if (!this.launched) return { wallHit: null };
+    /**
+     * Per-step bookkeeping. Movement and collisions are swept by Physics
+     * (see Game.moveBall) so fast balls never skip through bricks.
+     */
+    update() {
+        if (!this.launched) return;
 
         // Update trail
         this.trail.push({ x: this.position.x, y: this.position.y });
-        if (this.trail.length > this.maxTrailLength) {
+        while (this.trail.length > Ball.trailLength) {
             this.trail.shift();
         }
 
-        // Move ball
-        this.position.add(Vector2.multiply(this.velocity, dt * 60));
-
-        // Track wall hits for sound effects
-        let wallHit = null;
-
-        // Wall collisions
-        if (this.position.x - this.radius <= 0) {
-            this.position.x = this.radius;
-            this.velocity.x = Math.abs(this.velocity.x);
-            wallHit = 'left';
-        } else if (this.position.x + this.radius >= canvasWidth) {
-            this.position.x = canvasWidth - this.radius;
-            this.velocity.x = -Math.abs(this.velocity.x);
-            wallHit = 'right';
-        }
-
-        // Top wall collision
-        if (this.position.y - this.radius <= 0) {
-            this.position.y = this.radius;
-            this.velocity.y = Math.abs(this.velocity.y);
-            wallHit = 'top';
-        }
-
         // Ensure minimum vertical velocity to prevent horizontal loops
         const minVerticalVelocity = 1;
         if (Math.abs(this.velocity.y) < minVerticalVelocity) {
             this.velocity.y = this.velocity.y >= 0 ? minVerticalVelocity : -minVerticalVelocity;
             this.velocity.normalize().multiply(this.speed);
         }
-
-        return { wallHit };
     }
 
     isOutOfBounds(canvasHeight) {
@@ -133,26 +165,13 @@ class Ball {
 
     setMega(enabled) {
         this.isMega = enabled;
-        if (enabled) {
-            this.color = '#ff6b6b';
-            this.glowColor = '#ff0000';
-            this.radius = 12;
-        } else {
-            this.color = '#ffffff';
-            this.glowColor = '#4ecdc4';
-            this.radius = 8;
-        }
+        this.radius = enabled ? 12 : 8;
+        this.applyTheme();
     }
 
     setFireball(enabled) {
         this.isFireball = enabled;
-        if (enabled) {
-            this.color = '#ffa500';
-            this.glowColor = '#ff4500';
-        } else if (!this.isMega) {
-            this.color = '#ffffff';
-            this.glowColor = '#4ecdc4';
-        }
+        this.applyTheme();
     }
 
     draw(ctx) {
@@ -201,3 +220,5 @@ class Ball {
         ctx.fill();
     }
 }
+
+Ball.trailLength = 10;
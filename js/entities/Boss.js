@@ -0,0 +1,346 @@
+﻿/**
+ * Boss Types - One per boss level (10, 20, 30); later boss levels reuse the
+ * last one with tougher weak points
+ */
+const BossTypes = [
+    {
+        name: 'Brick Golem',
+        color: '#8e44ad',
+        glowColor: 'rgba(142, 68, 173, 0.6)',
+        weakPoints: 3,
+        weakPointHits: 3,
+        movement: 'sweep',
+        moveSpeed: 0.8,
+        fireInterval: 2.4, // Seconds between volleys
+        volley: 1          // Projectiles per volley (fanned out around the aim)
+    },
+    {
+        name: 'Twin Core',
+        color: '#2980b9',
+        glowColor: 'rgba(41, 128, 185, 0.6)',
+        weakPoints: 4,
+        weakPointHits: 4,
+        movement: 'figureEight',
+        moveSpeed: 0.9,
+        fireInterval: 2.2,
+        volley: 3
+    },
+    {
+        name: 'Overlord',
+        color: '#c0392b',
+        glowColor: 'rgba(192, 57, 43, 0.6)',
+        weakPoints: 5,
+        weakPointHits: 5,
+        movement: 'dash',
+        moveSpeed: 1.2,
+        fireInterval: 2.0,
+        volley: 5
+    }
+];
+
+/**
+ * Boss - Large multi-part enemy that replaces the brick grid on boss levels
+ *
+ * An armoured body with a row of weak points along its underside. The body
+ * only deflects the ball; the weak points take damage, and the boss is
+ * defeated once all of them are destroyed. It moves in a pattern across the
+ * top of the field and fires volleys of projectiles at the paddle, faster
+ * once it is below half health. Parts are plain rectangles (x, y, width,
+ * height) so Physics can sweep balls and lasers against them like bricks.
+ */
+class Boss {
+    constructor(level, canvasWidth) {
+        this.level = level;
+        this.tier = Math.max(1, Math.floor(level / 10));
+        this.type = BossTypes[Math.min(this.tier, BossTypes.length) - 1];
+        this.name = this.type.name;
+        this.canvasWidth = canvasWidth;
+
+        this.width = Math.min(260, canvasWidth - 60);
+        this.height = 56;
+        this.homeY = 110; // Top edge when not bobbing
+        this.x = (canvasWidth - this.width) / 2;
+        this.y = this.homeY;
+        this.time = 0;
+        this.dashTargetX = this.x;
+        this.dashTimer = 0;
+        this.fireTimer = this.type.fireInterval;
+        this.projectiles = [];
+        this.projectileSpeed = 4; // Pixels per step
+        this.defeated = false;
+        this.hitFlash = 0;
+
+        // Points for each weak point destroyed, and for the kill
+        this.weakPointPoints = 150 * this.tier;
+        this.defeatBonus = 2000 * this.tier;
+
+        this.body = { x: 0, y: 0, width: this.width, height: this.height, weakPoint: false, destroyed: false };
+
+        // Later bosses of the same type (past level 30) need more hits
+        const extraHits = Math.max(0, this.tier - BossTypes.length);
+        const count = this.type.weakPoints;
+        const gap = this.width / count;
+        this.weakPoints = [];
+        for (let i = 0; i < count; i++) {
+            this.weakPoints.push({
+                offsetX: gap * i + (gap - 34) / 2,
+                offsetY: this.height - 6,
+                x: 0,
+                y: 0,
+                width: 34,
+                height: 18,
+                weakPoint: true,
+                hits: this.type.weakPointHits + extraHits,
+                maxHits: this.type.weakPointHits + extraHits,
+                destroyed: false,
+                flash: 0
+            });
+        }
+
+        this.maxHealth = this.weakPoints.reduce((sum, part) => sum + part.maxHits, 0);
+        this.updateParts();
+    }
+
+    /**
+     * Remaining health (weak point hits left)
+     */
+    getHealth() {
+        return this.weakPoints.reduce((sum, part) => sum + (part.destroyed ? 0 : part.hits), 0);
+    }
+
+    isEnraged() {
+        return this.getHealth() <= this.maxHealth / 2;
+    }
+
+    /**
+     * Parts a ball or laser can hit: the weak points still standing, then the body
+     */
+    getParts() {
+        if (this.defeated) return [];
+        return this.weakPoints.filter(part => !part.destroyed).concat([this.body]);
+    }
+
+    updateParts() {
+        this.body.x = this.x;
+        this.body.y = this.y;
+        for (const part of this.weakPoints) {
+            part.x = this.x + part.offsetX;
+            part.y = this.y + part.offsetY;
+        }
+    }
+
+    /**
+     * Move, age projectiles and fire at one of the paddle positions.
+     * Returns true when a volley was fired this step.
+     */
+    update(dt, canvasHeight, targets) {
+        this.hitFlash = Math.max(0, this.hitFlash - dt);
+        for (const part of this.weakPoints) {
+            part.flash = Math.max(0, part.flash - dt);
+        }
+
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            projectile.x += projectile.vx;
+            projectile.y += projectile.vy;
+            if (projectile.y - projectile.radius > canvasHeight) {
+                this.projectiles.splice(i, 1);
+            }
+        }
+
+        if (this.defeated) return false;
+
+        const pace = this.isEnraged() ? 1.3 : 1;
+        this.time += dt * this.type.moveSpeed * pace;
+        this.move(dt * pace);
+        this.updateParts();
+
+        this.fireTimer -= dt * pace;
+        if (this.fireTimer > 0 || targets.length === 0) return false;
+
+        this.fireTimer = this.type.fireInterval;
+        this.fire(GameRandom.gameplay.pick(targets));
+        return true;
+    }
+
+    /**
+     * Follow the type's movement pattern across the top of the field
+     */
+    move(dt) {
+        const range = (this.canvasWidth - this.width) / 2 - 10;
+        const centerX = (this.canvasWidth - this.width) / 2;
+
+        switch (this.type.movement) {
+            case 'figureEight':
+                this.x = centerX + Math.sin(this.time) * range;
+                this.y = this.homeY + Math.sin(this.time * 2) * 30;
+                break;
+
+            case 'dash':
+                // Hold, then dash to a new spot
+                this.dashTimer -= dt;
+                if (this.dashTimer <= 0) {
+                    this.dashTimer = 2.5;
+                    this.dashTargetX = centerX + GameRandom.gameplay.range(-range, range);
+                }
+                this.x += (this.dashTargetX - this.x) * Math.min(1, dt * 4);
+                this.y = this.homeY + Math.sin(this.time * 3) * 10;
+                break;
+
+            default: // sweep
+                this.x = centerX + Math.sin(this.time) * range;
+                this.y = this.homeY;
+        }
+    }
+
+    /**
+     * Fire a volley at a target position, fanned out around the aim
+     */
+    fire(target) {
+        const fromX = this.x + this.width / 2;
+        const fromY = this.y + this.height + 12;
+        const aim = Math.atan2(target.y - fromY, target.x - fromX);
+        const count = this.type.volley;
+
+        for (let i = 0; i < count; i++) {
+            const angle = aim + (i - (count - 1) / 2) * 0.25;
+            this.projectiles.push({
+                x: fromX,
+                y: fromY,
+                vx: Math.cos(angle) * this.projectileSpeed,
+                vy: Math.max(1, Math.sin(angle) * this.projectileSpeed), // Never upwards
+                radius: 6
+            });
+        }
+    }
+
+    /**
+     * Damage a weak point.
+     * Returns { destroyed, defeated } - the body takes no damage.
+     */
+    hitPart(part, damage = 1) {
+        if (!part.weakPoint || part.destroyed || this.defeated) {
+            return { destroyed: false, defeated: false };
+        }
+
+        part.hits -= damage;
+        part.flash = 0.15;
+        this.hitFlash = 0.1;
+        if (part.hits > 0) {
+            return { destroyed: false, defeated: false };
+        }
+
+        part.hits = 0;
+        part.destroyed = true;
+        this.defeated = this.weakPoints.every(weakPoint => weakPoint.destroyed);
+        if (this.defeated) {
+            this.projectiles = [];
+        }
+        return { destroyed: true, defeated: this.defeated };
+    }
+
+    clearProjectiles() {
+        this.projectiles = [];
+    }
+
+    /**
+     * Plain data for a saved run
+     */
+    toSaveData() {
+        return {
+            level: this.level,
+            canvasWidth: this.canvasWidth,
+            x: this.x,
+            y: this.y,
+            time: this.time,
+            dashTargetX: this.dashTargetX,
+            dashTimer: this.dashTimer,
+            fireTimer: this.fireTimer,
+            defeated: this.defeated,
+            weakPoints: this.weakPoints.map(part => part.hits),
+            projectiles: this.projectiles.map(projectile => Object.assign({}, projectile))
+        };
+    }
+
+    /**
+     * Rebuild a boss from toSaveData()
+     */
+    static fromSaveData(data) {
+        const boss = new Boss(data.level, data.canvasWidth);
+        boss.x = data.x;
+        boss.y = data.y;
+        boss.time = data.time;
+        boss.dashTargetX = data.dashTargetX;
+        boss.dashTimer = data.dashTimer;
+        boss.fireTimer = data.fireTimer;
+        boss.defeated = data.defeated;
+        boss.weakPoints.forEach((part, i) => {
+            part.hits = data.weakPoints[i];
+            part.destroyed = part.hits <= 0;
+        });
+        boss.projectiles = data.projectiles.map(projectile => Object.assign({}, projectile));
+        boss.updateParts();
+        return boss;
+    }
+
+    draw(ctx) {
+        ctx.save();
+
+        // Projectiles
+        for (const projectile of this.projectiles) {
+            ctx.shadowColor = '#ff4757';
+            ctx.shadowBlur = 12;
+            ctx.fillStyle = '#ff6b81';
+            ctx.beginPath();
+            ctx.arc(projectile.x, projectile.y, projectile.radius, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        if (this.defeated) {
+            ctx.restore();
+            return;
+        }
+
+        // Armoured body
+        ctx.shadowColor = this.type.glowColor;
+        ctx.shadowBlur = 25;
+        ctx.fillStyle = this.hitFlash > 0 ? '#ffffff' : this.type.color;
+        ctx.beginPath();
+        ctx.roundRect(this.x, this.y, this.width, this.height, 12);
+        ctx.fill();
+
+        const gradient = ctx.createLinearGradient(this.x, this.y, this.x, this.y + this.height);
+        gradient.addColorStop(0, 'rgba(255, 255, 255, 0.3)');
+        gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.05)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0.35)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.roundRect(this.x, this.y, this.width, this.height, 12);
+        ctx.fill();
+
+        // Eyes, angrier once enraged
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = this.isEnraged() ? '#ff4757' : '#ffd700';
+        const eyeY = this.y + this.height * 0.35;
+        for (const side of [-1, 1]) {
+            ctx.beginPath();
+            ctx.arc(this.x + this.width / 2 + side * this.width * 0.18, eyeY, 6, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Weak points glow and pulse; the colour fades as they take damage
+        for (const part of this.weakPoints) {
+            if (part.destroyed) continue;
+
+            const health = part.hits / part.maxHits;
+            ctx.shadowColor = '#ffd700';
+            ctx.shadowBlur = 10 + Math.sin(this.time * 6) * 5;
+            ctx.fillStyle = part.flash > 0 ? '#ffffff' : `hsl(${Math.round(50 * health)}, 90%, 55%)`;
+            ctx.beginPath();
+            ctx.roundRect(part.x, part.y, part.width, part.height, 6);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+}
@@ -1,86 +1,62 @@
 ﻿/**
- * Brick Types - Different brick configurations
+ * Brick Types - Different brick configurations. Colours come from the
+ * theme; glowAlpha is how strong the glow is (0.5 when left out).
  */
 const BrickTypes = {
     NORMAL: {
         id: 1,
         hits: 1,
-        points: 10,
-        color: '#ff6b6b',
-        glowColor: 'rgba(255, 107, 107, 0.5)'
+        points: 10
     },
     STRONG: {
         id: 2,
         hits: 2,
-        points: 20,
-        color: '#4ecdc4',
-        glowColor: 'rgba(78, 205, 196, 0.5)'
+        points: 20
     },
     SUPER: {
         id: 3,
         hits: 3,
-        points: 30,
-        color: '#45b7d1',
-        glowColor: 'rgba(69, 183, 209, 0.5)'
+        points: 30
     },
     METAL: {
         id: 4,
         hits: Infinity,
-        points: 0,
-        color: '#95a5a6',
-        glowColor: 'rgba(149, 165, 166, 0.5)'
+        points: 0
     },
     POWER: {
         id: 5,
         hits: 1,
-        points: 50,
-        color: '#f39c12',
-        glowColor: 'rgba(243, 156, 18, 0.5)'
+        points: 50
     },
     EXPLOSIVE: {
         id: 6,
         hits: 1,
-        points: 25,
-        color: '#e74c3c',
-        glowColor: 'rgba(231, 76, 60, 0.5)'
+        points: 25
     },
     RAINBOW: {
         id: 7,
         hits: 1,
-        points: 100,
-        color: '#9b59b6',
-        glowColor: 'rgba(155, 89, 182, 0.5)'
+        points: 100
     },
     MOVING: {
         id: 8,
         hits: 2,
-        points: 40,
-        color: '#00bcd4',
-        glowColor: 'rgba(0, 188, 212, 0.5)'
+        points: 40
     },
     MIRROR: {
         id: 9,
         hits: 2,
         points: 75,
-        color: '#e0e0e0',
-        glowColor: 'rgba(224, 224, 224, 0.8)'
+        glowAlpha: 0.8
     },
     SUPER_POWERUP: {
         id: 10,
         hits: 2,
         points: 150,
-        color: '#ffd700',
-        glowColor: 'rgba(255, 215, 0, 0.8)'
+        glowAlpha: 0.8
     }
 };
 
-// Color progression for multi-hit bricks
-const HitColors = {
-    3: '#45b7d1',  // Full health - blue
-    2: '#4ecdc4',  // Medium - teal
-    1: '#ff6b6b'   // Low - red
-};
-
 /**
  * Brick - Destructible block entity
  */
@@ -94,9 +70,6 @@ class Brick {
         this.maxHits = type.hits;
         this.hitsRemaining = type.hits;
         this.points = type.points;
-        this.baseColor = type.color;
-        this.color = type.color;
-        this.glowColor = type.glowColor;
         this.destroyed = false;
         this.shakeOffset = { x: 0, y: 0 };
         this.shakeTime = 0;
@@ -108,11 +81,11 @@ class Brick {
         this.destroyTime = 0;
         
         // Rainbow brick animation
-        this.rainbowHue = Math.random() * 360;
+        this.rainbowHue = GameRandom.cosmetic.range(0, 360);
         
         // Hidden power-up (assigned by LevelManager)
         this.hiddenPowerUp = null;
-        this.powerUpAnimTime = Math.random() * Math.PI * 2; // Random start phase
+        this.powerUpAnimTime = GameRandom.cosmetic.range(0, Math.PI * 2); // Random start phase
         this.shimmerOffset = 0;
         
         // Movement properties (for MOVING brick type)
@@ -132,6 +105,31 @@ class Brick {
         // Mirror animation
         this.mirrorShine = 0;
         this.mirrorShineSpeed = 2;
+
+        this.applyTheme();
+    }
+
+    /**
+     * Take this brick's colours from the current theme. Bricks toughened
+     * past their type's hits get the hit colour for their total (the
+     * tough colour from 4 up); damaged multi-hit bricks show the colour
+     * for the hits they have left.
+     */
+    applyTheme() {
+        const theme = Theme.current;
+        if (this.maxHits > this.type.hits) {
+            this.baseColor = this.maxHits >= 4 ? theme.toughColor : theme.hitColors[this.maxHits];
+        } else {
+            this.baseColor = Theme.brickColor(this.type);
+        }
+
+        const damaged = this.hitsRemaining > 0 && this.hitsRemaining < this.maxHits && !this.hiddenPowerUp;
+        this.color = damaged
+            ? theme.hitColors[this.hitsRemaining] || Theme.brickColor(this.type)
+            : this.baseColor;
+        this.glowColor = this.hiddenPowerUp
+            ? this.hiddenPowerUp.color
+            : Theme.withAlpha(Theme.brickColor(this.type), this.type.glowAlpha || 0.5);
     }
 
     hit() {
@@ -157,7 +155,7 @@ class Brick {
 
         // Update color based on remaining hits (only for non-powerup bricks)
         if (this.hitsRemaining > 0 && this.maxHits > 1 && !this.hiddenPowerUp) {
-            this.color = HitColors[this.hitsRemaining] || this.type.color;
+            this.color = Theme.current.hitColors[this.hitsRemaining] || Theme.brickColor(this.type);
         }
 
         if (this.hitsRemaining <= 0) {
@@ -200,6 +198,76 @@ class Brick {
         this.glowColor = powerUpType.color;
     }
 
+    /**
+     * Plain data for a saved run. Clone links are stored as indices into the
+     * level's brick list (brickIndex maps each brick to its index).
+     * Metal bricks' Infinity hits are saved as null (JSON has no Infinity).
+     */
+    toSaveData(brickIndex) {
+        return {
+            x: this.x,
+            y: this.y,
+            width: this.width,
+            height: this.height,
+            type: this.type.id,
+            hitsRemaining: this.hitsRemaining === Infinity ? null : this.hitsRemaining,
+            maxHits: this.maxHits === Infinity ? null : this.maxHits,
+            points: this.points,
+            hiddenPowerUp: this.hiddenPowerUp ? this.hiddenPowerUp.id : null,
+            destroyed: this.destroyed,
+            destroying: this.destroying,
+            destroyTime: this.destroyTime,
+            isMoving: this.isMoving,
+            moveTargetX: this.moveTargetX,
+            moveTargetY: this.moveTargetY,
+            originalX: this.originalX,
+            originalY: this.originalY,
+            isClone: this.isClone,
+            // Bricks no longer in the list (endless drops cleared ones) lose their links
+            originalBrick: brickIndex.has(this.originalBrick) ? brickIndex.get(this.originalBrick) : null,
+            clones: this.clones.filter(clone => brickIndex.has(clone)).map(clone => brickIndex.get(clone))
+        };
+    }
+
+    /**
+     * Rebuild a brick from toSaveData(). Clone links need the whole brick
+     * list, so they are restored afterwards with restoreLinks().
+     */
+    static fromSaveData(data) {
+        const type = Object.values(BrickTypes).find(t => t.id === data.type) || BrickTypes.NORMAL;
+        const brick = new Brick(data.x, data.y, data.width, data.height, type);
+
+        brick.hitsRemaining = data.hitsRemaining === null ? Infinity : data.hitsRemaining;
+        brick.maxHits = data.maxHits === null ? Infinity : data.maxHits;
+        brick.points = data.points;
+        brick.hiddenPowerUp = data.hiddenPowerUp
+            ? Object.values(PowerUpTypes).find(t => t.id === data.hiddenPowerUp) || null
+            : null;
+        brick.applyTheme();
+        brick.destroyed = data.destroyed;
+        brick.destroying = data.destroying;
+        brick.destroyTime = data.destroyTime;
+        if (brick.destroying) {
+            brick.scale = Math.max(0, brick.destroyTime / 0.2);
+            brick.alpha = brick.scale;
+        }
+        brick.isMoving = data.isMoving;
+        brick.moveTargetX = data.moveTargetX;
+        brick.moveTargetY = data.moveTargetY;
+        brick.originalX = data.originalX;
+        brick.originalY = data.originalY;
+        brick.isClone = data.isClone;
+        return brick;
+    }
+
+    /**
+     * Reconnect mirror clone links once every brick has been rebuilt
+     */
+    restoreLinks(data, bricks) {
+        this.originalBrick = data.originalBrick !== null ? bricks[data.originalBrick] || null : null;
+        this.clones = data.clones.map(index => bricks[index]).filter(Boolean);
+    }
+
     shake() {
         this.shakeTime = 0.15;
     }
@@ -213,8 +281,8 @@ class Brick {
         // Update shake
         if (this.shakeTime > 0) {
             this.shakeTime -= dt;
-            this.shakeOffset.x = (Math.random() - 0.5) * 4;
-            this.shakeOffset.y = (Math.random() - 0.5) * 4;
+            this.shakeOffset.x = GameRandom.cosmetic.range(-2, 2);
+            this.shakeOffset.y = GameRandom.cosmetic.range(-2, 2);
         } else {
             this.shakeOffset.x = 0;
             this.shakeOffset.y = 0;
@@ -271,44 +339,6 @@ class Brick {
         }
     }
 
-    checkCollision(ball) {
-        if (this.destroyed) return null;
-
-        const ballLeft = ball.position.x - ball.radius;
-        const ballRight = ball.position.x + ball.radius;
-        const ballTop = ball.position.y - ball.radius;
-        const ballBottom = ball.position.y + ball.radius;
-
-        const brickLeft = this.x;
-        const brickRight = this.x + this.width;
-        const brickTop = this.y;
-        const brickBottom = this.y + this.height;
-
-        // Check if ball overlaps brick
-        if (ballRight >= brickLeft && ballLeft <= brickRight &&
-            ballBottom >= brickTop && ballTop <= brickBottom) {
-            
-            // Determine collision side
-            const overlapLeft = ballRight - brickLeft;
-            const overlapRight = brickRight - ballLeft;
-            const overlapTop = ballBottom - brickTop;
-            const overlapBottom = brickBottom - ballTop;
-
-            const minOverlapX = Math.min(overlapLeft, overlapRight);
-            const minOverlapY = Math.min(overlapTop, overlapBottom);
-
-            if (minOverlapX < minOverlapY) {
-                // Horizontal collision
-                return { axis: 'x', side: overlapLeft < overlapRight ? 'left' : 'right' };
-            } else {
-                // Vertical collision
-                return { axis: 'y', side: overlapTop < overlapBottom ? 'top' : 'bottom' };
-            }
-        }
-
-        return null;
-    }
-
     draw(ctx) {
         if (this.destroyed) return;
 
@@ -330,7 +360,7 @@ class Brick {
         // Draw glow for special bricks and power-up bricks
         if (this.type === BrickTypes.POWER || this.type === BrickTypes.RAINBOW || this.hiddenPowerUp) {
             ctx.shadowColor = this.hiddenPowerUp ? this.hiddenPowerUp.color : this.glowColor;
-            ctx.shadowBlur = 15 + (this.hiddenPowerUp ? Math.sin(this.powerUpAnimTime * 2) * 5 : 0);
+            ctx.shadowBlur = Theme.glow(15 + (this.hiddenPowerUp ? Math.sin(this.powerUpAnimTime * 2) * 5 : 0));
         }
 
         // Draw brick body with power-up color effect
@@ -399,7 +429,7 @@ class Brick {
             ctx.fill();
             
             ctx.fillStyle = '#ffffff';
-            ctx.font = 'bold 11px Arial';
+            ctx.font = Theme.font(11, 'bold');
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             ctx.fillText(
@@ -426,7 +456,7 @@ class Brick {
             // Only show icon if not showing hit count
             if (this.hitsRemaining <= 1 || this.maxHits === 1) {
                 ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-                ctx.font = '12px Arial';
+                ctx.font = Theme.font(12);
                 ctx.textAlign = 'center';
                 ctx.textBaseline = 'middle';
                 const icon = this.hiddenPowerUp ? this.hiddenPowerUp.icon : '⭐';
@@ -437,7 +467,7 @@ class Brick {
         // Draw explosive indicator
         if (this.type === BrickTypes.EXPLOSIVE) {
             ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-            ctx.font = '12px Arial';
+            ctx.font = Theme.font(12);
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             ctx.fillText('💥', drawX + this.width / 2, drawY + this.height / 2);
@@ -446,7 +476,7 @@ class Brick {
         // Draw moving brick indicator (arrows)
         if (this.type === BrickTypes.MOVING && this.hitsRemaining <= 1) {
             ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-            ctx.font = '10px Arial';
+            ctx.font = Theme.font(10);
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             ctx.fillText('↔', drawX + this.width / 2, drawY + this.height / 2);
@@ -454,8 +484,8 @@ class Brick {
         
         // Draw mirror brick indicator
         if (this.type === BrickTypes.MIRROR) {
-            ctx.fillStyle = this.isClone ? 'rgba(100, 149, 237, 0.9)' : 'rgba(255, 255, 255, 0.9)';
-            ctx.font = '12px Arial';
+            ctx.fillStyle = this.isClone ? `rgba(${Theme.current.lines}, 0.9)` : 'rgba(255, 255, 255, 0.9)';
+            ctx.font = Theme.font(12);
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             ctx.fillText(this.isClone ? '🔄' : '🪞', drawX + this.width / 2, drawY + this.height / 2);
@@ -464,7 +494,7 @@ class Brick {
         // Draw super power-up brick indicator (rainbow star)
         if (this.type === BrickTypes.SUPER_POWERUP) {
             ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-            ctx.font = 'bold 14px Arial';
+            ctx.font = Theme.font(14, 'bold');
             ctx.textAlign = 'center';
             ctx.textBaseline = 'middle';
             ctx.fillText('🌟', drawX + this.width / 2, drawY + this.height / 2);
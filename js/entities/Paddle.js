@@ -16,14 +16,15 @@ class Paddle {
         this.maxSpeed = 12;
         this.isMoving = false;
         
-        this.color = '#4ecdc4';
-        this.glowColor = 'rgba(78, 205, 196, 0.5)';
+        this.player = 0;
         
         // Power-up states
         this.isSticky = false;
         this.hasLaser = false;
         this.laserCooldown = 0;
         this.laserCooldownTime = 0.3; // seconds between shots
+
+        this.applyTheme();
     }
 
     reset(x, y) {
@@ -33,7 +34,59 @@ class Paddle {
         this.isSticky = false;
         this.hasLaser = false;
         this.laserCooldown = 0;
-        this.color = '#4ecdc4';
+        this.color = this.baseColor;
+    }
+
+    /**
+     * Whose paddle this is (sets its colours)
+     */
+    setPlayer(player) {
+        this.player = player;
+        this.applyTheme();
+    }
+
+    /**
+     * Take this player's colours from the current theme (player 2 only
+     * plays in co-op)
+     */
+    applyTheme() {
+        this.baseColor = Theme.current.paddles[this.player];
+        this.baseGlowColor = Theme.withAlpha(this.baseColor, 0.5);
+        if (!this.isSticky && !this.hasLaser) {
+            this.color = this.baseColor;
+            this.glowColor = this.baseGlowColor;
+        }
+    }
+
+    /**
+     * Plain data for a saved run
+     */
+    toSaveData() {
+        return {
+            x: this.position.x,
+            y: this.position.y,
+            vx: this.velocity.x,
+            width: this.width,
+            baseWidth: this.baseWidth,
+            player: this.player,
+            isSticky: this.isSticky,
+            hasLaser: this.hasLaser,
+            laserCooldown: this.laserCooldown
+        };
+    }
+
+    /**
+     * Rebuild a paddle from toSaveData()
+     */
+    static fromSaveData(data) {
+        const paddle = new Paddle(data.x, data.y, data.baseWidth);
+        paddle.velocity.x = data.vx;
+        paddle.width = data.width;
+        paddle.setPlayer(data.player);
+        paddle.setSticky(data.isSticky);
+        paddle.setLaser(data.hasLaser);
+        paddle.laserCooldown = data.laserCooldown;
+        return paddle;
     }
 
     moveLeft() {
@@ -119,8 +172,8 @@ class Paddle {
             this.color = '#ffd700';
             this.glowColor = 'rgba(255, 215, 0, 0.5)';
         } else {
-            this.color = '#4ecdc4';
-            this.glowColor = 'rgba(78, 205, 196, 0.5)';
+            this.color = this.baseColor;
+            this.glowColor = this.baseGlowColor;
         }
     }
 
@@ -130,8 +183,8 @@ class Paddle {
             this.color = '#ff6b6b';
             this.glowColor = 'rgba(255, 107, 107, 0.5)';
         } else if (!this.isSticky) {
-            this.color = '#4ecdc4';
-            this.glowColor = 'rgba(78, 205, 196, 0.5)';
+            this.color = this.baseColor;
+            this.glowColor = this.baseGlowColor;
         }
     }
 
@@ -157,7 +210,7 @@ class Paddle {
 
         // Draw glow
         ctx.shadowColor = this.glowColor;
-        ctx.shadowBlur = 20;
+        ctx.shadowBlur = Theme.glow(20);
 
         // Draw paddle body with rounded corners
         const radius = this.height / 2;
@@ -7,50 +7,128 @@ const GameStates = {
     PAUSED: 'paused',
     LEVEL_COMPLETE: 'levelComplete',
     GAME_OVER: 'gameOver',
-    HIGH_SCORES: 'highScores'
+    HIGH_SCORES: 'highScores',
+    EDITOR: 'editor',
+    WORLD_MAP: 'worldMap',
+    DAILY: 'daily',
+    SETTINGS: 'settings',
+    CONTROLS: 'controls',
+    GAMEPAD: 'gamepad'
+};
+
+/**
+ * Game Modes - how a run progresses and where its results go
+ */
+const GameModes = {
+    CLASSIC: 'classic',   // Level 1 onwards, high score table
+    CAMPAIGN: 'campaign', // Any unlocked level, progress saved per level
+    ENDLESS: 'endless',   // One descending wall until it reaches the paddle, own table
+    TIME_ATTACK: 'timeAttack', // Fixed course against the clock, own table sorted by time
+    DAILY: 'daily',       // The day's shared levels, one scored attempt, a board per day
+    COOP: 'coop',         // Two paddles on one field, shared lives and score, own table
+    VERSUS: 'versus'      // Two players side by side on one keyboard, no table
 };
 
 /**
  * Main Game Controller - Orchestrates all game systems
+ *
+ * Options replace the browser pieces so the game can also run headless
+ * (under Node, for tests and bots) by calling update(dt) directly:
+ *   canvas   - object with width/height and getContext() (may return null)
+ *   audio    - AudioManager stand-in
+ *   storage  - localStorage stand-in (getItem/setItem)
+ *   input    - InputManager stand-in, e.g. VirtualInput
+ *   headless - skip DOM screens, URL parameters and the requestAnimationFrame loop
+ *   benchmark - count collision checks per step (also index.html?benchmark)
  */
 class Game {
-    constructor() {
+    constructor(options = {}) {
+        this.headless = options.headless || false;
+        this.benchmark = options.benchmark || false;
+
         // Canvas setup
-        this.canvas = document.getElementById('gameCanvas');
+        this.canvas = options.canvas || document.getElementById('gameCanvas');
         this.ctx = this.canvas.getContext('2d');
         this.resizeCanvas();
 
         // Game state
         this.state = GameStates.MENU;
+        this.mode = GameModes.CLASSIC;
+        this.startLevel = 1; // Level the current run started on
+        this.levelStartScore = 0;
         this.level = 1;
         this.lives = 3;
         this.maxLives = 5;
         this.levelTime = 0;
         this.gameTime = 0;
 
+        // Run seed for all gameplay randomness (index.html?seed=... replays one)
+        this.seed = 0;
+        this.requestedSeed = null;
+
         // Initialize managers and systems
-        this.highScoreManager = new HighScoreManager();
+        const storage = options.storage || localStorage;
+        this.highScoreManager = new HighScoreManager(undefined, storage);
+        this.endlessHighScores = new HighScoreManager('brickBreaker2500EndlessScores', storage);
+        this.endlessHighScores.levelLabel = 'Rows';
+        this.timeAttackScores = new HighScoreManager('brickBreaker2500TimeAttackScores', storage);
+        this.timeAttackScores.scoreLabel = 'Time';
+        this.timeAttackScores.levelLabel = 'Penalty';
+        this.timeAttackScores.lowerIsBetter = true;
+        this.timeAttackScores.formatScore = (time) => TimeAttackManager.formatTime(time);
+        this.timeAttackScores.sortScores();
+        this.coopHighScores = new HighScoreManager('brickBreaker2500CoopScores', storage);
+        this.scoresMode = GameModes.CLASSIC; // Table shown on the high scores screen
         this.levelManager = new LevelManager();
+        this.levelLoader = new LevelLoader();
+        this.levelEditor = new LevelEditor(this.levelManager, this.levelLoader, undefined, storage);
+        this.replayManager = new ReplayManager(undefined, storage);
+        this.saveManager = new SaveManager(undefined, storage);
+        this.timeAttack = new TimeAttackManager(undefined, storage);
+        this.timeAttackResult = null; // Set when a live time attack run finishes
+        this.daily = new DailyChallengeManager(undefined, storage);
+        this.dailyRun = null; // { challenge, scored, completed } while a daily run is on
+        this.dailyBoardDate = null; // Day shown on the daily challenge screen
+        this.dailyReturnState = GameStates.MENU;
+        this.versus = null; // VersusMatch while a versus match is on
+        this.activeField = null; // Versus field swapped in by withField()
+        this.coop = null; // CoopStats while a co-op run is on
         this.powerUpManager = new PowerUpManager();
         this.scoreManager = new ScoreManager();
+        this.campaign = new CampaignManager(this.levelManager.maxLevels, undefined, storage);
         this.physics = new Physics();
-        this.audio = new AudioManager();
-        this.input = new InputManager(this.canvas);
+        this.audio = options.audio || new AudioManager();
+        this.input = options.input || new InputManager(this.canvas, storage);
         this.renderer = new Renderer(this.canvas);
         this.particleSystem = new ParticleSystem(200);
+        this.settings = new SettingsManager(undefined, storage);
+        this.soundPackLoader = new SoundPackLoader();
+        this.soundPacks = []; // { url, name, pack } for each pack in the index
+        this.applySettings();
 
         // Game entities
         this.balls = [];
-        this.paddle = null;
+        this.paddles = []; // One per player (two in co-op)
+        this.paddle = null; // Player 1's paddle
         this.bricks = [];
+        this.brickGrid = new SpatialGrid(64); // Broadphase for ball, laser and explosion queries
         this.lasers = [];
         this.stuckBall = null; // Ball stuck to sticky paddle
+        this.boss = null; // Boss on boss levels (every 10th level)
 
         // Power-up special states
         this.autoBurstActive = false;
         this.autoBurstBallsRemaining = 0;
         this.autoBurstTimer = 0;
+        this.autoBurstPlayer = 0; // Whose paddle the burst balls come from
         this.nextBrickExplodes = false; // EXPLOSIVE_NEXT power-up
+        this.pendingExplosions = []; // Chain explosions waiting on their delay
+        
+        // Replay playback (stands in for live input while watching a replay)
+        this.replayPlayer = null;
+
+        // Touch drag offset at the last step (null when not dragging)
+        this.lastDragX = null;
         
         // Party mode (from SUPER_POWERUP brick)
         this.partyModeActive = false;
@@ -58,23 +136,66 @@ class Game {
         this.partyModeDuration = 10; // 10 seconds
         this.partyModeHue = 0;
 
+        // Level pack loaded from ?levels= (restored after editor test play)
+        this.customLevelPack = null;
+        this.editorTestPlay = false;
+
+        // Collision checks per step, collected in benchmark mode
+        this.benchmarkStats = null;
+        this.resetBenchmarkStats();
+
         // Timing
         this.lastTime = 0;
         this.accumulator = 0;
         this.fixedTimeStep = 1 / 60;
 
+        // Headless games are driven by calling update(dt) directly
+        if (this.headless) return;
+
         // Setup
         this.setupUI();
+        this.setupGamepads();
+        this.displayControlsInfo();
+        this.updateMusicState();
         this.updateHighScoreDisplay();
 
+        // Optional custom level pack: index.html?levels=path/to/pack.json
+        const params = new URLSearchParams(window.location.search);
+        const levelPackUrl = params.get('levels');
+        if (levelPackUrl) {
+            this.loadLevelPack(levelPackUrl);
+        }
+
+        this.loadSoundPacks();
+
+        // Optional fixed seed to replay a shared run: index.html?seed=1A2B3C4D
+        if (params.get('seed')) {
+            this.requestedSeed = GameRandom.parseSeed(params.get('seed'));
+        }
+
+        // Collision benchmark overlay: index.html?benchmark
+        if (params.has('benchmark')) {
+            this.benchmark = true;
+        }
+
         // Start game loop
         requestAnimationFrame((t) => this.gameLoop(t));
 
         // Handle window resize
         window.addEventListener('resize', () => this.resizeCanvas());
+
+        // Pause (and so save the run) when the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            }
+        });
     }
 
     resizeCanvas() {
+        // Replays run at the size they were recorded at; headless canvases keep their size
+        if (this.replayPlayer || this.headless) return;
+
         const container = document.getElementById('game-container');
         this.canvas.width = container.clientWidth;
         this.canvas.height = container.clientHeight;
@@ -89,18 +210,117 @@ class Game {
 
     setupUI() {
         // Menu buttons
+        document.getElementById('continueBtn').addEventListener('click', () => {
+            this.audio.init();
+            this.audio.playButtonClick();
+            this.continueRun();
+        });
+
         document.getElementById('startBtn').addEventListener('click', () => {
             this.audio.init();
             this.audio.playButtonClick();
             this.startGame();
         });
 
+        document.getElementById('campaignBtn').addEventListener('click', () => {
+            this.audio.init();
+            this.audio.playButtonClick();
+            this.showWorldMap();
+        });
+
+        document.getElementById('endlessBtn').addEventListener('click', () => {
+            this.audio.init();
+            this.audio.playButtonClick();
+            this.startGame(null, GameModes.ENDLESS);
+        });
+
+        document.getElementById('timeAttackBtn').addEventListener('click', () => {
+            this.audio.init();
+            this.audio.playButtonClick();
+            this.startGame(null, GameModes.TIME_ATTACK);
+        });
+
+        document.getElementById('coopBtn').addEventListener('click', () => {
+            this.audio.init();
+            this.audio.playButtonClick();
+            this.startGame(null, GameModes.COOP);
+        });
+
+        document.getElementById('versusBtn').addEventListener('click', () => {
+            this.audio.init();
+            this.audio.playButtonClick();
+            this.startGame(null, GameModes.VERSUS);
+        });
+
+        document.getElementById('dailyBtn').addEventListener('click', () => {
+            this.audio.init();
+            this.audio.playButtonClick();
+            this.showDailyChallenge();
+        });
+
         document.getElementById('scoresBtn').addEventListener('click', () => {
             this.audio.init();
             this.audio.playButtonClick();
             this.showHighScores();
         });
 
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            this.audio.init();
+            this.audio.playButtonClick();
+            this.setState(GameStates.SETTINGS);
+        });
+
+        // Replay buttons
+        const replayFile = document.getElementById('replayFile');
+        document.getElementById('loadReplayBtn').addEventListener('click', () => {
+            this.audio.init();
+            this.audio.playButtonClick();
+            replayFile.click();
+        });
+
+        replayFile.addEventListener('change', async () => {
+            const file = replayFile.files[0];
+            if (!file) return;
+            const { replay, error } = this.replayManager.parse(await file.text());
+            replayFile.value = '';
+            if (replay) {
+                this.startReplay(replay);
+            } else {
+                console.warn('Could not load replay:', error);
+            }
+        });
+
+        document.getElementById('watchReplayBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            if (this.replayManager.lastReplay) {
+                this.startReplay(this.replayManager.lastReplay);
+            }
+        });
+
+        document.getElementById('saveReplayBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            if (this.replayManager.lastReplay) {
+                this.replayManager.download(this.replayManager.lastReplay);
+            }
+        });
+
+        document.getElementById('editorBtn').addEventListener('click', () => {
+            this.audio.init();
+            this.audio.playButtonClick();
+            this.openEditor();
+        });
+
+        // Level editor screen
+        this.levelEditor.setupUI();
+        this.levelEditor.onTestPlay = (pack) => {
+            this.audio.playButtonClick();
+            this.testPlayLevel(pack);
+        };
+        this.levelEditor.onExit = () => {
+            this.audio.playButtonClick();
+            this.setState(GameStates.MENU);
+        };
+
         // Pause buttons
         document.getElementById('resumeBtn').addEventListener('click', () => {
             this.audio.playButtonClick();
@@ -112,16 +332,161 @@ class Game {
             this.quitToMenu();
         });
 
-        // Level complete button
+        // Level complete buttons
         document.getElementById('nextLevelBtn').addEventListener('click', () => {
             this.audio.playButtonClick();
             this.nextLevel();
         });
 
+        document.getElementById('levelMapBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.replayManager.stopRecording(this.scoreManager.score, this.level);
+            this.showWorldMap();
+        });
+
+        // World map: level buttons are rebuilt on every visit, so listen on the container
+        document.getElementById('worldMapLevels').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-level]');
+            if (!button || button.disabled) return;
+            this.audio.playButtonClick();
+            this.startCampaignLevel(Number(button.dataset.level));
+        });
+
+        document.getElementById('continueCampaignBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.startCampaignLevel(this.campaign.getResumeLevel());
+        });
+
+        document.getElementById('worldMapBackBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.setState(GameStates.MENU);
+        });
+
+        // Daily challenge screen
+        document.getElementById('dailyPlayBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.startGame(null, GameModes.DAILY);
+        });
+
+        document.getElementById('dailyHistory').addEventListener('change', (e) => {
+            this.dailyBoardDate = e.target.value;
+            this.displayDailyChallenge();
+        });
+
+        document.getElementById('dailyExportBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.exportDailyResult();
+        });
+
+        document.getElementById('dailyImportBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.importDailyResult(document.getElementById('dailyCode').value);
+        });
+
+        document.getElementById('dailyBackBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.setState(this.dailyReturnState);
+        });
+
+        document.getElementById('themeSelect').innerHTML = Object.entries(Themes).map(([name, theme]) =>
+            `<option value="${name}">${theme.name}</option>`
+        ).join('');
+
+        // Settings apply as soon as they change (one control per setting, in data-setting)
+        document.getElementById('settingsList').addEventListener('input', (e) => {
+            const name = e.target.dataset.setting;
+            if (!name) return;
+            const value = e.target.type === 'checkbox' ? e.target.checked
+                : e.target.type === 'range' ? parseFloat(e.target.value)
+                : e.target.value;
+            this.settings.set(name, value);
+            this.applySettings();
+            this.displaySettings();
+        });
+
+        document.getElementById('touchMode').addEventListener('change', (e) => {
+            this.input.setTouchMode(e.target.value);
+            this.displaySettings();
+        });
+
+        document.getElementById('touchSensitivity').addEventListener('input', (e) => {
+            this.input.setTouchSensitivity(parseFloat(e.target.value));
+            this.displaySettings();
+        });
+
+        document.getElementById('settingsResetBtn').addEventListener('click', () => {
+            this.settings.reset();
+            this.input.resetTouchSettings();
+            this.applySettings();
+            this.displaySettings();
+            this.audio.playButtonClick();
+            document.getElementById('settingsMessage').textContent = 'Settings reset to defaults';
+        });
+
+        document.getElementById('keyBindingsBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.setState(GameStates.CONTROLS);
+        });
+
+        document.getElementById('settingsBackBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.setState(GameStates.MENU);
+        });
+
+        // Key binding buttons (one per action and slot, in data-action and data-slot)
+        document.getElementById('keyBindings').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            this.audio.playButtonClick();
+            this.captureKeyBinding(button.dataset.action, Number(button.dataset.slot));
+        });
+
+        document.getElementById('controlsResetBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.input.cancelCapture();
+            this.input.resetBindings();
+            this.displayKeyBindings();
+            document.getElementById('controlsMessage').textContent = 'Controls reset to defaults';
+        });
+
+        document.getElementById('gamepadBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.input.cancelCapture();
+            this.setState(GameStates.GAMEPAD);
+        });
+
+        document.getElementById('controlsBackBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.input.cancelCapture();
+            this.setState(GameStates.SETTINGS);
+        });
+
+        // Gamepad mapping buttons (one per action, in data-action)
+        document.getElementById('gamepadMapping').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            this.audio.playButtonClick();
+            this.captureGamepadAction(button.dataset.action);
+        });
+
+        document.getElementById('gamepadResetBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.input.gamepads.cancelCapture();
+            this.input.gamepads.resetMapping();
+            this.displayGamepadMapping();
+            document.getElementById('gamepadMessage').textContent = 'Mapping reset to defaults';
+        });
+
+        document.getElementById('gamepadBackBtn').addEventListener('click', () => {
+            this.audio.playButtonClick();
+            this.input.gamepads.cancelCapture();
+            this.setState(GameStates.CONTROLS);
+        });
+
         // Game over buttons
         document.getElementById('playAgain').addEventListener('click', () => {
             this.audio.playButtonClick();
-            this.startGame();
+            this.startGame(null, this.mode, this.startLevel);
         });
 
         document.getElementById('mainMenu').addEventListener('click', () => {
@@ -137,14 +502,22 @@ class Game {
         // Leaderboards button from game over screen
         document.getElementById('leaderboardBtn').addEventListener('click', () => {
             this.audio.playButtonClick();
-            this.showHighScores();
+            this.showHighScores(this.mode);
+        });
+
+        // High score table tabs (one button per mode, in data-mode)
+        document.getElementById('scoreTabs').addEventListener('click', (e) => {
+            const tab = e.target.closest('button[data-mode]');
+            if (!tab) return;
+            this.audio.playButtonClick();
+            this.showHighScores(tab.dataset.mode);
         });
 
         // High scores back button
         document.getElementById('backBtn').addEventListener('click', () => {
             this.audio.playButtonClick();
             // Return to game over if we came from there, otherwise menu
-            if (this.state === GameStates.HIGH_SCORES && this.scoreManager.score > 0 && this.lives <= 0) {
+            if (this.state === GameStates.HIGH_SCORES && this.scoreManager.score > 0 && this.isRunOver()) {
                 this.setState(GameStates.GAME_OVER);
             } else {
                 this.setState(GameStates.MENU);
@@ -167,10 +540,14 @@ class Game {
 
     setState(newState) {
         this.state = newState;
+        this.updateMusicState();
+        this.applyTheme();
         this.updateUI();
     }
 
     updateUI() {
+        if (this.headless) return;
+
         // Hide all screens
         document.querySelectorAll('.screen').forEach(s => s.classList.add('hidden'));
 
@@ -178,6 +555,8 @@ class Game {
         switch (this.state) {
             case GameStates.MENU:
                 document.getElementById('menu').classList.remove('hidden');
+                document.getElementById('continueBtn').classList.toggle('hidden', !this.saveManager.hasSave());
+                this.displayControlsInfo();
                 break;
             case GameStates.PAUSED:
                 document.getElementById('paused').classList.remove('hidden');
@@ -190,142 +569,1405 @@ class Game {
                 break;
             case GameStates.HIGH_SCORES:
                 document.getElementById('highScores').classList.remove('hidden');
-                this.highScoreManager.displayScores('scoresList');
+                document.querySelectorAll('#scoreTabs button').forEach(tab => {
+                    tab.classList.toggle('active', tab.dataset.mode === this.scoresMode);
+                });
+                this.getHighScoreManager(this.scoresMode).displayScores('scoresList');
+                break;
+            case GameStates.EDITOR:
+                document.getElementById('editor').classList.remove('hidden');
+                this.levelEditor.refreshUI();
+                break;
+            case GameStates.WORLD_MAP:
+                document.getElementById('worldMap').classList.remove('hidden');
+                this.campaign.displayWorldMap('worldMapLevels');
+                break;
+            case GameStates.DAILY:
+                document.getElementById('daily').classList.remove('hidden');
+                document.getElementById('dailyMessage').textContent = '';
+                this.displayDailyChallenge();
+                break;
+            case GameStates.SETTINGS:
+                document.getElementById('settings').classList.remove('hidden');
+                document.getElementById('settingsMessage').textContent = '';
+                this.displaySettings();
+                break;
+            case GameStates.CONTROLS:
+                document.getElementById('controls').classList.remove('hidden');
+                document.getElementById('controlsMessage').textContent = '';
+                this.displayKeyBindings();
+                break;
+            case GameStates.GAMEPAD:
+                document.getElementById('gamepad').classList.remove('hidden');
+                document.getElementById('gamepadMessage').textContent = '';
+                this.displayGamepadMapping();
                 break;
         }
     }
 
     updateHUD() {
+        if (this.headless) return;
+        if (this.versus) {
+            // Fields are only up to date once swapped back out
+            if (!this.activeField) this.updateVersusHUD();
+            return;
+        }
+        if (this.mode === GameModes.TIME_ATTACK && this.timeAttack.run) {
+            this.updateTimeAttackHUD();
+            return;
+        }
+
         document.getElementById('score').textContent = 'Score: ' + this.scoreManager.score.toLocaleString();
-        document.getElementById('highScore').textContent = 'High: ' + this.highScoreManager.getHighScore().toLocaleString();
-        document.getElementById('level').textContent = 'Level: ' + this.level;
+        this.updateHighScoreDisplay();
+        document.getElementById('level').textContent = this.getLevelText();
         document.getElementById('lives').textContent = 'Lives: ' + this.lives;
+        document.getElementById('splitDelta').classList.add('hidden');
     }
 
-    updateHighScoreDisplay() {
-        document.getElementById('highScore').textContent = 'High: ' + this.highScoreManager.getHighScore().toLocaleString();
+    getLevelText() {
+        switch (this.mode) {
+            case GameModes.ENDLESS:
+                return 'Rows: ' + this.levelManager.endless.rowsPushed;
+            case GameModes.DAILY:
+                return `Level: ${this.level}/${this.dailyRun.challenge.levels.length}`;
+            default:
+                return 'Level: ' + this.level + (this.boss ? ' (Boss)' : '');
+        }
     }
 
-    showHighScores() {
-        this.setState(GameStates.HIGH_SCORES);
+    /**
+     * Time attack HUD: course clock, best time, level of the course, penalty
+     * seconds and the split delta against the personal best
+     */
+    updateTimeAttackHUD() {
+        const best = this.timeAttack.getBestTime();
+        document.getElementById('score').textContent =
+            'Time: ' + TimeAttackManager.formatTime(this.timeAttack.getClock(this.gameTime));
+        document.getElementById('highScore').textContent =
+            'Best: ' + (best !== null ? TimeAttackManager.formatTime(best) : '-');
+        document.getElementById('level').textContent = `Level: ${this.level}/${this.timeAttack.courseLength}`;
+        document.getElementById('lives').textContent = 'Penalty: +' + this.timeAttack.run.penalty + 's';
+
+        const deltaDisplay = document.getElementById('splitDelta');
+        const delta = this.timeAttack.getLiveDelta(this.gameTime);
+        deltaDisplay.classList.toggle('hidden', delta === null);
+        if (delta !== null) {
+            deltaDisplay.textContent = TimeAttackManager.formatDelta(delta);
+            deltaDisplay.classList.toggle('ahead', delta < 0);
+            deltaDisplay.classList.toggle('behind', delta > 0);
+        }
     }
 
-    startGame() {
-        this.level = 1;
-        this.lives = 3;
-        this.gameTime = 0;
-        this.scoreManager.reset();
-        this.levelManager.reset();
-        this.powerUpManager.clear();
-        this.resetSpecialPowerUpStates();
-
-        this.loadLevel(this.level);
-        this.setState(GameStates.PLAYING);
+    updateHighScoreDisplay() {
+        if (this.headless) return;
+        const table = this.getHighScoreManager() || this.highScoreManager;
+        const label = table.lowerIsBetter ? 'Best: ' : 'High: ';
+        document.getElementById('highScore').textContent = label + table.formatScore(table.getHighScore());
     }
 
     /**
-     * Reset transient power-up states that live on the Game object so they
-     * never leak across lives, levels, or a fresh game.
+     * High score table a mode's runs go into (null for modes without one)
      */
-    resetSpecialPowerUpStates() {
-        this.autoBurstActive = false;
-        this.autoBurstBallsRemaining = 0;
-        this.autoBurstTimer = 0;
-        this.nextBrickExplodes = false;
-        this.partyModeActive = false;
-        this.partyModeTimer = 0;
-        this.partyModeHue = 0;
+    getHighScoreManager(mode = this.mode) {
+        switch (mode) {
+            case GameModes.CLASSIC:
+                return this.highScoreManager;
+            case GameModes.ENDLESS:
+                return this.endlessHighScores;
+            case GameModes.TIME_ATTACK:
+                return this.timeAttackScores;
+            case GameModes.COOP:
+                return this.coopHighScores;
+            case GameModes.DAILY:
+                // Only the day's scored attempt goes on its board
+                return this.dailyRun && this.dailyRun.scored ? this.daily.getScores(this.dailyRun.challenge.date) : null;
+            default:
+                return null;
+        }
     }
 
-    loadLevel(levelNum) {
-        this.level = levelNum;
-        this.levelTime = 0;
-        
-        // Generate bricks for this level
-        this.bricks = this.levelManager.generateLevel(levelNum, this.canvas.width);
-        
-        // Create paddle
-        const paddleY = this.canvas.height - 50;
-        this.paddle = new Paddle(this.canvas.width / 2, paddleY);
-        
-        // Create ball on paddle
-        this.balls = [];
-        this.createBallOnPaddle();
-        
-        // Clear other entities
-        this.lasers = [];
-        this.stuckBall = null;
-        this.particleSystem.clear();
-        this.powerUpManager.clear();
-        this.resetSpecialPowerUpStates();
-        this.scoreManager.resetCombo();
-        
-        this.updateHUD();
+    /**
+     * What a finished run is ranked by in its table: the course time in
+     * time attack, otherwise the score
+     */
+    getRankedResult() {
+        if (this.mode === GameModes.TIME_ATTACK) {
+            const splits = this.timeAttack.run.splits;
+            return splits[splits.length - 1];
+        }
+        return this.scoreManager.score;
     }
 
-    createBallOnPaddle() {
-        const ball = new Ball(
-            this.paddle.position.x,
-            this.paddle.position.y - 15,
-            8,
-            this.level
-        );
-        this.balls.push(ball);
-        return ball;
+    /**
+     * Progress column for a finished run's table entry
+     */
+    getRunProgress() {
+        switch (this.mode) {
+            case GameModes.ENDLESS:
+                return this.levelManager.endless.rowsPushed;
+            case GameModes.TIME_ATTACK:
+                return this.timeAttack.run.penalty;
+            default:
+                return this.level;
+        }
     }
 
-    nextLevel() {
-        this.level++;
-        this.loadLevel(this.level);
-        this.setState(GameStates.PLAYING);
+    /**
+     * Check if the run has ended (out of lives, the time attack course or
+     * daily challenge done, or the versus match decided)
+     */
+    isRunOver() {
+        if (this.versus) {
+            return this.versus.finished;
+        }
+        if (this.mode === GameModes.TIME_ATTACK) {
+            return this.timeAttack.run !== null && this.timeAttack.isCourseFinished();
+        }
+        if (this.mode === GameModes.DAILY && this.dailyRun && this.dailyRun.completed) {
+            return true;
+        }
+        return this.lives <= 0;
     }
 
-    pauseGame() {
-        if (this.state === GameStates.PLAYING) {
-            this.setState(GameStates.PAUSED);
+    /**
+     * Show a high score table (modes without their own table show classic;
+     * daily boards live on the daily challenge screen)
+     */
+    showHighScores(mode = GameModes.CLASSIC) {
+        if (mode === GameModes.DAILY) {
+            const date = this.dailyRun && this.dailyRun.challenge.date;
+            this.showDailyChallenge(date || undefined, GameStates.GAME_OVER);
+            return;
         }
+        this.scoresMode = this.getHighScoreManager(mode) ? mode : GameModes.CLASSIC;
+        this.setState(GameStates.HIGH_SCORES);
     }
 
-    resumeGame() {
-        if (this.state === GameStates.PAUSED) {
-            this.setState(GameStates.PLAYING);
-            this.input.clearKey('Escape');
-            this.input.clearKey('KeyP');
-        }
+    // ==================== CAMPAIGN ====================
+
+    /**
+     * Point campaign progress at the levels in use (a loaded pack keeps its
+     * own progress, sized to its level count)
+     */
+    useCampaignLevelSet() {
+        const pack = this.customLevelPack;
+        this.campaign.setLevelSet(
+            pack ? pack.name : null,
+            pack ? pack.levels.length : this.levelManager.maxLevels
+        );
     }
 
-    quitToMenu() {
-        this.setState(GameStates.MENU);
+    showWorldMap() {
+        this.useCampaignLevelSet();
+        this.setState(GameStates.WORLD_MAP);
     }
 
-    loseLife() {
-        this.lives--;
-        this.audio.playLifeLost();
-        
-        // Flash screen red
-        this.renderer.flashScreen('#ff0000', 0.3);
-        
-        if (this.lives <= 0) {
-            this.gameOver();
+    /**
+     * Start a campaign run on an unlocked level
+     */
+    startCampaignLevel(level) {
+        this.useCampaignLevelSet();
+        if (!this.campaign.isUnlocked(level)) return false;
+
+        this.campaign.markPlayed(level);
+        this.startGame(null, GameModes.CAMPAIGN, level);
+        return true;
+    }
+
+    /**
+     * Save the result of a cleared campaign level; the level's score is
+     * everything earned since it started, bonus included
+     */
+    recordCampaignLevel(bonus) {
+        const stars = this.scoreManager.calculateStars(bonus, this.levelManager.getParTime(this.level));
+        const result = this.campaign.recordLevelResult(
+            this.level,
+            this.scoreManager.score - this.levelStartScore,
+            stars
+        );
+        result.stars = stars;
+        return result;
+    }
+
+    // ==================== DAILY CHALLENGE ====================
+
+    /**
+     * Open the daily challenge screen on a day's board (today by default)
+     */
+    showDailyChallenge(date = this.daily.getDateKey(), returnState = GameStates.MENU) {
+        this.dailyBoardDate = date;
+        this.dailyReturnState = returnState;
+        this.setState(GameStates.DAILY);
+    }
+
+    /**
+     * Set up a daily run: today's challenge, scored only on the day's first
+     * attempt. Replays rebuild the challenge from their seed and never score.
+     */
+    startDailyRun(replay) {
+        if (replay) {
+            this.dailyRun = { challenge: this.daily.createChallenge(replay.seed), scored: false, completed: false };
+            return;
+        }
+
+        const challenge = this.daily.getChallenge();
+        this.dailyRun = { challenge: challenge, scored: this.daily.startAttempt(challenge.date), completed: false };
+    }
+
+    /**
+     * Use the daily run's levels and loadout (or none outside the daily challenge)
+     */
+    applyDailyChallenge() {
+        const challenge = this.dailyRun ? this.dailyRun.challenge : null;
+        this.levelManager.setDailyChallenge(challenge);
+        this.powerUpManager.loadout = challenge ? challenge.loadout : null;
+    }
+
+    /**
+     * Fill the daily challenge screen: today's challenge and attempt, and the
+     * board for the day picked in the history
+     */
+    displayDailyChallenge() {
+        const today = this.daily.getChallenge();
+        const result = this.daily.getResult(today.date);
+        const loadout = today.loadout
+            .map(id => Object.values(PowerUpTypes).find(type => type.id === id))
+            .map(type => `${type.icon} ${type.name}`);
+
+        document.getElementById('dailyDate').textContent = `${today.date} · Seed: ${GameRandom.formatSeed(today.seed)}`;
+        document.getElementById('dailyInfo').textContent =
+            `${today.levels.length} levels · Power-ups: ${loadout.join(', ')}`;
+        document.getElementById('dailyStatus').textContent = result
+            ? `Today's score: ${result.score.toLocaleString()} (level ${result.level}/${today.levels.length})`
+            : this.daily.hasAttempted(today.date) ? 'Today\'s attempt is used up' : 'One scored attempt per day';
+        document.getElementById('dailyPlayBtn').textContent = this.daily.hasAttempted(today.date) ? 'Practice' : 'Play';
+
+        const history = document.getElementById('dailyHistory');
+        history.innerHTML = this.daily.getHistory()
+            .map(date => `<option value="${date}">${date === today.date ? 'Today' : date}</option>`)
+            .join('');
+        history.value = this.dailyBoardDate;
+
+        document.getElementById('dailyExportBtn').disabled = !this.daily.getResult(this.dailyBoardDate);
+        this.daily.getScores(this.dailyBoardDate).displayScores('dailyScores');
+    }
+
+    /**
+     * Put the signed result for the day on show in the code box (and on the
+     * clipboard where allowed) to send to friends
+     */
+    exportDailyResult() {
+        const code = this.daily.exportResult(this.dailyBoardDate);
+        if (!code) return;
+
+        const codeInput = document.getElementById('dailyCode');
+        codeInput.value = code;
+        codeInput.select();
+        const message = document.getElementById('dailyMessage');
+        message.textContent = 'Send this result to a friend';
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(code)
+                .then(() => { message.textContent = 'Result copied - send it to a friend'; })
+                .catch(() => {});
+        }
+    }
+
+    /**
+     * Add a friend's signed result to its day's board
+     */
+    importDailyResult(text) {
+        const { result, error } = this.daily.importResult(text);
+        if (!result) {
+            document.getElementById('dailyMessage').textContent = error;
+            return false;
+        }
+
+        this.dailyBoardDate = result.date;
+        this.displayDailyChallenge();
+        document.getElementById('dailyCode').value = '';
+        document.getElementById('dailyMessage').textContent =
+            `Added ${result.name}: ${result.score.toLocaleString()} on ${result.date}`;
+        return true;
+    }
+
+    // ==================== THEMES ====================
+
+    /**
+     * The theme to show: the edited level's in the editor, the current
+     * level's in a run, otherwise the player's. A player who picked high
+     * contrast keeps it everywhere.
+     */
+    getThemeName() {
+        const chosen = this.settings.get('theme');
+        if (chosen === 'contrast') return chosen;
+
+        const inRun = this.state === GameStates.PLAYING ||
+            this.state === GameStates.PAUSED ||
+            this.state === GameStates.LEVEL_COMPLETE;
+
+        let requested = null;
+        if (this.state === GameStates.EDITOR) {
+            requested = this.levelEditor.theme;
+        } else if (inRun && this.levelManager.currentDefinition) {
+            requested = this.levelManager.currentDefinition.theme;
+        }
+        return requested || chosen;
+    }
+
+    /**
+     * Switch to getThemeName()'s theme, recolouring what is already in play
+     * and the page around the canvas
+     */
+    applyTheme() {
+        const theme = Theme.get(this.getThemeName());
+        if (theme === Theme.current) return;
+        Theme.current = theme;
+
+        // Nothing is in play yet when the constructor first applies settings
+        if (this.bricks) {
+            // A field swapped in by withField() lives on the game itself
+            const fields = this.versus
+                ? this.versus.fields.map(field => field === this.activeField ? this : field)
+                : [this];
+            for (const field of fields) {
+                field.bricks.forEach(brick => brick.applyTheme());
+                field.balls.forEach(ball => ball.applyTheme());
+                field.paddles.forEach(paddle => paddle.applyTheme());
+            }
+        }
+        this.renderer.applyTheme();
+        this.levelEditor.previewDirty = true;
+
+        if (this.headless) return;
+        const style = document.documentElement.style;
+        style.setProperty('--theme-accent', theme.accent);
+        style.setProperty('--theme-accent-rgb', Theme.toRgb(theme.accent));
+        style.setProperty('--theme-accent-dark', theme.page.accentDark);
+        style.setProperty('--theme-lines-rgb', theme.lines);
+        style.setProperty('--theme-page-background', theme.page.background);
+        style.setProperty('--theme-container-background', theme.page.container);
+        style.setProperty('--theme-option-background', theme.page.option);
+        style.setProperty('--theme-font', theme.page.font);
+        this.levelEditor.refreshPalette();
+    }
+
+    // ==================== SOUND ====================
+
+    /**
+     * Where a sound happened, as shares of the whole canvas for
+     * AudioManager's panning (versus fields sit in their own half)
+     */
+    getSoundPosition(x, y) {
+        const offsetX = this.activeField ? this.activeField.offsetX : 0;
+        return { x: (offsetX + x) / this.renderer.width, y: y / this.renderer.height };
+    }
+
+    /**
+     * Side walls sound from their own edge, the top wall from above the ball
+     */
+    getWallSoundPosition(side, ball) {
+        const x = side === 'left' ? 0 : side === 'right' ? this.canvas.width : ball.position.x;
+        return this.getSoundPosition(x, side === 'top' ? 0 : ball.position.y);
+    }
+
+    // ==================== MUSIC ====================
+
+    /**
+     * Menu music outside a run; in a run the level's track, ducked while paused
+     */
+    updateMusicState() {
+        const inRun = this.state === GameStates.PLAYING ||
+            this.state === GameStates.PAUSED ||
+            this.state === GameStates.LEVEL_COMPLETE;
+
+        if (!inRun) {
+            this.audio.playMusic('menu');
+            this.audio.setMusicTempo(1);
+            this.audio.setMusicIntensity(0.4);
+        } else {
+            this.audio.playMusic(this.getMusicTrack());
+        }
+        this.audio.setMusicDucked(this.state === GameStates.PAUSED);
+    }
+
+    /**
+     * Boss fights have their own track; otherwise each world (ten levels)
+     * has one, cycling through the worlds past the last
+     */
+    getMusicTrack() {
+        const fields = this.versus ? this.versus.fields : [this];
+        if (fields.some(field => field.boss && !field.boss.defeated)) {
+            return 'boss';
+        }
+
+        const level = Math.max(...fields.map(field => field.level));
+        const world = Math.floor((level - 1) / this.campaign.levelsPerWorld) % CampaignWorlds.length;
+        return CampaignWorlds[world].background;
+    }
+
+    /**
+     * How heated play is, from 0 to 1: more balls in play, a longer combo,
+     * more of the level cleared and fewer lives left all raise it. In
+     * versus the hotter field counts.
+     */
+    getMusicIntensity() {
+        const fields = this.versus ? this.versus.fields : [this];
+        return Math.max(...fields.map(field => {
+            const balls = Math.min(1, (field.balls.length - 1) / 2);
+            const combo = Math.min(1, field.scoreManager.combo / 15);
+            const danger = field.lives <= 1 ? 1 : field.lives === 2 ? 0.5 : 0;
+
+            let cleared;
+            if (field.boss) {
+                cleared = 1 - field.boss.getHealth() / field.boss.maxHealth;
+            } else {
+                const total = this.levelManager.getDestructibleCount(field.bricks);
+                const left = this.levelManager.getDestructibleCount(field.bricks.filter(brick => !brick.destroyed));
+                cleared = total > 0 ? 1 - left / total : 0;
+            }
+
+            return balls * 0.3 + combo * 0.3 + cleared * 0.25 + danger * 0.15;
+        }));
+    }
+
+    /**
+     * Pass the intensity on to the music, in steps of 0.05 so the layers
+     * are not re-faded every frame
+     */
+    updateMusicIntensity() {
+        if (this.state !== GameStates.PLAYING) return;
+        this.audio.setMusicIntensity(Math.round(this.getMusicIntensity() * 20) / 20);
+    }
+
+    /**
+     * Speed the music up in party mode and when few bricks are left
+     */
+    updateMusicTempo() {
+        if (this.state !== GameStates.PLAYING) return;
+
+        const fields = this.versus ? this.versus.fields : [this];
+        let tempo = 1;
+        if (fields.some(field => field.partyModeActive)) {
+            tempo *= 1.25;
+        }
+        const fewBricksLeft = fields.some(field => !field.boss &&
+            this.levelManager.getDestructibleCount(field.bricks.filter(brick => !brick.destroyed)) <= 5);
+        if (fewBricksLeft && this.mode !== GameModes.ENDLESS) {
+            tempo *= 1.15;
+        }
+        this.audio.setMusicTempo(tempo);
+    }
+
+    // ==================== SETTINGS ====================
+
+    /**
+     * Push the settings into the audio, renderer, effects and theme
+     */
+    applySettings() {
+        const settings = this.settings.values;
+        if (this.audio.enabled !== settings.sound) {
+            this.audio.toggle();
+        }
+        this.audio.setVolume(settings.masterVolume);
+        this.audio.setSfxVolume(settings.sfxVolume);
+        this.audio.setMusicVolume(settings.musicVolume);
+        this.audio.setMono(settings.monoAudio);
+        this.applySoundPack();
+
+        ParticleSystem.density = ParticleDensities[settings.particleDensity];
+        Ball.trailLength = settings.trailLength;
+        this.renderer.backgroundEffects = settings.backgroundEffects;
+        this.renderer.flashIntensity = settings.flashIntensity;
+        this.applyTheme();
+    }
+
+    /**
+     * Load every sound pack in the index so they can be picked in settings.
+     * Broken packs are reported in the console and left out.
+     */
+    async loadSoundPacks() {
+        let urls;
+        try {
+            urls = await this.soundPackLoader.loadIndex();
+        } catch (e) {
+            console.warn('Could not load the sound pack list:', e);
+            return;
+        }
+
+        for (const url of urls) {
+            let result;
+            try {
+                result = await this.soundPackLoader.load(url);
+            } catch (e) {
+                console.warn(`Could not load sound pack ${url}:`, e);
+                continue;
+            }
+            if (!result.pack) {
+                console.warn(`Sound pack ${url} is invalid:\n` + result.errors.map(e => e.message).join('\n'));
+                continue;
+            }
+            this.soundPacks.push({ url: url, name: result.pack.name, pack: result.pack });
+        }
+
+        this.displaySoundPacks();
+        this.applySoundPack();
+    }
+
+    /**
+     * Give the audio the chosen sound pack; the synth if it is not (or no
+     * longer) in the index
+     */
+    applySoundPack() {
+        const chosen = this.soundPacks.find(entry => entry.url === this.settings.get('soundPack'));
+        const pack = chosen ? chosen.pack : null;
+        if (this.audio.soundPack !== pack) {
+            this.audio.setSoundPack(pack);
+        }
+    }
+
+    displaySoundPacks() {
+        const select = document.getElementById('soundPackSelect');
+        select.innerHTML = '<option value="synth">Synthesized</option>';
+        for (const entry of this.soundPacks) {
+            const option = document.createElement('option');
+            option.value = entry.url;
+            option.textContent = entry.name;
+            select.appendChild(option);
+        }
+        this.displaySettings();
+    }
+
+    /**
+     * Fill the settings screen from the current values
+     */
+    displaySettings() {
+        const settings = this.settings.values;
+        document.querySelectorAll('#settingsList [data-setting]').forEach(control => {
+            const value = settings[control.dataset.setting];
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = value;
+            }
+        });
+        document.querySelectorAll('#settingsList [data-value-for]').forEach(label => {
+            const name = label.dataset.valueFor;
+            const definition = SettingDefinitions[name];
+            label.textContent = definition.max === 1 ? `${Math.round(settings[name] * 100)}%` : settings[name];
+        });
+        this.displayTouchSettings();
+    }
+
+    // ==================== CONTROLS ====================
+
+    /**
+     * Menu controls info, from the current key bindings
+     */
+    displayControlsInfo() {
+        const keys = (action) => this.input.describeAction(action);
+        const dragging = this.input.touchMode === TouchModes.DRAG;
+        document.getElementById('controlsBindings').innerHTML = `
+            <p>${keys('MOVE_LEFT')} and ${keys('MOVE_RIGHT')} or ${dragging ? 'Drag' : 'Tap Left/Right'}</p>
+            <p>${keys('LAUNCH')} or ${dragging ? 'Tap / Second Finger' : 'Tap'} to Launch Ball · ${keys('SHOOT')} to Shoot</p>
+            <p>${keys('PAUSE')} to Pause</p>
+            <p>2 Players (fixed keys): ${InputManager.describePlayerKeys(0)} (P1) · ${InputManager.describePlayerKeys(1)} (P2)</p>
+        `;
+    }
+
+    /**
+     * Touch scheme and drag sensitivity on the settings screen
+     */
+    displayTouchSettings() {
+        document.getElementById('touchMode').value = this.input.touchMode;
+        const sensitivity = document.getElementById('touchSensitivity');
+        sensitivity.min = this.input.minTouchSensitivity;
+        sensitivity.max = this.input.maxTouchSensitivity;
+        sensitivity.value = this.input.touchSensitivity;
+        sensitivity.disabled = this.input.touchMode !== TouchModes.DRAG;
+        document.getElementById('touchSensitivityValue').textContent = `${this.input.touchSensitivity.toFixed(2)}x`;
+    }
+
+    /**
+     * Fill the controls screen: two key slots per action, and the fixed
+     * two-player keys
+     */
+    displayKeyBindings() {
+        document.getElementById('keyBindings').innerHTML = InputActions.map(action => `
+            <div class="editor-row">
+                <label>${action.name}</label>
+                ${[0, 1].map(slot => `
+                    <button class="btn-small${this.input.isCapturing(action.id, slot) ? ' active' : ''}"
+                        data-action="${action.id}" data-slot="${slot}">
+                        ${this.input.isCapturing(action.id, slot) ? 'Press a key...' : InputManager.getKeyName(this.input.bindings[action.id][slot])}
+                    </button>
+                `).join('')}
+            </div>
+        `).join('');
+        document.getElementById('playerKeysNote').textContent =
+            `Co-op and versus keys are fixed: ${InputManager.describePlayerKeys(0)} for P1, ${InputManager.describePlayerKeys(1)} for P2`;
+    }
+
+    /**
+     * Bind the next key pressed to an action's slot, reporting any keys
+     * that had to move from other actions
+     */
+    captureKeyBinding(action, slot) {
+        this.input.startCapture(action, slot, (moved) => {
+            if (moved === null) {
+                document.getElementById('controlsMessage').textContent = '';
+                this.displayKeyBindings();
+                return;
+            }
+            const name = (id) => InputActions.find(candidate => candidate.id === id).name;
+            let message = `${name(action)}: ${this.input.describeAction(action)}`;
+            if (moved.length > 0) {
+                message = 'That key was on ' + moved.map(move => move.code !== null
+                    ? `${name(move.action)} - it now uses ${InputManager.getKeyName(move.code)} instead`
+                    : `${name(move.action)} - that slot is now empty`
+                ).join('; ');
+            }
+            document.getElementById('controlsMessage').textContent = message;
+            this.displayKeyBindings();
+        });
+        document.getElementById('controlsMessage').textContent = '';
+        this.displayKeyBindings();
+    }
+
+    // ==================== GAMEPAD ====================
+
+    /**
+     * React to pads being plugged in or pulled out: a pad lost mid-run
+     * pauses the game, and the menu and mapping screen show what is connected
+     */
+    setupGamepads() {
+        const gamepads = this.input.gamepads;
+        if (!gamepads) return;
+
+        gamepads.onConnect = () => this.updateGamepadStatus();
+        gamepads.onDisconnect = () => {
+            this.pauseGame();
+            this.updateGamepadStatus();
+        };
+    }
+
+    updateGamepadStatus() {
+        const pads = this.input.gamepads.pads;
+        document.getElementById('gamepadInfo').classList.toggle('hidden', pads.length === 0);
+        document.getElementById('gamepadStatus').textContent = pads.length > 0
+            ? pads.map((pad, player) => `P${player + 1}: ${pad.id}`).join('\n')
+            : 'No gamepad found - connect one and press any button';
+    }
+
+    /**
+     * Fill the mapping screen: connected pads and each action's binding
+     */
+    displayGamepadMapping() {
+        const gamepads = this.input.gamepads;
+        this.updateGamepadStatus();
+
+        document.getElementById('gamepadMapping').innerHTML = GamepadActions.map(action => `
+            <div class="editor-row">
+                <label>${action.name}</label>
+                <button class="btn-small${gamepads.isCapturing(action.id) ? ' active' : ''}" data-action="${action.id}">
+                    ${gamepads.isCapturing(action.id) ? (action.kind === 'axis' ? 'Move a stick...' : 'Press a button...') : gamepads.describe(action.id)}
+                </button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Bind the next button press (or stick movement) on any pad to an action
+     */
+    captureGamepadAction(action) {
+        this.input.gamepads.startCapture(action, () => {
+            document.getElementById('gamepadMessage').textContent =
+                `${GamepadActions.find(candidate => candidate.id === action).name}: ${this.input.gamepads.describe(action)}`;
+            this.displayGamepadMapping();
+        });
+        document.getElementById('gamepadMessage').textContent = '';
+        this.displayGamepadMapping();
+    }
+
+    // ==================== VERSUS ====================
+
+    /**
+     * Split the canvas into two fields and load level 1 into both
+     */
+    loadVersus() {
+        this.versus = new VersusMatch(this.canvas.width, this.canvas.height);
+        for (const field of this.versus.fields) {
+            this.withField(field, () => this.loadLevel(1));
+            this.versus.resetRows(field);
+        }
+        this.updateHUD();
+    }
+
+    /**
+     * Run code with a versus field's state swapped onto the game, so the
+     * single-player methods (stepPlayfield, loadLevel, applyPowerUp...) act
+     * on that field. The field object is only current again afterwards.
+     */
+    withField(field, fn) {
+        const saved = {};
+        for (const key of VersusFieldKeys) {
+            saved[key] = this[key];
+            this[key] = field[key];
+        }
+        this.activeField = field;
+
+        try {
+            fn();
+        } finally {
+            for (const key of VersusFieldKeys) {
+                field[key] = this[key];
+                this[key] = saved[key];
+            }
+            this.activeField = null;
+        }
+    }
+
+    /**
+     * Step both fields, then hand over the garbage they sent and check for
+     * a winner
+     */
+    updateVersus(dt, players) {
+        const match = this.versus;
+        let bruteForce = 0;
+
+        for (const field of match.fields) {
+            let cleared = false;
+            this.withField(field, () => {
+                const queries = this.physics.queries;
+                this.stepPlayfield(dt, [players[field.index]]);
+                bruteForce += (this.physics.queries - queries) * this.bricks.length;
+                cleared = this.levelManager.isLevelComplete(this.bricks, this.boss);
+            });
+
+            match.checkClearedRows(field, GameRandom.gameplay);
+            if (cleared) {
+                this.completeVersusLevel(field);
+            }
+        }
+
+        for (const { target, type } of match.takeGarbage()) {
+            this.withField(target, () => this.receiveGarbage(type));
+        }
+
+        if (this.benchmark) {
+            this.recordBenchmarkStep(bruteForce);
+        }
+
+        if (match.checkResult()) {
+            this.audio.playLevelComplete();
+            this.gameOver();
+            return;
+        }
+        this.updateHUD();
+    }
+
+    /**
+     * A versus field cleared its level: bonus, then straight on to the next
+     * one unless that was the winning level
+     */
+    completeVersusLevel(field) {
+        field.levelsCleared++;
+        this.audio.playLevelComplete();
+
+        this.withField(field, () => {
+            const bonus = this.scoreManager.calculateLevelScore(
+                this.level,
+                this.levelTime,
+                this.lives,
+                this.levelManager.getParTime(this.level)
+            );
+            this.scoreManager.addBonus(bonus.total, 'LEVEL BONUS', this.canvas.width / 2, this.canvas.height / 2);
+
+            if (field.levelsCleared < this.versus.levelsToWin) {
+                this.loadLevel(this.level + 1);
+            }
+        });
+        this.versus.resetRows(field);
+    }
+
+    /**
+     * Garbage from the other player lands as if this field had caught it
+     */
+    receiveGarbage(type) {
+        this.applyPowerUp(type);
+        this.scoreManager.addPopup('GARBAGE!', type.name, this.paddle.position.x, this.paddle.position.y - 30);
+    }
+
+    updateVersusHUD() {
+        const [first, second] = this.versus.fields;
+        document.getElementById('score').textContent =
+            `P1: ${first.scoreManager.score.toLocaleString()} · Lives ${first.lives}`;
+        document.getElementById('highScore').textContent = `Levels: ${first.levelsCleared} - ${second.levelsCleared}`;
+        document.getElementById('level').textContent = `First to ${this.versus.levelsToWin}`;
+        document.getElementById('lives').textContent =
+            `P2: ${second.scoreManager.score.toLocaleString()} · Lives ${second.lives}`;
+        document.getElementById('splitDelta').classList.add('hidden');
+    }
+
+    // ==================== SAVED RUNS ====================
+
+    /**
+     * Save the run in progress (never replays or editor test play)
+     */
+    saveRun() {
+        // Versus matches are short and need both players; they aren't saved
+        if (this.replayPlayer || this.editorTestPlay || this.versus) return false;
+        return this.saveManager.save(this.serializeRun());
+    }
+
+    /**
+     * Everything needed to rebuild the current run: progress, every brick
+     * (destroyed ones too, so clone links and pending explosions can refer
+     * to bricks by index), entities, power-up timers and the random state.
+     * Particles and score popups are cosmetic and start fresh.
+     */
+    serializeRun() {
+        const brickIndex = new Map(this.bricks.map((brick, i) => [brick, i]));
+
+        return {
+            mode: this.mode,
+            startLevel: this.startLevel,
+            level: this.level,
+            lives: this.lives,
+            gameTime: this.gameTime,
+            levelTime: this.levelTime,
+            levelStartScore: this.levelStartScore,
+            levelPack: this.levelManager.levelPack ? this.levelManager.levelPack.name : null,
+            width: this.canvas.width,
+            height: this.canvas.height,
+            seed: this.seed,
+            randomState: GameRandom.gameplay.state,
+            levelRandomState: this.levelManager.random.state,
+            endless: this.levelManager.endless ? Object.assign({}, this.levelManager.endless) : null,
+            timeAttack: this.timeAttack.run ? JSON.parse(JSON.stringify(this.timeAttack.run)) : null,
+            daily: this.dailyRun ? {
+                date: this.dailyRun.challenge.date,
+                scored: this.dailyRun.scored,
+                completed: this.dailyRun.completed
+            } : null,
+            score: this.scoreManager.getSaveData(),
+            bricks: this.bricks.map(brick => brick.toSaveData(brickIndex)),
+            balls: this.balls.map(ball => ball.toSaveData()),
+            stuckBall: this.stuckBall ? this.balls.indexOf(this.stuckBall) : null,
+            boss: this.boss ? this.boss.toSaveData() : null,
+            paddles: this.paddles.map(paddle => paddle.toSaveData()),
+            lasers: this.lasers.map(laser => Object.assign({}, laser)),
+            powerUps: this.powerUpManager.getSaveData(),
+            autoBurst: {
+                active: this.autoBurstActive,
+                ballsRemaining: this.autoBurstBallsRemaining,
+                timer: this.autoBurstTimer,
+                player: this.autoBurstPlayer
+            },
+            nextBrickExplodes: this.nextBrickExplodes,
+            pendingExplosions: this.pendingExplosions.map(p => ({ brick: brickIndex.get(p.brick), delay: p.delay, player: p.player })),
+            coop: this.coop ? this.coop.getSaveData() : null,
+            partyMode: {
+                active: this.partyModeActive,
+                timer: this.partyModeTimer,
+                hue: this.partyModeHue
+            },
+            // The replay so far, so a continued run still records as one
+            recording: this.replayManager.recording
+        };
+    }
+
+    /**
+     * Pick up the saved run, paused so the player can get ready
+     */
+    continueRun() {
+        const run = this.saveManager.load();
+        if (!run) return false;
+
+        this.restoreRun(run);
+        this.setState(GameStates.PAUSED);
+        return true;
+    }
+
+    /**
+     * Rebuild the game from serializeRun() output
+     */
+    restoreRun(run) {
+        const packName = this.customLevelPack ? this.customLevelPack.name : null;
+        if (run.levelPack !== packName) {
+            console.warn('Saved run used different levels; later levels may differ');
+        }
+        if (run.width !== this.canvas.width || run.height !== this.canvas.height) {
+            console.warn('Saved run used a different playfield size');
+        }
+
+        this.replayPlayer = null;
+        this.lastDragX = null;
+        this.mode = run.mode;
+        this.startLevel = run.startLevel;
+        this.level = run.level;
+        this.lives = run.lives;
+        this.gameTime = run.gameTime;
+        this.levelTime = run.levelTime;
+        this.levelStartScore = run.levelStartScore;
+
+        // Resume the gameplay stream exactly where it stopped
+        this.seed = run.seed;
+        GameRandom.setSeed(run.seed);
+        GameRandom.gameplay.state = run.randomState;
+
+        // The daily challenge is rebuilt from the run seed, like in replays
+        this.dailyRun = run.daily ? {
+            challenge: this.daily.createChallenge(run.seed, run.daily.date),
+            scored: run.daily.scored,
+            completed: run.daily.completed
+        } : null;
+        this.applyDailyChallenge();
+
+        if (run.endless) {
+            this.levelManager.restoreEndless(run.endless);
+        } else {
+            this.levelManager.stopEndless();
+            this.levelManager.currentLevel = run.level;
+            // Procedural definitions draw from the level's stream (as in
+            // generateLevel), never from the restored gameplay stream
+            this.levelManager.random = GameRandom.derive(`level:${run.level}`);
+            this.levelManager.currentDefinition = this.levelManager.getLevelDefinition(run.level);
+        }
+        this.levelManager.random = new SeededRandom(run.levelRandomState);
+        this.timeAttack.setLevelSet(run.levelPack);
+        this.timeAttack.run = run.timeAttack || null;
+        this.timeAttackResult = null;
+        this.renderer.setBackgroundTheme(this.levelManager.currentDefinition.background);
+        this.applyTheme();
+        this.scoreManager.restoreSaveData(run.score);
+
+        // Bricks first, then the clone links and explosions that point at them
+        this.bricks = run.bricks.map(data => Brick.fromSaveData(data));
+        this.bricks.forEach((brick, i) => brick.restoreLinks(run.bricks[i], this.bricks));
+        this.brickGrid.build(this.bricks.filter(brick => !brick.destroyed));
+        this.boss = run.boss ? Boss.fromSaveData(run.boss) : null;
+
+        this.paddles = run.paddles.map(data => Paddle.fromSaveData(data));
+        this.paddle = this.paddles[0];
+        this.balls = run.balls.map(data => Ball.fromSaveData(data));
+        this.stuckBall = run.stuckBall !== null ? this.balls[run.stuckBall] || null : null;
+        this.lasers = run.lasers.map(laser => Object.assign({}, laser));
+        this.powerUpManager.restoreSaveData(run.powerUps);
+
+        this.autoBurstActive = run.autoBurst.active;
+        this.autoBurstBallsRemaining = run.autoBurst.ballsRemaining;
+        this.autoBurstTimer = run.autoBurst.timer;
+        this.autoBurstPlayer = run.autoBurst.player;
+        this.nextBrickExplodes = run.nextBrickExplodes;
+        this.pendingExplosions = run.pendingExplosions
+            .filter(p => this.bricks[p.brick])
+            .map(p => ({ brick: this.bricks[p.brick], delay: p.delay, player: p.player }));
+        this.coop = null;
+        if (run.coop) {
+            this.coop = new CoopStats(run.coop.length);
+            this.coop.restoreSaveData(run.coop);
+        }
+        this.partyModeActive = run.partyMode.active;
+        this.partyModeTimer = run.partyMode.timer;
+        this.partyModeHue = run.partyMode.hue;
+
+        this.particleSystem.clear();
+        this.resetBenchmarkStats();
+        this.replayManager.recording = run.recording || null;
+
+        this.updateHUD();
+        this.updatePowerUpDisplay();
+    }
+
+    /**
+     * Load a JSON level pack and use it in place of the built-in levels.
+     * Validation errors are reported per level/row/column and the built-in
+     * levels stay in use.
+     */
+    async loadLevelPack(url) {
+        let result;
+        try {
+            result = await this.levelLoader.load(url);
+        } catch (e) {
+            console.warn('Could not load level pack:', e);
+            return false;
+        }
+
+        if (!result.pack) {
+            console.warn(`Level pack ${url} is invalid:\n` + result.errors.map(e => e.message).join('\n'));
+            return false;
+        }
+
+        this.customLevelPack = result.pack;
+        this.levelManager.setLevelPack(result.pack);
+        return true;
+    }
+
+    openEditor() {
+        this.setState(GameStates.EDITOR);
+    }
+
+    /**
+     * Play a level straight from the editor. Finishing, losing or quitting
+     * returns to the editor instead of the menu.
+     */
+    testPlayLevel(pack) {
+        this.editorTestPlay = true;
+        this.levelManager.setLevelPack(pack);
+        this.startGame();
+    }
+
+    /**
+     * Leave editor test play and restore the normal level table
+     */
+    endTestPlay(message) {
+        this.editorTestPlay = false;
+        this.levelManager.setLevelPack(this.customLevelPack);
+        this.powerUpManager.clear();
+        this.updatePowerUpDisplay();
+        this.openEditor();
+        this.levelEditor.setStatus(message);
+    }
+
+    /**
+     * Start a new run. With a replay, the run is played back from its
+     * recorded seed and input instead of live input (and in its recorded
+     * mode and start level).
+     */
+    startGame(replay = null, mode = GameModes.CLASSIC, startLevel = 1) {
+        // A new live run replaces any saved one
+        if (!replay) {
+            this.saveManager.clear();
+        }
+
+        this.replayPlayer = replay ? this.replayManager.createPlayer(replay) : null;
+        this.mode = replay ? (replay.mode || GameModes.CLASSIC) : mode;
+        this.startLevel = replay ? (replay.startLevel || 1) : startLevel;
+
+        if (this.mode === GameModes.DAILY) {
+            this.startDailyRun(replay);
+        } else {
+            this.dailyRun = null;
+        }
+
+        // Seed gameplay randomness first so the whole run is reproducible.
+        // Time attack always uses its course seed so every attempt is alike,
+        // and the daily challenge the day's seed.
+        if (replay) {
+            this.seed = replay.seed;
+        } else if (this.mode === GameModes.TIME_ATTACK) {
+            this.seed = this.timeAttack.seed;
+        } else if (this.mode === GameModes.DAILY) {
+            this.seed = this.dailyRun.challenge.seed;
+        } else {
+            this.seed = this.requestedSeed !== null ? this.requestedSeed : GameRandom.createSeed();
+        }
+        GameRandom.setSeed(this.seed);
+
+        this.level = this.startLevel;
+        this.lives = 3;
+        this.gameTime = 0;
+        this.scoreManager.reset();
+        this.levelManager.reset();
+        this.powerUpManager.clear();
+        this.applyDailyChallenge();
+        this.resetSpecialPowerUpStates();
+        this.resetBenchmarkStats();
+
+        this.timeAttackResult = null;
+        if (this.mode === GameModes.TIME_ATTACK) {
+            this.timeAttack.setLevelSet(this.levelManager.levelPack ? this.levelManager.levelPack.name : null);
+            this.timeAttack.startRun();
+        } else {
+            this.timeAttack.stopRun();
+        }
+
+        this.coop = this.mode === GameModes.COOP ? new CoopStats() : null;
+        this.versus = null;
+        if (this.mode === GameModes.ENDLESS) {
+            this.loadEndless();
+        } else if (this.mode === GameModes.VERSUS) {
+            this.levelManager.stopEndless();
+            this.loadVersus();
+        } else {
+            this.levelManager.stopEndless();
+            this.loadLevel(this.level);
+        }
+        this.setState(GameStates.PLAYING);
+
+        if (!replay) {
+            this.replayManager.startRecording(
+                this.seed,
+                this.canvas.width,
+                this.canvas.height,
+                this.levelManager.levelPack ? this.levelManager.levelPack.name : null,
+                this.mode,
+                this.startLevel
+            );
+        }
+    }
+
+    /**
+     * Finish the replay being recorded with the run's score and level; in
+     * versus, those of the winning (or leading) field
+     */
+    stopRecording() {
+        const field = this.versus ? this.versus.getLeadingField() : this;
+        this.replayManager.stopRecording(field.scoreManager.score, field.level);
+    }
+
+    /**
+     * Watch a recorded run
+     */
+    startReplay(replay) {
+        if (replay.levelPack !== (this.customLevelPack ? this.customLevelPack.name : null)) {
+            console.warn('Replay was recorded with different levels; playback may diverge');
+        }
+
+        // Gameplay depends on the playfield size, so match the recording
+        this.canvas.width = replay.width;
+        this.canvas.height = replay.height;
+        this.renderer.resize(replay.width, replay.height);
+        this.input.updateTouchZones();
+
+        this.startGame(replay);
+    }
+
+    /**
+     * Stop replay playback and go back to live input and sizing
+     */
+    stopReplay() {
+        this.replayPlayer = null;
+        this.resizeCanvas();
+    }
+
+    /**
+     * Reset transient power-up states that live on the Game object so they
+     * never leak across lives, levels, or a fresh game.
+     */
+    resetSpecialPowerUpStates() {
+        this.autoBurstActive = false;
+        this.autoBurstBallsRemaining = 0;
+        this.autoBurstTimer = 0;
+        this.autoBurstPlayer = 0;
+        this.nextBrickExplodes = false;
+        this.pendingExplosions = [];
+        this.partyModeActive = false;
+        this.partyModeTimer = 0;
+        this.partyModeHue = 0;
+    }
+
+    loadLevel(levelNum) {
+        this.level = levelNum;
+        this.levelTime = 0;
+        this.levelStartScore = this.scoreManager.score;
+        
+        // Generate bricks for this level
+        this.setupPlayfield(
+            this.levelManager.generateLevel(levelNum, this.canvas.width),
+            this.levelManager.createBoss(levelNum, this.canvas.width)
+        );
+    }
+
+    /**
+     * Start the endless wall (endless runs have a single, never-ending level)
+     */
+    loadEndless() {
+        this.level = 1;
+        this.levelTime = 0;
+        this.levelStartScore = this.scoreManager.score;
+        this.setupPlayfield(this.levelManager.startEndless(this.canvas.width));
+    }
+
+    /**
+     * Put fresh bricks (and the boss on boss levels), paddles and ball on the field
+     */
+    setupPlayfield(bricks, boss = null) {
+        this.bricks = bricks;
+        this.boss = boss;
+        this.brickGrid.build(this.bricks);
+        this.renderer.setBackgroundTheme(this.levelManager.currentDefinition.background);
+        this.applyTheme();
+        
+        // Create paddles
+        this.paddles = this.createPaddles();
+        this.paddle = this.paddles[0];
+        
+        // Create ball on paddle
+        this.balls = [];
+        this.createBallOnPaddle();
+        
+        // Clear other entities
+        this.lasers = [];
+        this.stuckBall = null;
+        this.lastDragX = null;
+        this.particleSystem.clear();
+        this.powerUpManager.clear();
+        this.resetSpecialPowerUpStates();
+        this.scoreManager.resetCombo();
+        
+        this.updateHUD();
+    }
+
+    /**
+     * One paddle, or in co-op one per player: player 2's runs on a line
+     * above player 1's so the two can pass each other
+     */
+    createPaddles() {
+        const paddleY = this.canvas.height - 50;
+        if (this.mode !== GameModes.COOP) {
+            return [new Paddle(this.getPaddleStartX(0), paddleY)];
+        }
+
+        return [0, 1].map(player => {
+            const paddle = new Paddle(this.getPaddleStartX(player), paddleY - player * 40);
+            paddle.setPlayer(player);
+            return paddle;
+        });
+    }
+
+    /**
+     * Where a player's paddle starts (co-op paddles start a third of the way in from each side)
+     */
+    getPaddleStartX(player) {
+        return this.mode === GameModes.COOP
+            ? this.canvas.width * (player + 1) / 3
+            : this.canvas.width / 2;
+    }
+
+    /**
+     * Put a new ball on a player's paddle; it's theirs to launch
+     */
+    createBallOnPaddle(player = 0) {
+        const paddle = this.paddles[player];
+        const ball = new Ball(
+            paddle.position.x,
+            paddle.position.y - 15,
+            8,
+            this.level
+        );
+        ball.lastPlayer = player;
+        this.balls.push(ball);
+        return ball;
+    }
+
+    nextLevel() {
+        // The campaign ends on its last level; back to the map
+        if (this.mode === GameModes.CAMPAIGN && this.campaign.isLastLevel(this.level)) {
+            this.replayManager.stopRecording(this.scoreManager.score, this.level);
+            if (this.replayPlayer) {
+                this.stopReplay();
+            }
+            this.showWorldMap();
+            return;
+        }
+
+        this.level++;
+        this.loadLevel(this.level);
+        this.setState(GameStates.PLAYING);
+    }
+
+    pauseGame() {
+        if (this.state === GameStates.PLAYING) {
+            this.setState(GameStates.PAUSED);
+            this.saveRun();
+        }
+    }
+
+    resumeGame() {
+        if (this.state === GameStates.PAUSED) {
+            this.setState(GameStates.PLAYING);
+            this.input.clearPause();
+        }
+    }
+
+    quitToMenu() {
+        this.stopRecording();
+        if (this.replayPlayer) {
+            this.stopReplay();
+        }
+        
+        if (this.editorTestPlay) {
+            this.endTestPlay('Test play stopped');
+            return;
+        }
+        this.setState(GameStates.MENU);
+    }
+
+    /**
+     * All balls are gone. In co-op the player who last touched the ball
+     * serves the next one.
+     */
+    loseLife(servingPlayer = 0) {
+        // Time attack never ends early: a lost life costs penalty seconds
+        if (this.mode === GameModes.TIME_ATTACK) {
+            this.timeAttack.addPenalty();
+        } else {
+            this.lives--;
+        }
+        this.audio.playLifeLost();
+        
+        // Flash screen red
+        this.renderer.flashScreen('#ff0000', 0.3);
+        
+        if (this.lives <= 0) {
+            // A versus field out of lives ends the match after this step
+            if (!this.versus) this.gameOver();
         } else {
             // Reset ball position
             this.balls = [];
-            this.createBallOnPaddle();
+            this.createBallOnPaddle(servingPlayer);
             this.stuckBall = null;
             this.powerUpManager.clearEffects();
             this.resetSpecialPowerUpStates();
-            this.paddle.reset(this.canvas.width / 2, this.paddle.position.y);
+            if (this.boss) {
+                this.boss.clearProjectiles();
+            }
+            this.paddles.forEach((paddle, player) => {
+                paddle.reset(this.getPaddleStartX(player), paddle.position.y);
+            });
         }
         
         this.updateHUD();
     }
 
+    /**
+     * End the run: out of lives, or (in time attack) the course is finished
+     */
     gameOver() {
-        this.audio.playGameOver();
+        // A finished course (time attack, daily challenge) already played
+        // the level complete sound
+        if (this.lives <= 0) {
+            this.audio.playGameOver();
+        }
+        const watchingReplay = this.replayPlayer !== null;
+        this.stopRecording();
+        if (watchingReplay) {
+            this.stopReplay();
+        } else {
+            this.saveManager.clear();
+        }
+
+        if (!watchingReplay && this.dailyRun && this.dailyRun.scored) {
+            this.daily.recordResult(this.dailyRun.challenge.date, this.scoreManager.score, this.level, this.dailyRun.completed);
+        }
+        
+        if (this.editorTestPlay) {
+            this.endTestPlay('Test play: out of lives');
+            return;
+        }
+        
         this.setState(GameStates.GAME_OVER);
+        if (this.headless) return;
         
-        document.getElementById('finalScore').textContent = 'Score: ' + this.scoreManager.score.toLocaleString();
-        document.getElementById('finalLevel').textContent = 'Level Reached: ' + this.level;
+        const summary = this.getRunSummary();
+        document.getElementById('gameOverTitle').textContent = summary.title;
+        document.getElementById('finalScore').textContent = summary.result;
+        document.getElementById('finalLevel').textContent = summary.progress;
+        const playerStats = document.getElementById('finalPlayers');
+        playerStats.textContent = summary.players ? summary.players.join('\n') : '';
+        playerStats.classList.toggle('hidden', !summary.players);
+        document.getElementById('finalSeed').textContent = 'Seed: ' + GameRandom.formatSeed(this.seed);
         
         // Reset submit button state for new game over
         const submitBtn = document.getElementById('submitScore');
@@ -335,8 +1977,10 @@ class Game {
         nameInput.disabled = false;
         nameInput.value = '';
         
-        // Check for high score
-        if (this.highScoreManager.isHighScore(this.scoreManager.score)) {
+        // Check for high score (not for watched replays or modes without a
+        // table, like the campaign, whose runs can start past level 1)
+        const table = this.getHighScoreManager();
+        if (!watchingReplay && table && table.isHighScore(this.getRankedResult())) {
             document.getElementById('newHighScore').classList.remove('hidden');
             nameInput.focus();
         } else {
@@ -344,26 +1988,161 @@ class Game {
         }
     }
 
+    /**
+     * Text for the end of run screen ({ title, result, progress }, plus
+     * players - a line of stats per player - in co-op)
+     */
+    getRunSummary() {
+        if (this.mode === GameModes.TIME_ATTACK) {
+            const result = this.timeAttackResult;
+            let progress = 'Penalty: +' + this.timeAttack.run.penalty + 's';
+            if (result && result.newBest) {
+                progress += ' · New personal best!';
+            } else if (result && result.delta !== null) {
+                progress += ' · ' + TimeAttackManager.formatDelta(result.delta) + ' vs best';
+            }
+            return {
+                title: 'Course Complete',
+                result: 'Time: ' + TimeAttackManager.formatTime(this.getRankedResult()),
+                progress: progress
+            };
+        }
+
+        if (this.versus) {
+            const [first, second] = this.versus.fields;
+            return {
+                title: this.versus.getResultText(),
+                result: `P1 ${first.scoreManager.score.toLocaleString()} - ${second.scoreManager.score.toLocaleString()} P2`,
+                progress: `Levels Cleared: ${first.levelsCleared} - ${second.levelsCleared}`
+            };
+        }
+
+        if (this.mode === GameModes.DAILY) {
+            const levelCount = this.dailyRun.challenge.levels.length;
+            return {
+                title: this.dailyRun.completed ? 'Challenge Complete' : 'Game Over',
+                result: 'Score: ' + this.scoreManager.score.toLocaleString(),
+                progress: `Level Reached: ${this.level}/${levelCount}` + (this.dailyRun.scored ? '' : ' · Practice, not scored')
+            };
+        }
+
+        if (this.coop) {
+            return {
+                title: 'Game Over',
+                result: 'Team Score: ' + this.scoreManager.score.toLocaleString(),
+                progress: 'Level Reached: ' + this.level,
+                players: this.coop.getSummary()
+            };
+        }
+
+        return {
+            title: 'Game Over',
+            result: 'Score: ' + this.scoreManager.score.toLocaleString(),
+            progress: this.mode === GameModes.ENDLESS
+                ? 'Rows Survived: ' + this.levelManager.endless.rowsPushed
+                : 'Level Reached: ' + this.level
+        };
+    }
+
     levelComplete() {
         this.audio.playLevelComplete();
         
+        if (this.editorTestPlay) {
+            this.endTestPlay(`Test play: cleared in ${this.levelTime.toFixed(1)}s`);
+            return;
+        }
+        
         // Calculate bonus
         const bonus = this.scoreManager.calculateLevelScore(
             this.level,
             this.levelTime,
-            this.lives
+            this.lives,
+            this.levelManager.getParTime(this.level)
         );
         
         this.scoreManager.addBonus(bonus.total, 'LEVEL BONUS');
         
+        // A save from earlier in this level would bring back a cleared level
+        if (!this.replayPlayer) {
+            this.saveManager.clear();
+        }
+        
+        if (this.mode === GameModes.TIME_ATTACK) {
+            this.completeTimeAttackLevel();
+            return;
+        }
+        
+        // The daily challenge ends on its last level
+        if (this.mode === GameModes.DAILY && this.level >= this.dailyRun.challenge.levels.length) {
+            this.dailyRun.completed = true;
+            this.gameOver();
+            return;
+        }
+        
+        // Campaign progress is only saved for live play
+        const campaignResult = this.mode === GameModes.CAMPAIGN && !this.replayPlayer
+            ? this.recordCampaignLevel(bonus)
+            : null;
+        
+        // Replays only recorded PLAYING steps, so go straight on
+        if (this.replayPlayer) {
+            this.nextLevel();
+            return;
+        }
+        
         this.setState(GameStates.LEVEL_COMPLETE);
+        if (this.headless) return;
         
         document.getElementById('levelScore').textContent = 'Score: ' + this.scoreManager.score.toLocaleString();
         document.getElementById('levelBonus').textContent = 'Bonus: +' + bonus.total.toLocaleString();
+        this.showCampaignResult(campaignResult);
         
         this.updateHUD();
     }
 
+    /**
+     * Time attack goes straight on to the next level; the last one ends the
+     * run (personal bests are only kept for live play)
+     */
+    completeTimeAttackLevel() {
+        const split = this.timeAttack.recordSplit(this.gameTime);
+        const label = split.delta !== null ? TimeAttackManager.formatDelta(split.delta) : 'SPLIT';
+        this.scoreManager.addPopup(TimeAttackManager.formatTime(split.split), label, this.canvas.width / 2, this.canvas.height / 2);
+
+        if (!this.timeAttack.isCourseFinished()) {
+            this.nextLevel();
+            return;
+        }
+
+        if (!this.replayPlayer) {
+            this.timeAttackResult = this.timeAttack.finishRun();
+        }
+        this.gameOver();
+    }
+
+    /**
+     * Stars, best score and unlock on the level complete screen (hidden
+     * outside the campaign)
+     */
+    showCampaignResult(result) {
+        const stars = document.getElementById('levelStars');
+        const note = document.getElementById('levelCampaignNote');
+        const mapBtn = document.getElementById('levelMapBtn');
+        const nextBtn = document.getElementById('nextLevelBtn');
+        
+        stars.classList.toggle('hidden', !result);
+        note.classList.toggle('hidden', !result);
+        mapBtn.classList.toggle('hidden', !result);
+        nextBtn.textContent = result && this.campaign.isLastLevel(this.level) ? 'Finish' : 'Next Level';
+        if (!result) return;
+        
+        stars.textContent = this.campaign.formatStars(result.stars);
+        const notes = [];
+        if (result.newBest) notes.push('New best!');
+        if (result.unlockedLevel) notes.push(`Level ${result.unlockedLevel} unlocked`);
+        note.textContent = notes.join(' · ');
+    }
+
     submitHighScore() {
         const nameInput = document.getElementById('nameInput');
         const submitBtn = document.getElementById('submitScore');
@@ -372,7 +2151,10 @@ class Game {
         // Prevent double submission
         if (submitBtn.disabled && nameInput.value.trim().length > 0) return;
         
-        this.highScoreManager.addScore(name, this.scoreManager.score, this.level);
+        this.getHighScoreManager().addScore(name, this.getRankedResult(), this.getRunProgress());
+        if (this.mode === GameModes.DAILY) {
+            this.daily.setResultName(this.dailyRun.challenge.date, name);
+        }
         this.updateHighScoreDisplay();
         
         // Disable submit button and input after submission
@@ -384,18 +2166,79 @@ class Game {
         
         // Take them to the leaderboard after a brief delay
         setTimeout(() => {
-            this.showHighScores();
+            this.showHighScores(this.mode);
         }, 300);
     }
 
     // ==================== GAME LOGIC ====================
 
     update(dt) {
+        if (this.state === GameStates.EDITOR) {
+            this.levelEditor.update(this.input, this.canvas.width);
+            return;
+        }
         if (this.state !== GameStates.PLAYING) return;
 
+        // Pause always comes from live input and is never recorded
+        if (this.input.isPausePressed()) {
+            this.pauseGame();
+            this.input.clearPause();
+            return;
+        }
+
+        // Play back or record the input for this fixed step
+        let input = this.input;
+        if (this.replayPlayer) {
+            if (!this.replayPlayer.advance()) {
+                this.quitToMenu(); // Recording ended (the run was quit)
+                return;
+            }
+            input = this.replayPlayer;
+        }
+        // Versus and co-op read each player's own keys
+        const players = this.versus || this.coop ? [input.getPlayerInput(0), input.getPlayerInput(1)] : null;
+        if (!this.replayPlayer) {
+            if (players) {
+                this.replayManager.record(players[0], players[1]);
+            } else {
+                this.replayManager.record(this.input);
+            }
+        }
+
         this.gameTime += dt;
+        this.physics.queries = 0;
+        this.physics.checks = 0;
+
+        if (this.versus) {
+            this.updateVersus(dt, players);
+            return;
+        }
+
+        this.stepPlayfield(dt, players || [input]);
+
+        // Endless runs never complete; otherwise check level complete
+        if (this.mode === GameModes.ENDLESS) {
+            this.updateEndless(dt);
+        } else if (this.levelManager.isLevelComplete(this.bricks, this.boss)) {
+            this.levelComplete();
+        }
+
+        // Update HUD
+        this.updateHUD();
+
+        if (this.benchmark) {
+            this.recordBenchmarkStep();
+        }
+    }
+
+    /**
+     * Advance the playfield one step: paddles, balls, bricks, lasers,
+     * power-ups and effects (versus runs this once per field). inputs has
+     * one input per paddle.
+     */
+    stepPlayfield(dt, inputs) {
         this.levelTime += dt;
-        
+
         // Update party mode timer
         if (this.partyModeActive) {
             this.partyModeTimer -= dt;
@@ -408,17 +2251,33 @@ class Game {
         }
 
         // Handle input
-        this.handleInput(dt);
+        this.handleInput(inputs);
+
+        // Chain explosions fire on game time so replays stay in sync
+        this.updatePendingExplosions(dt);
 
-        // Update paddle
-        this.paddle.update(dt, this.canvas.width);
+        // Update paddles
+        for (const paddle of this.paddles) {
+            paddle.update(dt, this.canvas.width);
+        }
 
         // Update balls
         this.updateBalls(dt);
 
-        // Update bricks
+        // Update bricks, keeping the spatial grid in step with moves and removals
         for (const brick of this.bricks) {
+            const wasMoving = brick.isMoving;
             brick.update(dt);
+            if (brick.destroyed) {
+                this.brickGrid.remove(brick);
+            } else if (wasMoving) {
+                this.brickGrid.update(brick);
+            }
+        }
+
+        // Update the boss and its projectiles
+        if (this.boss) {
+            this.updateBoss(dt);
         }
 
         // Update lasers
@@ -432,69 +2291,152 @@ class Game {
 
         // Update score manager
         this.scoreManager.update(dt);
+    }
 
-        // Check level complete
-        if (this.levelManager.isLevelComplete(this.bricks)) {
-            this.levelComplete();
+    /**
+     * Lower the endless wall, add pushed rows, and end the run once a brick
+     * reaches the paddle
+     */
+    updateEndless(dt) {
+        const newBricks = this.levelManager.updateEndless(dt, this.bricks, this.canvas.width);
+
+        if (newBricks.length > 0) {
+            // Drop cleared bricks so the list doesn't grow for the whole run
+            this.bricks = this.bricks.filter(brick => !brick.destroyed).concat(newBricks);
+            this.brickGrid.build(this.bricks);
+            this.updateHUD();
+        } else {
+            for (const brick of this.bricks) {
+                if (!brick.destroyed) this.brickGrid.update(brick);
+            }
         }
 
-        // Update HUD
-        this.updateHUD();
+        if (this.levelManager.hasReachedLine(this.bricks, this.paddle.position.y)) {
+            // The wall takes every life at once
+            this.lives = 0;
+            this.updateHUD();
+            this.gameOver();
+        }
     }
 
-    handleInput(dt) {
-        // Pause
-        if (this.input.isPausePressed()) {
-            this.pauseGame();
-            this.input.clearKey('Escape');
-            this.input.clearKey('KeyP');
-            return;
-        }
+    // ==================== BENCHMARK ====================
+
+    resetBenchmarkStats() {
+        this.benchmarkStats = {
+            steps: 0,
+            checks: 0,
+            bruteForce: 0,
+            maxChecks: 0,
+            lastChecks: 0,
+            lastBruteForce: 0
+        };
+    }
+
+    /**
+     * Record this step's collision checks next to what testing every
+     * brick for every query (no spatial grid) would have cost. Versus
+     * passes that cost in, summed over its fields.
+     */
+    recordBenchmarkStep(bruteForce = this.physics.queries * this.bricks.length) {
+        const stats = this.benchmarkStats;
+
+        stats.steps++;
+        stats.checks += this.physics.checks;
+        stats.bruteForce += bruteForce;
+        stats.maxChecks = Math.max(stats.maxChecks, this.physics.checks);
+        stats.lastChecks = this.physics.checks;
+        stats.lastBruteForce = bruteForce;
+    }
+
+    /**
+     * Collision checks per step (frame) since the run started
+     */
+    getBenchmarkReport() {
+        const stats = this.benchmarkStats;
+        const steps = Math.max(1, stats.steps);
+        return {
+            steps: stats.steps,
+            avgChecks: stats.checks / steps,
+            maxChecks: stats.maxChecks,
+            avgBruteForce: stats.bruteForce / steps,
+            lastChecks: stats.lastChecks,
+            lastBruteForce: stats.lastBruteForce
+        };
+    }
 
+    /**
+     * Move each player's paddle and launch or shoot with their input.
+     * A ball waiting on a paddle belongs to the player who last touched it.
+     */
+    handleInput(inputs) {
         // Paddle movement
-        if (this.input.isMovingLeft()) {
-            this.paddle.moveLeft();
-        }
-        if (this.input.isMovingRight()) {
-            this.paddle.moveRight();
-        }
+        this.paddles.forEach((paddle, player) => {
+            // A dragging finger moves the paddle as far as it moved since last step
+            if (inputs[player].isDragging()) {
+                const dragX = inputs[player].getDragX();
+                const moved = this.lastDragX === null ? 0 : dragX - this.lastDragX;
+                this.lastDragX = dragX;
+                paddle.setTargetX(paddle.position.x + moved, this.canvas.width);
+                return;
+            }
+            if (player === 0) {
+                this.lastDragX = null;
+            }
+
+            // A deflected stick sets the paddle's speed directly
+            const analogX = inputs[player].getAnalogX();
+            if (analogX !== 0) {
+                paddle.setTargetX(paddle.position.x + analogX * paddle.maxSpeed, this.canvas.width);
+                return;
+            }
+
+            if (inputs[player].isMovingLeft()) {
+                paddle.moveLeft();
+            }
+            if (inputs[player].isMovingRight()) {
+                paddle.moveRight();
+            }
+        });
 
         // Ball stuck on paddle follows paddle
         if (this.balls.length > 0 && !this.balls[0].launched) {
-            this.balls[0].position.x = this.paddle.position.x;
+            this.balls[0].position.x = this.paddles[this.balls[0].lastPlayer].position.x;
         }
 
         // Sticky paddle ball follows paddle
         if (this.stuckBall) {
-            this.stuckBall.position.x = this.paddle.position.x;
+            this.stuckBall.position.x = this.paddles[this.stuckBall.lastPlayer].position.x;
         }
 
-        // Launch ball
-        if (this.input.isLaunchPressed()) {
+        this.paddles.forEach((paddle, player) => {
+            // Launch ball
+            if (!inputs[player].isLaunchPressed()) return;
+
             // Launch unlaunched balls
             for (const ball of this.balls) {
-                if (!ball.launched) {
+                if (!ball.launched && ball.lastPlayer === player) {
                     ball.launch();
                     this.audio.playLaunch();
                 }
             }
             
             // Release sticky ball
-            if (this.stuckBall) {
+            if (this.stuckBall && this.stuckBall.lastPlayer === player) {
                 this.stuckBall.launch();
                 this.audio.playLaunch();
                 this.stuckBall = null;
             }
 
             // Shoot laser if available
-            if (this.paddle.hasLaser && this.paddle.canShootLaser()) {
-                const laser = this.paddle.shootLaser();
+            if (paddle.hasLaser && paddle.canShootLaser()) {
+                const laser = paddle.shootLaser();
                 if (laser) {
+                    laser.player = player;
                     this.lasers.push(laser);
                     this.audio.playLaser();
                 }
             }
-        }
+        });
     }
 
     updateBalls(dt) {
@@ -506,17 +2448,19 @@ class Game {
                 this.autoBurstBallsRemaining--;
                 
                 // Spawn new ball from the paddle center (position.x is the center)
+                const paddle = this.paddles[this.autoBurstPlayer];
                 const newBall = new Ball(
-                    this.paddle.position.x,
-                    this.paddle.position.y - 15,
+                    paddle.position.x,
+                    paddle.position.y - 15,
                     8,
                     this.level
                 );
                 newBall.launched = true;
-                const angle = -Math.PI/2 + (Math.random() - 0.5) * (Math.PI / 4);
+                newBall.lastPlayer = this.autoBurstPlayer;
+                const angle = -Math.PI/2 + GameRandom.gameplay.range(-0.5, 0.5) * (Math.PI / 4);
                 newBall.velocity = Vector2.fromAngle(angle, newBall.speed);
                 this.balls.push(newBall);
-                this.audio.playPowerUp();
+                this.audio.playPowerUp(this.getSoundPosition(paddle.position.x, paddle.position.y));
                 
                 // Particle burst for new ball
                 this.particleSystem.emit(
@@ -534,51 +2478,11 @@ class Game {
 
         for (let i = this.balls.length - 1; i >= 0; i--) {
             const ball = this.balls[i];
-            
-            const updateResult = ball.update(dt, this.canvas.width, this.canvas.height);
-
-            // Play wall hit sound
-            if (updateResult && updateResult.wallHit) {
-                this.audio.playWallHit();
-            }
 
+            ball.update();
             if (!ball.launched) continue;
 
-            // Check paddle collision
-            if (this.physics.checkBallPaddleCollision(ball, this.paddle)) {
-                if (this.paddle.isSticky && !this.stuckBall) {
-                    // Stick to paddle
-                    ball.launched = false;
-                    ball.velocity.set(0, 0);
-                    this.stuckBall = ball;
-                } else {
-                    // Bounce off paddle
-                    ball.bounceOffPaddle(this.paddle);
-                    this.audio.playPaddleHit();
-                    
-                    // Emit particles
-                    this.particleSystem.emit(
-                        ball.position.x,
-                        ball.position.y,
-                        5,
-                        { color: '#4ecdc4', minSpeed: 1, maxSpeed: 3 }
-                    );
-                }
-            }
-
-            // Check brick collisions
-            for (const brick of this.bricks) {
-                const collision = this.physics.checkBallBrickCollision(ball, brick);
-                if (collision) {
-                    this.handleBrickHit(ball, brick);
-                    
-                    // Speed up ball slightly
-                    if (!ball.isMega) {
-                        ball.speedUp(0.05);
-                    }
-                    break; // Only one brick collision per frame per ball
-                }
-            }
+            this.moveBall(ball, dt);
 
             // Check if ball is out of bounds
             if (ball.isOutOfBounds(this.canvas.height)) {
@@ -586,14 +2490,217 @@ class Game {
                 
                 // If no balls left, lose a life
                 if (this.balls.length === 0) {
-                    this.loseLife();
+                    this.loseLife(ball.lastPlayer);
+                }
+            }
+        }
+    }
+
+    /**
+     * Move a ball through one step, stopping at each contact along the way
+     * (earliest first) so fast balls can't tunnel through bricks or the
+     * paddle and can bounce several times in a single step.
+     */
+    moveBall(ball, dt) {
+        const passedThrough = new Set(); // Bricks the ball already went through
+        let remaining = 1;
+        let stalled = false;
+
+        for (let bounce = 0; bounce < this.physics.maxBouncesPerStep && remaining > 0; bounce++) {
+            const move = Vector2.multiply(ball.velocity, dt * 60 * remaining);
+            const bounds = this.physics.getSweepBounds(ball, move);
+            const nearby = this.brickGrid.query(bounds.x, bounds.y, bounds.width, bounds.height);
+            const bossParts = this.boss ? this.boss.getParts() : [];
+            const hit = this.physics.sweepBall(ball, move, this.canvas.width, this.paddles, nearby, passedThrough, bossParts);
+
+            if (!hit) {
+                ball.position.add(move);
+                return;
+            }
+
+            // Two contacts in a row without moving means the ball is wedged
+            if (hit.time === 0 && stalled) {
+                this.physics.squeezeThrough(hit);
+            }
+            stalled = hit.time === 0;
+
+            ball.position.add(move.multiply(hit.time));
+            remaining *= 1 - hit.time;
+
+            if (this.handleBallContacts(ball, hit, passedThrough)) {
+                return; // Ball stuck to the paddle
+            }
+        }
+    }
+
+    /**
+     * Respond to everything a ball touched at one instant.
+     * Returns true when the ball stopped (caught by a sticky paddle).
+     */
+    handleBallContacts(ball, hit, passedThrough) {
+        const paddleContact = hit.contacts.find(c => c.type === 'paddle');
+
+        if (paddleContact) {
+            const paddle = paddleContact.paddle;
+            ball.lastPlayer = this.paddles.indexOf(paddle);
+            if (this.coop) {
+                this.coop.addReturn(ball.lastPlayer);
+            }
+
+            if (paddle.isSticky && !this.stuckBall) {
+                // Stick to paddle
+                ball.launched = false;
+                ball.velocity.set(0, 0);
+                ball.position.y = paddle.position.y - ball.radius - 1;
+                this.stuckBall = ball;
+                return true;
+            }
+
+            // Bounce off paddle
+            ball.bounceOffPaddle(paddle);
+            this.audio.playPaddleHit(this.getSoundPosition(ball.position.x, ball.position.y));
+            
+            // Emit particles
+            this.particleSystem.emit(
+                ball.position.x,
+                ball.position.y,
+                5,
+                { color: paddle.color, minSpeed: 1, maxSpeed: 3 }
+            );
+        } else if (hit.normal) {
+            this.physics.reflectBall(ball, hit.normal);
+        }
+
+        for (const contact of hit.contacts) {
+            if (contact.type === 'wall') {
+                this.audio.playWallHit(this.getWallSoundPosition(contact.side, ball));
+            } else if (contact.type === 'brick') {
+                if (contact.passThrough) {
+                    passedThrough.add(contact.brick);
                 }
+                this.creditPlayer(ball.lastPlayer, () => this.handleBrickHit(ball, contact.brick));
+                
+                // Speed up ball slightly
+                if (!ball.isMega) {
+                    ball.speedUp(0.05);
+                }
+            } else if (contact.type === 'boss') {
+                // Mega balls hit twice as hard
+                this.creditPlayer(ball.lastPlayer, () => this.handleBossHit(contact.part, ball.isMega ? 2 : 1));
+            }
+        }
+        return false;
+    }
+
+    // ==================== BOSS ====================
+
+    /**
+     * Move the boss and its projectiles. A projectile hitting a paddle
+     * shrinks it, or costs a life once the paddle is as small as it gets.
+     */
+    updateBoss(dt) {
+        if (this.boss.update(dt, this.canvas.height, this.paddles.map(paddle => paddle.position))) {
+            this.audio.playLaser();
+        }
+
+        const projectiles = this.boss.projectiles;
+        for (let i = projectiles.length - 1; i >= 0; i--) {
+            const player = this.paddles.findIndex(paddle =>
+                this.physics.checkProjectilePaddleCollision(projectiles[i], paddle)
+            );
+            if (player === -1) continue;
+
+            projectiles.splice(i, 1);
+            const paddle = this.paddles[player];
+            this.renderer.flashScreen('#ff4757', 0.2);
+            if (paddle.width > paddle.minWidth) {
+                paddle.shrink(20);
+                this.audio.playPowerDown();
+                this.particleSystem.emit(
+                    paddle.position.x,
+                    paddle.position.y,
+                    10,
+                    { color: '#ff6b81', minSpeed: 2, maxSpeed: 5 }
+                );
+            } else {
+                this.loseLife(player);
+                return; // The field was reset
             }
         }
     }
 
+    /**
+     * A ball or laser hit a boss part: armour only deflects, weak points take
+     * damage and drop a power-up when destroyed, and the last one defeats
+     * the boss
+     */
+    handleBossHit(part, damage) {
+        const x = part.x + part.width / 2;
+        const y = part.y + part.height / 2;
+        if (!part.weakPoint) {
+            this.audio.playWallHit(this.getSoundPosition(x, y));
+            return;
+        }
+
+        const result = this.boss.hitPart(part, damage);
+        if (!result.destroyed) {
+            this.audio.playBrickHit(this.getSoundPosition(x, y));
+            this.particleSystem.emit(x, y, 5, { color: '#ffd700', minSpeed: 1, maxSpeed: 3 });
+            return;
+        }
+
+        this.audio.playExplosion(this.getSoundPosition(x, y));
+        this.renderer.triggerPulse(0.8);
+        this.addBrickScore(this.boss.weakPointPoints, x, y);
+        this.particleSystem.emit(x, y, 25, { color: '#ffd700', minSpeed: 3, maxSpeed: 8, gravity: 0.2 });
+
+        if (result.defeated) {
+            const centerX = this.boss.x + this.boss.width / 2;
+            const centerY = this.boss.y + this.boss.height / 2;
+            this.scoreManager.addBonus(this.boss.defeatBonus, 'BOSS DEFEATED', centerX, centerY);
+            this.particleSystem.emit(
+                centerX,
+                centerY,
+                60,
+                { color: this.boss.type.color, minSpeed: 3, maxSpeed: 10, minSize: 3, maxSize: 8, gravity: 0.2 }
+            );
+            this.renderer.flashScreen('#ffd700', 0.5);
+            this.renderer.triggerPulse(2.0);
+        } else {
+            this.powerUpManager.spawn(x, y, true);
+        }
+    }
+
+    /**
+     * Run a brick hit or explosion, crediting the points and bricks it
+     * scores to a co-op player
+     */
+    creditPlayer(player, hit) {
+        if (!this.coop) {
+            hit();
+            return;
+        }
+
+        const score = this.scoreManager.score;
+        const bricks = this.scoreManager.bricksDestroyed;
+        hit();
+        this.coop.addScore(player, this.scoreManager.score - score, this.scoreManager.bricksDestroyed - bricks);
+    }
+
+    /**
+     * Score a destroyed brick (or weak point), with a stinger on combo
+     * milestones
+     */
+    addBrickScore(points, x, y) {
+        this.scoreManager.addBrickScore(points, x, y);
+        if (this.scoreManager.isComboMilestone()) {
+            this.audio.playCombo(this.scoreManager.combo);
+        }
+    }
+
     handleBrickHit(ball, brick) {
         const result = brick.hit();
+        const sound = this.getSoundPosition(brick.x + brick.width / 2, brick.y + brick.height / 2);
         
         // Check if EXPLOSIVE_NEXT power-up is active - make this brick explode
         if (this.nextBrickExplodes && !result.explosive) {
@@ -614,7 +2721,7 @@ class Game {
             const newPos = this.findEmptyBrickPosition(brick);
             if (newPos) {
                 brick.setMoveTarget(newPos.x, newPos.y);
-                this.audio.playPowerUp(); // Use power-up sound for teleport
+                this.audio.playPowerUp(sound); // Use power-up sound for teleport
             }
         }
         
@@ -624,7 +2731,7 @@ class Game {
         }
         
         if (result.destroyed) {
-            this.audio.playBrickDestroy();
+            this.audio.playBrickDestroy(sound);
             
             // Trigger background pulse for visual feedback
             this.renderer.triggerPulse(0.3);
@@ -633,7 +2740,7 @@ class Game {
             if (result.isClone && result.originalBrick && !result.originalBrick.destroyed) {
                 // Give bonus points for destroying clone
                 const bonusPoints = result.originalBrick.points * 2;
-                this.scoreManager.addBrickScore(
+                this.addBrickScore(
                     bonusPoints,
                     result.originalBrick.x + result.originalBrick.width / 2,
                     result.originalBrick.y + result.originalBrick.height / 2
@@ -649,7 +2756,10 @@ class Game {
                 
                 // Destroy original brick
                 result.originalBrick.startDestroy();
-                this.audio.playExplosion();
+                this.audio.playExplosion(this.getSoundPosition(
+                    result.originalBrick.x + result.originalBrick.width / 2,
+                    result.originalBrick.y + result.originalBrick.height / 2
+                ));
                 this.renderer.triggerPulse(0.8);
             }
             
@@ -659,7 +2769,7 @@ class Game {
             }
             
             // Add score
-            this.scoreManager.addBrickScore(
+            this.addBrickScore(
                 result.points,
                 brick.x + brick.width / 2,
                 brick.y + brick.height / 2
@@ -702,11 +2812,11 @@ class Game {
             }
 
             if (result.explosive) {
-                this.handleExplosion(brick);
+                this.handleExplosion(brick, ball.lastPlayer);
             }
 
             // Random power-up drop chance from regular bricks (reduced since we have assigned power-ups)
-            if (!result.dropPowerUp && !this.partyModeActive && Math.random() < 0.05) {
+            if (!result.dropPowerUp && !this.partyModeActive && GameRandom.gameplay.chance(0.05)) {
                 this.powerUpManager.spawn(
                     brick.x + brick.width / 2,
                     brick.y + brick.height / 2,
@@ -714,7 +2824,7 @@ class Game {
                 );
             }
         } else {
-            this.audio.playBrickHit();
+            this.audio.playBrickHit(sound);
             
             // Small particle burst for hit
             this.particleSystem.emit(
@@ -726,8 +2836,11 @@ class Game {
         }
     }
 
-    handleExplosion(brick) {
-        this.audio.playExplosion();
+    /**
+     * Blow up a brick and damage its neighbours (player is who set it off)
+     */
+    handleExplosion(brick, player = 0) {
+        this.audio.playExplosion(this.getSoundPosition(brick.x + brick.width / 2, brick.y + brick.height / 2));
         
         // Trigger big background pulse for explosion
         this.renderer.triggerPulse(1.0);
@@ -748,11 +2861,11 @@ class Game {
         );
 
         // Damage neighboring bricks
-        const neighbors = this.physics.getNeighborBricks(brick, this.bricks, 1.5);
+        const neighbors = this.physics.getNeighborBricks(brick, this.brickGrid, 1.5);
         for (const neighbor of neighbors) {
             const result = neighbor.hit();
             if (result.destroyed) {
-                this.scoreManager.addBrickScore(
+                this.addBrickScore(
                     result.points,
                     neighbor.x + neighbor.width / 2,
                     neighbor.y + neighbor.height / 2
@@ -765,14 +2878,10 @@ class Game {
                     { color: neighbor.color, minSpeed: 2, maxSpeed: 5 }
                 );
 
-                // Chain explosions! Guard the deferred call so it never runs
-                // on a brick from an old level or while we're not playing.
+                // Chain explosions! Queued on game time (not setTimeout) so
+                // they never fire on a brick from an old level or while paused.
                 if (result.explosive) {
-                    setTimeout(() => {
-                        if (this.state === GameStates.PLAYING && this.bricks.includes(neighbor)) {
-                            this.handleExplosion(neighbor);
-                        }
-                    }, 100);
+                    this.pendingExplosions.push({ brick: neighbor, delay: 0.1, player: player });
                 }
             }
         }
@@ -781,6 +2890,27 @@ class Game {
         this.renderer.flashScreen('#ff6b6b', 0.2);
     }
 
+    /**
+     * Fire queued chain explosions whose delay has elapsed
+     */
+    updatePendingExplosions(dt) {
+        const ready = [];
+        for (let i = this.pendingExplosions.length - 1; i >= 0; i--) {
+            const pending = this.pendingExplosions[i];
+            pending.delay -= dt;
+            if (pending.delay <= 0) {
+                this.pendingExplosions.splice(i, 1);
+                ready.unshift(pending);
+            }
+        }
+
+        for (const { brick, player } of ready) {
+            if (this.bricks.includes(brick)) {
+                this.creditPlayer(player, () => this.handleExplosion(brick, player));
+            }
+        }
+    }
+
     /**
      * Find an empty position for a MOVING brick to teleport to
      */
@@ -797,8 +2927,8 @@ class Game {
         
         // Try random positions
         for (let attempt = 0; attempt < 50; attempt++) {
-            const testX = padding + Math.random() * (this.canvas.width - brickWidth - padding * 2);
-            const testY = 50 + Math.random() * (maxY - 50 - brickHeight);
+            const testX = padding + GameRandom.gameplay.next() * (this.canvas.width - brickWidth - padding * 2);
+            const testY = 50 + GameRandom.gameplay.next() * (maxY - 50 - brickHeight);
             
             // Check if position overlaps with existing bricks
             let overlaps = false;
@@ -853,6 +2983,7 @@ class Game {
         
         // Add to bricks array
         this.bricks.push(clone);
+        this.brickGrid.insert(clone);
         
         // Visual effect for clone creation
         this.particleSystem.emit(
@@ -862,7 +2993,7 @@ class Game {
             { color: '#e0e0e0', minSpeed: 2, maxSpeed: 6 }
         );
         
-        this.audio.playPowerUp();
+        this.audio.playPowerUp(this.getSoundPosition(clone.x + clone.width / 2, clone.y + clone.height / 2));
         this.renderer.triggerPulse(0.5);
         
         return clone;
@@ -891,7 +3022,7 @@ class Game {
                     brick.y + brick.height / 2,
                     5,
                     { 
-                        color: `hsl(${Math.random() * 360}, 70%, 60%)`,
+                        color: `hsl(${GameRandom.cosmetic.range(0, 360)}, 70%, 60%)`,
                         minSpeed: 1,
                         maxSpeed: 3
                     }
@@ -906,18 +3037,24 @@ class Game {
             laser.y -= laser.speed;
 
             // Check brick collisions
-            let hitBrick = false;
-            for (const brick of this.bricks) {
-                if (this.physics.checkLaserBrickCollision(laser, brick)) {
-                    this.lasers.splice(i, 1);
-                    this.handleBrickHit({ position: { x: laser.x, y: laser.y }, isMega: false }, brick);
-                    hitBrick = true;
-                    break;
-                }
+            const hitBrick = this.physics.findLaserHit(laser, this.brickGrid);
+            if (hitBrick) {
+                this.lasers.splice(i, 1);
+                const player = laser.player || 0;
+                this.creditPlayer(player, () => {
+                    this.handleBrickHit({ position: { x: laser.x, y: laser.y }, isMega: false, lastPlayer: player }, hitBrick);
+                });
+                // Already removed this laser; don't fall through and splice index i
+                // again (which would drop a different, still-active laser).
+                continue;
+            }
+
+            const hitPart = this.boss ? this.physics.findLaserBossHit(laser, this.boss) : null;
+            if (hitPart) {
+                this.lasers.splice(i, 1);
+                this.creditPlayer(laser.player || 0, () => this.handleBossHit(hitPart, 1));
+                continue;
             }
-            // Already removed this laser; don't fall through and splice index i
-            // again (which would drop a different, still-active laser).
-            if (hitBrick) continue;
 
             // Remove if off screen
             if (laser.y < 0) {
@@ -927,13 +3064,22 @@ class Game {
     }
 
     updatePowerUps(dt) {
-        const events = this.powerUpManager.update(dt, this.paddle, this.canvas.height);
+        const events = this.powerUpManager.update(dt, this.paddles, this.canvas.height);
 
         for (const result of events) {
-            if (result.collected) {
-                this.applyPowerUp(result.type);
+            if (result.collected && this.coop) {
+                this.coop.addPowerUp(result.player);
+            }
+
+            if (result.collected && this.versus && this.versus.isGarbage(result.type)) {
+                // Caught garbage goes to the other player instead
+                const paddle = this.paddles[result.player];
+                this.audio.playPowerUp(this.getSoundPosition(paddle.position.x, paddle.position.y));
+                this.versus.sendGarbage(this.activeField, result.type);
+            } else if (result.collected) {
+                this.applyPowerUp(result.type, result.player);
             } else if (result.expired) {
-                this.removePowerUpEffect(result.type);
+                this.removePowerUpEffect(result.type, result.player);
             }
         }
 
@@ -941,13 +3087,17 @@ class Game {
         this.updatePowerUpDisplay();
     }
 
-    applyPowerUp(type) {
-        this.audio.playPowerUp();
+    /**
+     * Apply a power-up caught by a player; paddle effects go on their paddle
+     */
+    applyPowerUp(type, player = 0) {
+        const paddle = this.paddles[player];
+        this.audio.playPowerUp(this.getSoundPosition(paddle.position.x, paddle.position.y));
         // Capture whether this effect was already running BEFORE we (re)activate
         // it, so stackable width changes are only applied once per active window
         // (otherwise the paddle keeps growing/shrinking but only reverts once).
-        const wasActive = this.powerUpManager.isActive(type.id);
-        this.powerUpManager.activate(type);
+        const wasActive = this.powerUpManager.isActive(type.id, player);
+        this.powerUpManager.activate(type, player);
 
         switch (type.id) {
             case 'multiball':
@@ -957,6 +3107,7 @@ class Game {
                     for (let i = 0; i < 2; i++) {
                         const newBall = new Ball(mainBall.position.x, mainBall.position.y, 8, this.level);
                         newBall.launched = true;
+                        newBall.lastPlayer = player;
                         const angle = -Math.PI/2 + (i === 0 ? -0.5 : 0.5);
                         newBall.velocity = Vector2.fromAngle(angle, mainBall.speed);
                         this.balls.push(newBall);
@@ -965,20 +3116,20 @@ class Game {
                 break;
 
             case 'extend':
-                if (!wasActive) this.paddle.extend(30);
+                if (!wasActive) paddle.extend(30);
                 break;
 
             case 'shrink':
                 this.audio.playPowerDown();
-                if (!wasActive) this.paddle.shrink(30);
+                if (!wasActive) paddle.shrink(30);
                 break;
 
             case 'sticky':
-                this.paddle.setSticky(true);
+                paddle.setSticky(true);
                 break;
 
             case 'laser':
-                this.paddle.setLaser(true);
+                paddle.setLaser(true);
                 break;
 
             case 'mega':
@@ -1016,6 +3167,7 @@ class Game {
                 this.autoBurstActive = true;
                 this.autoBurstBallsRemaining = 10;
                 this.autoBurstTimer = 0;
+                this.autoBurstPlayer = player;
                 // Flash screen cyan to indicate activation
                 this.renderer.flashScreen('#00ffff', 0.3);
                 break;
@@ -1025,8 +3177,8 @@ class Game {
                 this.nextBrickExplodes = true;
                 // Visual indicator - paddle glows
                 this.particleSystem.emit(
-                    this.paddle.position.x + this.paddle.width / 2,
-                    this.paddle.position.y,
+                    paddle.position.x + paddle.width / 2,
+                    paddle.position.y,
                     15,
                     { color: '#ff00ff', minSpeed: 2, maxSpeed: 5 }
                 );
@@ -1034,22 +3186,27 @@ class Game {
         }
     }
 
-    removePowerUpEffect(type) {
+    /**
+     * Undo an expired effect (player is whose paddle it was on, null for
+     * effects on the whole field)
+     */
+    removePowerUpEffect(type, player = 0) {
+        const paddle = this.paddles[player] || this.paddle;
         switch (type.id) {
             case 'extend':
-                this.paddle.shrink(30);
+                paddle.shrink(30);
                 break;
 
             case 'shrink':
-                this.paddle.extend(30);
+                paddle.extend(30);
                 break;
 
             case 'sticky':
-                this.paddle.setSticky(false);
+                paddle.setSticky(false);
                 break;
 
             case 'laser':
-                this.paddle.setLaser(false);
+                paddle.setLaser(false);
                 break;
 
             case 'mega':
@@ -1079,17 +3236,21 @@ class Game {
     }
 
     updatePowerUpDisplay() {
+        if (this.headless) return;
         const container = document.getElementById('powerup-display');
-        const effects = this.powerUpManager.getActiveEffects();
+        // Versus has two sets of effects and no room for them, so none are listed
+        const effects = this.versus ? [] : this.powerUpManager.getActiveEffects();
         
         if (effects.length === 0) {
             container.innerHTML = '';
             return;
         }
 
+        // In co-op, paddle effects say whose paddle they are on
+        const owner = (e) => this.coop && e.player !== null ? `P${e.player + 1} ` : '';
         container.innerHTML = effects.map(e => 
             `<div class="powerup-indicator" style="border-left: 3px solid ${e.color}">
-                <span>${e.icon} ${e.name}</span>
+                <span>${e.icon} ${owner(e)}${e.name}</span>
                 <div class="timer">
                     <div class="timer-bar" style="width: ${e.percent}%; background: ${e.color}"></div>
                 </div>
@@ -1102,14 +3263,26 @@ class Game {
     render() {
         this.renderer.clear();
         
-        if (this.state === GameStates.PLAYING || 
+        if (this.state === GameStates.EDITOR) {
+            this.renderer.setBackgroundTheme(this.levelEditor.background);
+            this.applyTheme();
+            this.renderer.drawBackground(this.lastTime / 1000);
+            this.levelEditor.draw(this.ctx, this.canvas.width);
+            return;
+        }
+        
+        const showingField = this.state === GameStates.PLAYING ||
             this.state === GameStates.PAUSED ||
-            this.state === GameStates.LEVEL_COMPLETE) {
-            
+            this.state === GameStates.LEVEL_COMPLETE;
+
+        if (showingField && this.versus) {
+            this.renderVersus();
+        } else if (showingField) {
             this.renderer.draw({
                 balls: this.balls,
-                paddle: this.paddle,
+                paddles: this.paddles,
                 bricks: this.bricks,
+                boss: this.boss,
                 lasers: this.lasers,
                 particleSystem: this.particleSystem,
                 powerUpManager: this.powerUpManager,
@@ -1123,9 +3296,17 @@ class Game {
 
             this.renderer.drawBoundaries();
 
+            if (this.replayPlayer) {
+                this.renderer.drawReplayIndicator(this.replayPlayer.getProgress());
+            }
+
+            if (this.benchmark) {
+                this.renderer.drawBenchmark(this.getBenchmarkReport(), this.balls.length, this.bricks.length);
+            }
+
             // Draw launch indicator if ball not launched
             if (this.balls.length > 0 && !this.balls[0].launched) {
-                this.renderer.drawLaunchIndicator(this.paddle, this.balls[0]);
+                this.renderer.drawLaunchIndicator(this.paddles[this.balls[0].lastPlayer], this.balls[0]);
             }
 
             // Draw combo indicator
@@ -1139,12 +3320,67 @@ class Game {
         }
     }
 
+    /**
+     * Draw both versus fields side by side, each clipped to its half
+     */
+    renderVersus() {
+        for (const field of this.versus.fields) {
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.rect(field.offsetX, 0, field.canvas.width, field.canvas.height);
+            this.ctx.clip();
+            this.ctx.translate(field.offsetX, 0);
+
+            this.renderer.draw({
+                balls: field.balls,
+                paddles: field.paddles,
+                bricks: field.bricks,
+                boss: field.boss,
+                lasers: field.lasers,
+                particleSystem: field.particleSystem,
+                powerUpManager: field.powerUpManager,
+                scoreManager: field.scoreManager,
+                time: this.gameTime,
+                partyModeActive: field.partyModeActive,
+                partyModeHue: field.partyModeHue,
+                partyModeTimer: field.partyModeTimer,
+                partyModeDuration: this.partyModeDuration
+            });
+
+            if (field.balls.length > 0 && !field.balls[0].launched) {
+                this.renderer.drawLaunchIndicator(field.paddle, field.balls[0]);
+            }
+
+            if (field.scoreManager.combo > 2) {
+                this.renderer.drawCombo(
+                    field.scoreManager.combo,
+                    field.canvas.width / 2,
+                    field.canvas.height - 100
+                );
+            }
+
+            this.ctx.restore();
+        }
+
+        this.renderer.drawFieldDivider(this.versus.fields[1].offsetX);
+
+        if (this.replayPlayer) {
+            this.renderer.drawReplayIndicator(this.replayPlayer.getProgress());
+        }
+    }
+
     // ==================== GAME LOOP ====================
 
     gameLoop(timestamp) {
         const dt = Math.min((timestamp - this.lastTime) / 1000, 0.1);
         this.lastTime = timestamp;
 
+        // Gamepads are read once per frame; Start also resumes a paused game
+        this.input.pollGamepads();
+        if (this.state === GameStates.PAUSED && this.input.isGamepadPausePressed()) {
+            this.resumeGame();
+        }
+
         // Fixed timestep update
         this.accumulator += dt;
         while (this.accumulator >= this.fixedTimeStep) {
@@ -1155,6 +3391,11 @@ class Game {
         // Render
         this.render();
 
+        // Music follows the game state and schedules ahead on the audio clock
+        this.updateMusicTempo();
+        this.updateMusicIntensity();
+        this.audio.updateMusic();
+
         // Clear frame input states
         this.input.clearFrameStates();
 
@@ -2,9 +2,17 @@
  * HighScoreManager - Handles high score tracking with localStorage
  */
 class HighScoreManager {
-    constructor(storageKey = 'bubbleBounceBlitzScores') {
+    constructor(storageKey = 'bubbleBounceBlitzScores', storage = localStorage) {
         this.storageKey = storageKey;
+        this.storage = storage;
         this.maxScores = 100;
+        this.levelLabel = 'Level'; // Heading for the progress column (endless counts rows)
+
+        // Time attack ranks times: lower is better, shown as m:ss.cc
+        this.scoreLabel = 'Score';
+        this.lowerIsBetter = false;
+        this.formatScore = (score) => score.toLocaleString();
+
         this.scores = this.loadScores();
     }
 
@@ -13,7 +21,7 @@ class HighScoreManager {
      */
     loadScores() {
         try {
-            const stored = localStorage.getItem(this.storageKey);
+            const stored = this.storage.getItem(this.storageKey);
             return stored ? JSON.parse(stored) : [];
         } catch (e) {
             console.warn('Could not load high scores:', e);
@@ -26,7 +34,7 @@ class HighScoreManager {
      */
     saveScores() {
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.scores));
+            this.storage.setItem(this.storageKey, JSON.stringify(this.scores));
         } catch (e) {
             console.warn('Could not save high scores:', e);
         }
@@ -38,17 +46,34 @@ class HighScoreManager {
     isHighScore(score) {
         if (score <= 0) return false;
         if (this.scores.length < this.maxScores) return true;
-        return score > this.scores[this.scores.length - 1].score;
+        return this.isBetter(score, this.scores[this.scores.length - 1].score);
     }
 
     /**
-     * Add a new high score
+     * Check if one score ranks above another
      */
-    addScore(name, score, level = 1) {
-        // Validate and sanitize name (max 8 characters, alphanumeric)
+    isBetter(score, other) {
+        return this.lowerIsBetter ? score < other : score > other;
+    }
+
+    sortScores() {
+        this.scores.sort((a, b) => this.lowerIsBetter ? a.score - b.score : b.score - a.score);
+    }
+
+    /**
+     * Validate and sanitize a name (max 8 characters, alphanumeric)
+     */
+    static sanitizeName(name) {
         name = name.trim().substring(0, 8).toUpperCase();
         name = name.replace(/[^A-Z0-9]/g, '');
-        if (!name) name = 'PLAYER';
+        return name || 'PLAYER';
+    }
+
+    /**
+     * Add a new high score
+     */
+    addScore(name, score, level = 1) {
+        name = HighScoreManager.sanitizeName(name);
 
         const entry = {
             name: name,
@@ -59,8 +84,8 @@ class HighScoreManager {
 
         this.scores.push(entry);
 
-        // Sort by score descending
-        this.scores.sort((a, b) => b.score - a.score);
+        // Best first
+        this.sortScores();
 
         // Keep only top 100
         this.scores = this.scores.slice(0, this.maxScores);
@@ -76,7 +101,7 @@ class HighScoreManager {
     }
 
     /**
-     * Get the highest score
+     * Get the best score (the highest, or the lowest time)
      */
     getHighScore() {
         return this.scores.length > 0 ? this.scores[0].score : 0;
@@ -96,7 +121,7 @@ class HighScoreManager {
         if (score <= 0) return -1;
         
         for (let i = 0; i < this.scores.length; i++) {
-            if (score >= this.scores[i].score) {
+            if (score === this.scores[i].score || this.isBetter(score, this.scores[i].score)) {
                 return i + 1;
             }
         }
@@ -122,8 +147,8 @@ class HighScoreManager {
                     <tr>
                         <th>Rank</th>
                         <th>Name</th>
-                        <th>Score</th>
-                        <th>Level</th>
+                        <th>${this.scoreLabel}</th>
+                        <th>${this.levelLabel}</th>
                     </tr>
                 </thead>
                 <tbody>
@@ -140,7 +165,7 @@ class HighScoreManager {
                 <tr class="rank-${rank}">
                     <td>${rank} ${medal}</td>
                     <td>${entry.name}</td>
-                    <td>${entry.score.toLocaleString()}</td>
+                    <td>${this.formatScore(entry.score)}</td>
                     <td>${entry.level}</td>
                 </tr>
             `;
@@ -173,7 +198,7 @@ class HighScoreManager {
             const imported = JSON.parse(jsonString);
             if (Array.isArray(imported)) {
                 this.scores = imported.slice(0, this.maxScores);
-                this.scores.sort((a, b) => b.score - a.score);
+                this.sortScores();
                 this.saveScores();
                 return true;
             }
@@ -1,12 +1,85 @@
 ﻿/**
- * InputManager - Handles keyboard, mouse, and touch input
+ * Rebindable keyboard actions, in the order the controls screen lists them.
+ * Launch and Shoot may share a key (Space does both by default); any other
+ * key can only belong to one action.
+ */
+const InputActions = [
+    { id: 'MOVE_LEFT', name: 'Move Left' },
+    { id: 'MOVE_RIGHT', name: 'Move Right' },
+    { id: 'LAUNCH', name: 'Launch', shares: ['SHOOT'] },
+    { id: 'SHOOT', name: 'Shoot', shares: ['LAUNCH'] },
+    { id: 'PAUSE', name: 'Pause' }
+];
+
+/**
+ * Default keys per action - two slots each, null for an empty slot
+ */
+const DefaultKeyBindings = {
+    MOVE_LEFT: ['ArrowLeft', 'KeyA'],
+    MOVE_RIGHT: ['ArrowRight', 'KeyD'],
+    LAUNCH: ['Space', 'ArrowUp'],
+    SHOOT: ['Space', 'KeyX'],
+    PAUSE: ['Escape', 'KeyP']
+};
+
+// Short names for keys whose code does not read well on its own
+const KeyNames = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    Space: 'Space',
+    Enter: 'Enter',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Left Ctrl',
+    ControlRight: 'Right Ctrl'
+};
+
+/**
+ * Touch control schemes: tap the left or right third of the screen, or drag
+ * anywhere with the paddle following the finger
+ */
+const TouchModes = {
+    ZONES: 'zones',
+    DRAG: 'drag'
+};
+
+const DefaultTouchSettings = {
+    mode: TouchModes.ZONES,
+    sensitivity: 1.5
+};
+
+/**
+ * Two-player (co-op and versus) keys - player 1 on A/D, player 2 on the
+ * arrow keys. These are fixed; the key bindings screen is for one player.
+ */
+const VersusKeys = [
+    { left: ['KeyA'], right: ['KeyD'], launch: ['KeyW', 'KeyS'] },
+    { left: ['ArrowLeft'], right: ['ArrowRight'], launch: ['ArrowUp', 'ArrowDown'] }
+];
+
+/**
+ * InputManager - Handles keyboard, mouse, touch and gamepad input
+ *
+ * Keyboard play goes through actions (InputActions) bound to keys, which
+ * players can rebind; the bindings are kept in localStorage. Gamepads are
+ * read through a GamepadManager (pass one with a stubbed pad source to test
+ * without hardware); the first pad plays alongside the keyboard, and in
+ * two-player modes each player gets their own.
  */
 class InputManager {
-    constructor(canvas) {
+    constructor(canvas, storage = localStorage, gamepads = new GamepadManager(undefined, undefined, storage)) {
         this.canvas = canvas;
+        this.storage = storage;
+        this.storageKey = 'brickBreaker2500KeyBindings';
+        this.gamepads = gamepads;
         
         // Keyboard state
         this.keys = {};
+        this.bindings = this.loadBindings();
+        this.capture = null; // { action, slot, onDone } while waiting for a key
         
         // Mouse/Touch state
         this.mouse = {
@@ -16,20 +89,37 @@ class InputManager {
             justPressed: false
         };
         
+        // The first finger down steers; any other finger is for launching
         this.touch = {
             active: false,
+            id: null, // Identifier of the steering finger
             x: 0,
             y: 0,
             startX: 0,
-            startY: 0
+            startY: 0,
+            startTime: 0,
+            actionIds: new Set() // Other fingers down
         };
 
+        // Touch scheme and how far the paddle moves per pixel dragged
+        this.touchSettingsKey = 'brickBreaker2500TouchControls';
+        this.touchMode = DefaultTouchSettings.mode;
+        this.touchSensitivity = DefaultTouchSettings.sensitivity;
+        this.minTouchSensitivity = 0.5;
+        this.maxTouchSensitivity = 3;
+        this.tapTime = 200; // A steering touch this short (ms) and still counts as a tap
+        this.tapDistance = 10;
+        this.loadTouchSettings();
+
         // Touch zones for mobile controls
         this.touchZones = {
             leftThird: 0,
             rightThird: 0
         };
 
+        // One view per versus player, each reading only their own keys and pad
+        this.playerInputs = VersusKeys.map((keys, player) => new PlayerKeyInput(this, keys, player));
+
         this.setupListeners();
         this.updateTouchZones();
     }
@@ -37,6 +127,18 @@ class InputManager {
     setupListeners() {
         // Keyboard events
         document.addEventListener('keydown', (e) => {
+            // Leave typing in form fields (name entry, level editor) alone
+            if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) {
+                return;
+            }
+
+            // The controls screen is waiting for a key to bind (or Escape)
+            if (this.capture) {
+                e.preventDefault();
+                this.finishCapture(e.code);
+                return;
+            }
+
             this.keys[e.code] = true;
             
             // Prevent scrolling with arrow keys and space
@@ -71,28 +173,31 @@ class InputManager {
         // Touch events
         this.canvas.addEventListener('touchstart', (e) => {
             e.preventDefault();
-            this.touch.active = true;
-            this.mouse.justPressed = true;
-            const touch = e.touches[0];
-            this.updateTouchPosition(touch);
-            this.touch.startX = this.touch.x;
-            this.touch.startY = this.touch.y;
+            for (const touch of e.changedTouches) {
+                this.startTouch(touch);
+            }
         }, { passive: false });
 
         this.canvas.addEventListener('touchend', (e) => {
             e.preventDefault();
-            this.touch.active = false;
+            for (const touch of e.changedTouches) {
+                this.endTouch(touch, true);
+            }
         }, { passive: false });
 
         this.canvas.addEventListener('touchmove', (e) => {
             e.preventDefault();
-            if (e.touches.length > 0) {
-                this.updateTouchPosition(e.touches[0]);
+            for (const touch of e.changedTouches) {
+                if (touch.identifier === this.touch.id) {
+                    this.updateTouchPosition(touch);
+                }
             }
         }, { passive: false });
 
-        this.canvas.addEventListener('touchcancel', () => {
-            this.touch.active = false;
+        this.canvas.addEventListener('touchcancel', (e) => {
+            for (const touch of e.changedTouches) {
+                this.endTouch(touch, false);
+            }
         });
 
         // Window resize
@@ -129,15 +234,259 @@ class InputManager {
     }
 
     /**
-     * Check if moving left (keyboard or touch)
+     * A finger went down: the first one steers, any other launches (and
+     * fires lasers while held). In zone mode the steering finger launches
+     * too, as a tap always has.
+     */
+    startTouch(touch) {
+        if (this.touch.id !== null) {
+            this.touch.actionIds.add(touch.identifier);
+            this.mouse.justPressed = true;
+            return;
+        }
+
+        this.touch.active = true;
+        this.touch.id = touch.identifier;
+        this.updateTouchPosition(touch);
+        this.touch.startX = this.touch.x;
+        this.touch.startY = this.touch.y;
+        this.touch.startTime = Date.now();
+        if (this.touchMode === TouchModes.ZONES) {
+            this.mouse.justPressed = true;
+        }
+    }
+
+    /**
+     * A finger lifted (or was cancelled). A quick tap with the steering
+     * finger still launches in drag mode, so one hand is enough to play.
+     */
+    endTouch(touch, lifted) {
+        if (touch.identifier !== this.touch.id) {
+            this.touch.actionIds.delete(touch.identifier);
+            return;
+        }
+
+        const moved = Math.abs(this.touch.x - this.touch.startX) + Math.abs(this.touch.y - this.touch.startY);
+        if (lifted && this.touchMode === TouchModes.DRAG &&
+            Date.now() - this.touch.startTime < this.tapTime && moved < this.tapDistance) {
+            this.mouse.justPressed = true;
+        }
+        this.touch.active = false;
+        this.touch.id = null;
+    }
+
+    setTouchMode(mode) {
+        this.touchMode = mode === TouchModes.DRAG ? TouchModes.DRAG : TouchModes.ZONES;
+        this.saveTouchSettings();
+    }
+
+    setTouchSensitivity(sensitivity) {
+        this.touchSensitivity = Math.max(this.minTouchSensitivity, Math.min(this.maxTouchSensitivity, sensitivity));
+        this.saveTouchSettings();
+    }
+
+    resetTouchSettings() {
+        this.touchMode = DefaultTouchSettings.mode;
+        this.touchSensitivity = DefaultTouchSettings.sensitivity;
+        this.saveTouchSettings();
+    }
+
+    loadTouchSettings() {
+        try {
+            const stored = this.storage.getItem(this.touchSettingsKey);
+            if (!stored) return;
+
+            const data = JSON.parse(stored);
+            this.touchMode = data.mode === TouchModes.DRAG ? TouchModes.DRAG : TouchModes.ZONES;
+            if (typeof data.sensitivity === 'number') {
+                this.touchSensitivity = Math.max(this.minTouchSensitivity,
+                    Math.min(this.maxTouchSensitivity, data.sensitivity));
+            }
+        } catch (e) {
+            console.warn('Could not load touch settings:', e);
+        }
+    }
+
+    saveTouchSettings() {
+        try {
+            this.storage.setItem(this.touchSettingsKey,
+                JSON.stringify({ mode: this.touchMode, sensitivity: this.touchSensitivity }));
+        } catch (e) {
+            console.warn('Could not save touch settings:', e);
+        }
+    }
+
+    /**
+     * Read the gamepads (call once per frame, before the fixed steps)
+     */
+    pollGamepads() {
+        this.gamepads.poll();
+    }
+
+    /**
+     * Is any key bound to an action held down
+     */
+    isActionPressed(action) {
+        return this.bindings[action].some(code => code !== null && this.keys[code]);
+    }
+
+    /**
+     * Wait for the next key press and bind it to one of an action's two
+     * slots. onDone(moved) is called once bound (see bindKey()), or with
+     * null when Escape cancels, leaving the slot as it was.
+     */
+    startCapture(action, slot, onDone = null) {
+        this.capture = { action: action, slot: slot, onDone: onDone };
+    }
+
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    isCapturing(action, slot) {
+        return this.capture !== null && this.capture.action === action && this.capture.slot === slot;
+    }
+
+    finishCapture(code) {
+        const { action, slot, onDone } = this.capture;
+        this.capture = null;
+        if (code === 'Escape') {
+            if (onDone) onDone(null);
+            return;
+        }
+        const moved = this.bindKey(action, slot, code);
+        if (onDone) onDone(moved);
+    }
+
+    /**
+     * Can two actions be bound to the same key (launch and shoot can; an
+     * action never needs one key twice)
+     */
+    static canShare(action, other) {
+        return action !== other &&
+            (InputActions.find(candidate => candidate.id === action).shares || []).includes(other);
+    }
+
+    /**
+     * Bind a key to an action's slot. A key already used by an action it
+     * may not share with is swapped: that slot gets this slot's old key, or
+     * is emptied when the old key would clash there too.
+     * Returns { action, slot, code } for every slot that moved.
+     */
+    bindKey(action, slot, code) {
+        const previous = this.bindings[action][slot];
+        const moved = [];
+
+        this.bindings[action][slot] = code;
+        for (const other of InputActions) {
+            if (InputManager.canShare(action, other.id)) continue;
+
+            this.bindings[other.id].forEach((bound, otherSlot) => {
+                if (bound !== code || (other.id === action && otherSlot === slot)) return;
+                const swapped = previous !== null && !this.isKeyTaken(previous, other.id, otherSlot) ? previous : null;
+                this.bindings[other.id][otherSlot] = swapped;
+                moved.push({ action: other.id, slot: otherSlot, code: swapped });
+            });
+        }
+
+        this.saveBindings();
+        return moved;
+    }
+
+    /**
+     * Is a key bound to an action that may not share it with the given
+     * action (ignoring that action's own slot)
+     */
+    isKeyTaken(code, action, slot) {
+        return InputActions.some(other => !InputManager.canShare(action, other.id) &&
+            this.bindings[other.id].some((bound, otherSlot) =>
+                bound === code && !(other.id === action && otherSlot === slot)));
+    }
+
+    resetBindings() {
+        this.bindings = InputManager.copyBindings(DefaultKeyBindings);
+        this.saveBindings();
+    }
+
+    static copyBindings(bindings) {
+        const copy = {};
+        for (const action of InputActions) {
+            copy[action.id] = bindings[action.id].slice();
+        }
+        return copy;
+    }
+
+    /**
+     * Display name for a key code, e.g. "KeyA" -> "A"
+     */
+    static getKeyName(code) {
+        if (code === null) return '-';
+        if (KeyNames[code]) return KeyNames[code];
+        return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ');
+    }
+
+    /**
+     * A two-player player's fixed keys for menus, e.g. "A/D + W/S"
+     */
+    static describePlayerKeys(player) {
+        const { left, right, launch } = VersusKeys[player];
+        return [left.concat(right), launch].map(codes => codes.map(code => InputManager.getKeyName(code)).join('/')).join(' + ');
+    }
+
+    /**
+     * An action's keys for menus, e.g. "← / A"
+     */
+    describeAction(action) {
+        const codes = this.bindings[action].filter(code => code !== null);
+        return codes.length > 0 ? codes.map(code => InputManager.getKeyName(code)).join(' / ') : 'Unbound';
+    }
+
+    /**
+     * Load bindings from localStorage, falling back to the defaults for any
+     * action missing or invalid
+     */
+    loadBindings() {
+        const bindings = InputManager.copyBindings(DefaultKeyBindings);
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            if (stored) {
+                const data = JSON.parse(stored);
+                for (const action of InputActions) {
+                    const codes = data && data[action.id];
+                    if (Array.isArray(codes) && codes.length === 2 &&
+                        codes.every(code => code === null || typeof code === 'string')) {
+                        bindings[action.id] = codes.slice();
+                    }
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load key bindings:', e);
+        }
+        return bindings;
+    }
+
+    saveBindings() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.warn('Could not save key bindings:', e);
+        }
+    }
+
+    /**
+     * Check if moving left (keyboard, touch or gamepad)
      */
     isMovingLeft() {
-        if (this.keys['ArrowLeft'] || this.keys['KeyA']) {
+        if (this.isActionPressed('MOVE_LEFT')) {
+            return true;
+        }
+
+        if (isGamepadMovingLeft(this.gamepads.getPad(0))) {
             return true;
         }
         
         // Touch on left third of screen
-        if (this.touch.active && this.touch.x < this.touchZones.leftThird) {
+        if (this.isUsingTouchZones() && this.touch.x < this.touchZones.leftThird) {
             return true;
         }
         
@@ -145,15 +494,19 @@ class InputManager {
     }
 
     /**
-     * Check if moving right (keyboard or touch)
+     * Check if moving right (keyboard, touch or gamepad)
      */
     isMovingRight() {
-        if (this.keys['ArrowRight'] || this.keys['KeyD']) {
+        if (this.isActionPressed('MOVE_RIGHT')) {
+            return true;
+        }
+
+        if (isGamepadMovingRight(this.gamepads.getPad(0))) {
             return true;
         }
         
         // Touch on right third of screen
-        if (this.touch.active && this.touch.x > this.touchZones.rightThird) {
+        if (this.isUsingTouchZones() && this.touch.x > this.touchZones.rightThird) {
             return true;
         }
         
@@ -164,21 +517,67 @@ class InputManager {
      * Check if launch/action pressed
      */
     isLaunchPressed() {
-        return this.keys['Space'] || this.keys['ArrowUp'] || this.mouse.justPressed;
+        return this.isActionPressed('LAUNCH') || this.mouse.justPressed || this.isGamepadLaunchPressed(0);
     }
 
     /**
      * Check if shoot laser pressed
      */
     isShootPressed() {
-        return this.keys['Space'] || this.keys['KeyX'] || this.mouse.pressed;
+        return this.isActionPressed('SHOOT') || this.mouse.pressed || this.touch.actionIds.size > 0 ||
+            this.isGamepadLaunchPressed(0);
+    }
+
+    isUsingTouchZones() {
+        return this.touch.active && this.touchMode === TouchModes.ZONES;
+    }
+
+    /**
+     * Is the paddle following a dragging finger
+     */
+    isDragging() {
+        return this.touch.active && this.touchMode === TouchModes.DRAG;
+    }
+
+    /**
+     * How far the paddle should have moved since the drag started: the
+     * finger's distance from where it went down, scaled by the sensitivity
+     * and rounded to tenths of a pixel so replays can store it exactly
+     */
+    getDragX() {
+        if (!this.isDragging()) return 0;
+        return Math.round((this.touch.x - this.touch.startX) * this.touchSensitivity * 10) / 10;
     }
 
     /**
      * Check if pause pressed
      */
     isPausePressed() {
-        return this.keys['Escape'] || this.keys['KeyP'];
+        return this.isActionPressed('PAUSE') || this.isGamepadPausePressed();
+    }
+
+    /**
+     * Stick deflection for player 1 (-1..1, 0 when centred or no pad)
+     */
+    getAnalogX() {
+        return this.getGamepadAnalogX(0);
+    }
+
+    getGamepadAnalogX(player) {
+        const pad = this.gamepads.getPad(player);
+        return pad ? pad.analogX : 0;
+    }
+
+    isGamepadLaunchPressed(player) {
+        const pad = this.gamepads.getPad(player);
+        return pad ? pad.launch : false;
+    }
+
+    /**
+     * Start pressed on any pad this frame
+     */
+    isGamepadPausePressed() {
+        return this.gamepads.pads.some(pad => pad.pausePressed);
     }
 
     /**
@@ -205,6 +604,13 @@ class InputManager {
         return this.touch.active || this.mouse.pressed;
     }
 
+    /**
+     * Input for one versus player (0 or 1)
+     */
+    getPlayerInput(index) {
+        return this.playerInputs[index];
+    }
+
     /**
      * Clear single-frame states (call at end of frame)
      */
@@ -219,6 +625,14 @@ class InputManager {
         this.keys[code] = false;
     }
 
+    /**
+     * Clear the pause keys and a pending gamepad Start press
+     */
+    clearPause() {
+        this.bindings.PAUSE.filter(code => code !== null).forEach(code => this.clearKey(code));
+        this.gamepads.clearPause();
+    }
+
     /**
      * Reset all input states
      */
@@ -227,5 +641,192 @@ class InputManager {
         this.mouse.pressed = false;
         this.mouse.justPressed = false;
         this.touch.active = false;
+        this.touch.id = null;
+        this.touch.actionIds.clear();
+    }
+}
+
+/**
+ * Gamepad movement: the d-pad, or the stick when deflected past the deadzone
+ */
+function isGamepadMovingLeft(pad) {
+    return pad !== null && (pad.left || pad.analogX < 0);
+}
+
+function isGamepadMovingRight(pad) {
+    return pad !== null && (pad.right || pad.analogX > 0);
+}
+
+/**
+ * PlayerKeyInput - One two-player player's keys on the shared keyboard,
+ * plus their own gamepad
+ *
+ * Launch also fires lasers; there is no pointer control in versus.
+ */
+class PlayerKeyInput {
+    constructor(input, keys, player) {
+        this.input = input;
+        this.keys = keys;
+        this.player = player;
+    }
+
+    isAnyPressed(codes) {
+        return codes.some(code => this.input.keys[code]);
+    }
+
+    getPad() {
+        return this.input.gamepads.getPad(this.player);
+    }
+
+    isMovingLeft() {
+        return this.isAnyPressed(this.keys.left) || isGamepadMovingLeft(this.getPad());
+    }
+
+    isMovingRight() {
+        return this.isAnyPressed(this.keys.right) || isGamepadMovingRight(this.getPad());
+    }
+
+    isLaunchPressed() {
+        return this.isAnyPressed(this.keys.launch) || this.input.isGamepadLaunchPressed(this.player);
+    }
+
+    isShootPressed() {
+        return this.isLaunchPressed();
+    }
+
+    getAnalogX() {
+        return this.input.getGamepadAnalogX(this.player);
+    }
+
+    isDragging() {
+        return false;
+    }
+
+    getDragX() {
+        return 0;
+    }
+
+    isPausePressed() {
+        return false; // Pause stays on the shared Escape/P keys
+    }
+
+    isUsingPointer() {
+        return false;
+    }
+
+    getPointerX() {
+        return 0;
+    }
+
+    getPointerY() {
+        return 0;
+    }
+}
+
+/**
+ * VirtualInput - Scriptable stand-in for InputManager
+ *
+ * Used by headless runs, tests and bots: set the public fields and the
+ * game reads them through the same methods as live input.
+ */
+class VirtualInput {
+    constructor() {
+        this.secondPlayer = null;
+        this.reset();
+    }
+
+    isMovingLeft() {
+        return this.left;
+    }
+
+    isMovingRight() {
+        return this.right;
+    }
+
+    isLaunchPressed() {
+        return this.launch;
+    }
+
+    isShootPressed() {
+        return this.shoot;
+    }
+
+    isPausePressed() {
+        return this.pause;
+    }
+
+    getPointerX() {
+        return this.pointerX;
+    }
+
+    getPointerY() {
+        return this.pointerY;
+    }
+
+    getAnalogX() {
+        return this.analogX;
+    }
+
+    isDragging() {
+        return this.dragging;
+    }
+
+    getDragX() {
+        return this.dragging ? this.dragX : 0;
+    }
+
+    isUsingPointer() {
+        return this.pointerActive;
+    }
+
+    updateTouchZones() {}
+
+    pollGamepads() {}
+
+    isGamepadPausePressed() {
+        return false;
+    }
+
+    /**
+     * Versus player 1 is this input; player 2 gets a second VirtualInput
+     */
+    getPlayerInput(index) {
+        if (index === 0) return this;
+        if (!this.secondPlayer) {
+            this.secondPlayer = new VirtualInput();
+        }
+        return this.secondPlayer;
+    }
+
+    /**
+     * Launch is a single-frame press, like a mouse click
+     */
+    clearFrameStates() {
+        this.launch = false;
+        if (this.secondPlayer) {
+            this.secondPlayer.clearFrameStates();
+        }
+    }
+
+    clearKey() {
+        this.pause = false;
+    }
+
+    clearPause() {
+        this.pause = false;
+    }
+
+    reset() {
+        this.left = false;
+        this.right = false;
+        this.launch = false;
+        this.shoot = false;
+        this.pause = false;
+        this.pointerX = 0;
+        this.pointerY = 0;
+        this.pointerActive = false;
+        this.analogX = 0; // Stick deflection, -1..1
+        this.dragging = false;
+        this.dragX = 0; // Paddle offset from where the drag started
     }
 }
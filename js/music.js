@@ -0,0 +1,418 @@
+﻿/**
+ * Music tracks - looping chiptune patterns, one per world plus the menu and
+ * boss fights
+ *
+ * Patterns are written in 16th-note steps, one bar (16 steps) per string.
+ * Bass and lead steps are note names ('A2', 'C#4') or '.' for a rest;
+ * drum steps are k (kick), s (snare), h (hi-hat) or '.'. Each part loops
+ * on its own length, so a two-bar bass can run under a four-bar lead.
+ * Every track also gets an arpeggio layer, built from its bass line.
+ */
+const MusicTracks = {
+    menu: {
+        bpm: 96,
+        bass: [
+            'A2 . . . A2 . . . F2 . . . F2 . . .',
+            'C3 . . . C3 . . . G2 . . . G2 . . .'
+        ],
+        lead: [
+            'E4 . A4 . C5 . B4 . A4 . . . E4 . . .',
+            'F4 . A4 . C5 . D5 . C5 . . . B4 . . .',
+            'E4 . G4 . C5 . B4 . G4 . . . E4 . . .',
+            'D4 . G4 . B4 . A4 . G4 . . . . . . .'
+        ],
+        drums: [
+            'k . . . h . . . s . . . h . . .'
+        ]
+    },
+    nebula: {
+        bpm: 120,
+        bass: [
+            'C2 . C3 . C2 . C3 . A1 . A2 . A1 . A2 .',
+            'F1 . F2 . F1 . F2 . G1 . G2 . G1 . G2 .'
+        ],
+        lead: [
+            'E4 . G4 . C5 . G4 . A4 . . . G4 . E4 .',
+            'F4 . A4 . C5 . A4 . B4 . . . D5 . B4 .',
+            'C5 . B4 . A4 . G4 . A4 . C5 . E5 . . .',
+            'D5 . C5 . B4 . D5 . C5 . . . . . . .'
+        ],
+        drums: [
+            'k . h . s . h . k . h . s . h h'
+        ]
+    },
+    ocean: {
+        bpm: 110,
+        bass: [
+            'D2 . . D2 . . A2 . D2 . . D2 . . C3 .',
+            'G1 . . G1 . . D2 . A1 . . A1 . . E2 .'
+        ],
+        lead: [
+            'A4 . . F4 . . D4 . E4 . F4 . G4 . . .',
+            'A4 . . C5 . . B4 . A4 . . . E4 . . .',
+            'D5 . . C5 . . A4 . G4 . A4 . B4 . . .',
+            'A4 . . G4 . . E4 . D4 . . . . . . .'
+        ],
+        drums: [
+            'k . . h k . s . . h k . s . h .'
+        ]
+    },
+    ember: {
+        bpm: 132,
+        bass: [
+            'E2 E2 E3 E2 E2 E2 E3 E2 C2 C2 C3 C2 D2 D2 D3 D2'
+        ],
+        lead: [
+            'B4 . G4 . E4 . G4 . C5 . B4 . A4 . G4 .',
+            'B4 . D5 . E5 . D5 . C5 . B4 . A4 . B4 .',
+            'E5 . . . D5 . . . C5 . . . B4 . A4 .',
+            'G4 . A4 . B4 . . . E4 . . . . . . .'
+        ],
+        drums: [
+            'k . h k s . h . k . h k s . h h'
+        ]
+    },
+    boss: {
+        bpm: 144,
+        bass: [
+            'A1 A1 A2 A1 A#1 A#1 A#2 A#1 A1 A1 A2 A1 G#1 G#1 G#2 G#1'
+        ],
+        lead: [
+            'A4 . C5 . D#5 . . . E5 . D#5 . C5 . A4 .',
+            'A#4 . D5 . F5 . . . E5 . D5 . C#5 . A4 .'
+        ],
+        drums: [
+            'k h s h k k s h k h s h k k s s'
+        ]
+    }
+};
+
+/**
+ * Synth voices for the melodic parts
+ */
+const MusicVoices = {
+    bass: { type: 'triangle', volume: 0.55, length: 1.8 }, // length in steps
+    lead: { type: 'square', volume: 0.12, length: 1.6 },
+    arp: { type: 'square', volume: 0.05, length: 0.8 }
+};
+
+/**
+ * Layers that fade in as the game's intensity (0-1) rises. Each one goes
+ * from silent to full between `from` and `from + MUSIC_LAYER_FADE`.
+ */
+const MusicLayers = {
+    base: { from: -1 },   // Bass, lead and kick: always playing
+    drums: { from: 0.2 }, // Snare and hi-hats
+    arp: { from: 0.5 }    // Arpeggio over the bass
+};
+const MUSIC_LAYER_FADE = 0.2;
+
+// Multiples of the bass note the arpeggio climbs through, one per step
+const ARP_RATIOS = [2, 3, 4, 6];
+
+/**
+ * Stingers - short phrases played over the music, in 16th-note steps at
+ * their own bpm
+ */
+const MusicStingers = {
+    combo: { bpm: 200, type: 'square', volume: 0.14, notes: 'C5 E5 G5 C6' },
+    levelComplete: { bpm: 150, type: 'square', volume: 0.16, notes: 'G4 . C5 . E5 . G5 . . . E5 . G5 . . . C6' }
+};
+
+const NOTE_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * MusicSequencer - Plays MusicTracks through Web Audio
+ *
+ * update() schedules the notes falling within the next lookahead window on
+ * the audio clock, so timing stays tight even though it is only called
+ * once per animation frame. Switching tracks crossfades: the old track
+ * keeps playing while it fades out under the new one.
+ *
+ * Each track plays through one gain per MusicLayers entry, and
+ * setIntensity() fades those in and out.
+ */
+class MusicSequencer {
+    constructor(context, destination, noiseBuffer = null) {
+        this.context = context;
+        this.destination = destination;
+        this.lookahead = 0.15; // Seconds scheduled ahead of the audio clock
+        this.crossfadeTime = 1.5;
+        this.tempo = 1; // Multiplier on each track's bpm
+        this.intensity = 0;
+        this.layerFadeTime = 0.4; // Time constant of layer fades, in seconds
+
+        this.current = null; // { name, track, gain, layers, step, nextTime, stopAt }
+        this.fading = [];
+        this.compiled = new Map();
+        this.noiseBuffer = noiseBuffer || this.createNoiseBuffer();
+    }
+
+    /**
+     * Crossfade to a track (no-op if it is already playing)
+     */
+    play(name) {
+        if (this.current && this.current.name === name) return;
+        const track = this.getTrack(name);
+        if (!track) return;
+
+        const now = this.context.currentTime;
+        if (this.current) {
+            this.fadeOut(this.current, now);
+        }
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0.0001, now);
+        gain.gain.linearRampToValueAtTime(1, now + this.crossfadeTime);
+        gain.connect(this.destination);
+
+        const layers = {};
+        for (const layer of Object.keys(MusicLayers)) {
+            layers[layer] = this.context.createGain();
+            layers[layer].gain.setValueAtTime(this.getLayerLevel(layer), now);
+            layers[layer].connect(gain);
+        }
+
+        this.current = { name: name, track: track, gain: gain, layers: layers, step: 0, nextTime: now + 0.05, stopAt: Infinity };
+    }
+
+    stop() {
+        if (!this.current) return;
+        this.fadeOut(this.current, this.context.currentTime);
+        this.current = null;
+    }
+
+    fadeOut(playback, now) {
+        const gain = playback.gain.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(Math.max(gain.value, 0.0001), now);
+        gain.linearRampToValueAtTime(0.0001, now + this.crossfadeTime);
+        playback.stopAt = now + this.crossfadeTime;
+        this.fading.push(playback);
+    }
+
+    setTempo(multiplier) {
+        this.tempo = multiplier;
+    }
+
+    /**
+     * Fade the current track's layers to match an intensity from 0 to 1
+     */
+    setIntensity(value) {
+        this.intensity = Math.max(0, Math.min(1, value));
+        if (!this.current) return;
+
+        const now = this.context.currentTime;
+        for (const [layer, gain] of Object.entries(this.current.layers)) {
+            gain.gain.setTargetAtTime(this.getLayerLevel(layer), now, this.layerFadeTime);
+        }
+    }
+
+    /**
+     * How loud a layer is at the current intensity, 0 to 1
+     */
+    getLayerLevel(layer) {
+        const level = (this.intensity - MusicLayers[layer].from) / MUSIC_LAYER_FADE;
+        return Math.max(0, Math.min(1, level));
+    }
+
+    /**
+     * Play a stinger from MusicStingers straight away, over the music and
+     * transposed by some semitones
+     */
+    playStinger(name, transpose = 0) {
+        const stinger = MusicStingers[name];
+        if (!stinger) return;
+
+        const stepTime = 60 / stinger.bpm / 4;
+        const start = this.context.currentTime + 0.02;
+        const shift = Math.pow(2, transpose / 12);
+        stinger.notes.split(/\s+/).forEach((token, i) => {
+            const frequency = MusicSequencer.noteToFrequency(token);
+            if (frequency !== null) {
+                this.playNote(frequency * shift, start + i * stepTime, stepTime * 2, stinger.type, stinger.volume, this.destination);
+            }
+        });
+    }
+
+    /**
+     * Schedule upcoming steps and drop tracks that have faded out
+     */
+    update() {
+        const now = this.context.currentTime;
+        if (this.current) {
+            this.schedule(this.current, now);
+        }
+
+        this.fading = this.fading.filter(playback => {
+            if (now >= playback.stopAt) {
+                playback.gain.disconnect();
+                for (const gain of Object.values(playback.layers)) {
+                    gain.disconnect();
+                }
+                return false;
+            }
+            this.schedule(playback, now);
+            return true;
+        });
+    }
+
+    schedule(playback, now) {
+        // After a stall (hidden tab) pick up from now rather than bursting notes
+        if (playback.nextTime < now) {
+            playback.nextTime = now;
+        }
+
+        const end = Math.min(now + this.lookahead, playback.stopAt);
+        while (playback.nextTime < end) {
+            this.playStep(playback, playback.nextTime);
+            playback.step++;
+            playback.nextTime += this.getStepTime(playback.track);
+        }
+    }
+
+    /**
+     * Length of one 16th-note step at the current tempo
+     */
+    getStepTime(track) {
+        return 60 / (track.bpm * this.tempo) / 4;
+    }
+
+    playStep(playback, time) {
+        const { track, step, layers } = playback;
+        const stepTime = this.getStepTime(track);
+
+        for (const part of ['bass', 'lead']) {
+            const frequency = track[part][step % track[part].length];
+            if (frequency !== null) {
+                const voice = MusicVoices[part];
+                this.playNote(frequency, time, voice.length * stepTime, voice.type, voice.volume, layers.base);
+            }
+        }
+
+        // Quiet layers are skipped rather than played silently
+        if (this.getLayerLevel('arp') > 0 || layers.arp.gain.value > 0.01) {
+            const voice = MusicVoices.arp;
+            this.playNote(track.arp[step % track.arp.length], time, voice.length * stepTime, voice.type, voice.volume, layers.arp);
+        }
+
+        const drum = track.drums[step % track.drums.length];
+        const drumsAudible = this.getLayerLevel('drums') > 0 || layers.drums.gain.value > 0.01;
+        if (drum === 'k') this.playKick(time, layers.base);
+        if (drum === 's' && drumsAudible) this.playNoiseHit(time, 0.12, 1200, 0.3, layers.drums);
+        if (drum === 'h' && drumsAudible) this.playNoiseHit(time, 0.04, 7000, 0.1, layers.drums);
+    }
+
+    // ==================== VOICES ====================
+
+    playNote(frequency, time, duration, type, volume, destination) {
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(frequency, time);
+
+        envelope.gain.setValueAtTime(0.0001, time);
+        envelope.gain.linearRampToValueAtTime(volume, time + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.02);
+    }
+
+    /**
+     * Kick drum: a sine dropping quickly in pitch
+     */
+    playKick(time, destination) {
+        const oscillator = this.context.createOscillator();
+        const envelope = this.context.createGain();
+        oscillator.frequency.setValueAtTime(150, time);
+        oscillator.frequency.exponentialRampToValueAtTime(40, time + 0.12);
+
+        envelope.gain.setValueAtTime(0.7, time);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + 0.15);
+
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(time);
+        oscillator.stop(time + 0.16);
+    }
+
+    /**
+     * Snare and hi-hat: a burst of high-passed noise
+     */
+    playNoiseHit(time, duration, cutoff, volume, destination) {
+        const source = this.context.createBufferSource();
+        const filter = this.context.createBiquadFilter();
+        const envelope = this.context.createGain();
+        source.buffer = this.noiseBuffer;
+        filter.type = 'highpass';
+        filter.frequency.setValueAtTime(cutoff, time);
+
+        envelope.gain.setValueAtTime(volume, time);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        source.connect(filter);
+        filter.connect(envelope);
+        envelope.connect(destination);
+        source.start(time);
+        source.stop(time + duration + 0.02);
+    }
+
+    /**
+     * Half a second of white noise for the drums, when none was passed in
+     */
+    createNoiseBuffer() {
+        const length = Math.floor(this.context.sampleRate * 0.5);
+        const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+        return buffer;
+    }
+
+    // ==================== PATTERNS ====================
+
+    /**
+     * A track with its patterns turned into per-step frequencies (null for
+     * rests) and drum letters, compiled once. The arpeggio follows the last
+     * bass note played, so it runs on through bass rests.
+     */
+    getTrack(name) {
+        if (!MusicTracks[name]) return null;
+        if (!this.compiled.has(name)) {
+            const track = MusicTracks[name];
+            const steps = (bars) => bars.join(' ').split(/\s+/);
+            const bass = steps(track.bass).map(token => MusicSequencer.noteToFrequency(token));
+
+            let root = bass.filter(frequency => frequency !== null).pop();
+            const arp = bass.map((frequency, i) => {
+                root = frequency || root;
+                return root * ARP_RATIOS[i % ARP_RATIOS.length];
+            });
+
+            this.compiled.set(name, {
+                bpm: track.bpm,
+                bass: bass,
+                lead: steps(track.lead).map(token => MusicSequencer.noteToFrequency(token)),
+                drums: steps(track.drums),
+                arp: arp
+            });
+        }
+        return this.compiled.get(name);
+    }
+
+    /**
+     * 'A4' -> 440, 'C#3' -> 138.59...; '.' (or anything unreadable) -> null
+     */
+    static noteToFrequency(token) {
+        const match = /^([A-G])(#|b)?(\d)$/.exec(token);
+        if (!match) return null;
+
+        const accidental = match[2] === '#' ? 1 : match[2] === 'b' ? -1 : 0;
+        const midi = (Number(match[3]) + 1) * 12 + NOTE_SEMITONES[match[1]] + accidental;
+        return 440 * Math.pow(2, (midi - 69) / 12);
+    }
+}
@@ -4,69 +4,266 @@
 class Physics {
     constructor() {
         this.gravity = 0; // No gravity for brick breaker
+
+        // Swept ball movement
+        this.maxBouncesPerStep = 8;
+        this.contactEpsilon = 1e-6;
+
+        // Counters for benchmark mode (the game resets them every step):
+        // queries are broadphase lookups, checks are exact collision tests
+        this.queries = 0;
+        this.checks = 0;
+    }
+
+    /**
+     * Area a ball covers while moving by `move` (for broadphase queries)
+     */
+    getSweepBounds(ball, move) {
+        const r = ball.radius;
+        return {
+            x: Math.min(ball.position.x, ball.position.x + move.x) - r,
+            y: Math.min(ball.position.y, ball.position.y + move.y) - r,
+            width: Math.abs(move.x) + r * 2,
+            height: Math.abs(move.y) + r * 2
+        };
     }
 
     /**
-     * Check ball-brick collision and handle response
+     * Sweep a ball along its move for this step and find the earliest contact
+     * with the walls, any of the paddles, a brick or a boss part. Returns
+     * null when the path is clear, otherwise { time, contacts, normal }:
+     *   time     - fraction of the move (0-1) until contact
+     *   contacts - everything touched at that time ({ type: 'wall', side },
+     *              { type: 'paddle', paddle }, { type: 'brick', brick, passThrough }
+     *              or { type: 'boss', part })
+     *   normal   - combined surface normal to reflect off (null if nothing reflects)
+     * `bricks` only needs the bricks near the path (see getSweepBounds);
+     * bricks in `ignore` are skipped (mega balls already passing through them).
+     * `bossParts` are the boss's hittable parts (Boss.getParts()).
      */
-    checkBallBrickCollision(ball, brick) {
-        if (brick.destroyed || brick.destroying) return null;
-
-        const collision = brick.checkCollision(ball);
-        if (!collision) return null;
-
-        // Handle collision response (unless mega ball)
-        if (!ball.isMega || brick.type === BrickTypes.METAL) {
-            if (collision.axis === 'x') {
-                ball.velocity.x *= -1;
-                // Push ball out of brick
-                if (collision.side === 'left') {
-                    ball.position.x = brick.x - ball.radius - 1;
-                } else {
-                    ball.position.x = brick.x + brick.width + ball.radius + 1;
+    sweepBall(ball, move, canvasWidth, paddles, bricks, ignore = null, bossParts = []) {
+        const r = ball.radius;
+        const pos = ball.position;
+        const candidates = [];
+        this.queries++;
+
+        // Walls (left, right, top - the bottom is open)
+        if (move.x < 0) {
+            candidates.push({ time: this.planeTime(pos.x - r, move.x), type: 'wall', side: 'left', normal: new Vector2(1, 0) });
+        } else if (move.x > 0) {
+            candidates.push({ time: this.planeTime(canvasWidth - r - pos.x, -move.x), type: 'wall', side: 'right', normal: new Vector2(-1, 0) });
+        }
+        if (move.y < 0) {
+            candidates.push({ time: this.planeTime(pos.y - r, move.y), type: 'wall', side: 'top', normal: new Vector2(0, 1) });
+        }
+
+        // Paddles (only while falling, any contact counts)
+        if (move.y > 0) {
+            for (const paddle of paddles) {
+                const hit = this.sweepCircleRect(
+                    pos, move, r,
+                    paddle.position.x - paddle.width / 2, paddle.position.y,
+                    paddle.width, paddle.height
+                );
+                if (hit) {
+                    candidates.push({ time: hit.time, type: 'paddle', paddle: paddle, normal: hit.normal });
                 }
+            }
+        }
+
+        // Bricks
+        for (const brick of bricks) {
+            if (brick.destroyed || brick.destroying) continue;
+            if (ignore && ignore.has(brick)) continue;
+
+            this.checks++;
+            const hit = this.sweepCircleRect(pos, move, r, brick.x, brick.y, brick.width, brick.height);
+            if (hit) {
+                candidates.push({
+                    time: hit.time,
+                    type: 'brick',
+                    brick: brick,
+                    normal: hit.normal,
+                    // Mega balls plough through everything except metal
+                    passThrough: ball.isMega && brick.type !== BrickTypes.METAL
+                });
+            }
+        }
+
+        // Boss parts are solid: even mega balls bounce off
+        for (const part of bossParts) {
+            this.checks++;
+            const hit = this.sweepCircleRect(pos, move, r, part.x, part.y, part.width, part.height);
+            if (hit) {
+                candidates.push({ time: hit.time, type: 'boss', part: part, normal: hit.normal });
+            }
+        }
+
+        const valid = candidates.filter(c => c.time !== null && c.time <= 1);
+        if (valid.length === 0) return null;
+
+        // Everything touched at the earliest time counts, so a ball hitting
+        // the seam between two bricks hits both and reflects off their
+        // combined face instead of a single corner
+        const time = Math.min(...valid.map(c => c.time));
+        const contacts = valid.filter(c => c.time <= time + this.contactEpsilon);
+
+        return { time, contacts, normal: this.combineNormals(contacts) };
+    }
+
+    /**
+     * Sum the normals of the contacts a ball reflects off
+     */
+    combineNormals(contacts) {
+        let normal = null;
+        for (const contact of contacts) {
+            if (contact.type === 'paddle' || contact.passThrough) continue;
+            normal = normal ? normal.add(contact.normal) : contact.normal.clone();
+        }
+        return normal;
+    }
+
+    /**
+     * A ball wedged between two surfaces (a gap exactly its size) would
+     * bounce back and forth without moving. Let it push through the bricks
+     * instead - they still take the hit.
+     */
+    squeezeThrough(hit) {
+        for (const contact of hit.contacts) {
+            if (contact.type === 'brick') {
+                contact.passThrough = true;
+            }
+        }
+        hit.normal = this.combineNormals(hit.contacts);
+    }
+
+    /**
+     * Time (fraction of the move) to reach a wall plane. distance is how far
+     * the ball edge is from the wall, speed the move towards it (negative).
+     */
+    planeTime(distance, speed) {
+        if (distance <= 0) return 0; // Already touching or past the wall
+        return distance / -speed;
+    }
+
+    /**
+     * Swept circle vs axis-aligned rectangle. Finds the earliest time (fraction
+     * of the move, 0-1) the circle touches the rectangle and the surface normal
+     * there. A circle already overlapping counts as a hit at time 0 as long as
+     * it is moving further in. Returns { time, normal } or null.
+     */
+    sweepCircleRect(pos, move, r, x, y, width, height) {
+        const right = x + width;
+        const bottom = y + height;
+
+        // Already overlapping?
+        const closestX = Math.max(x, Math.min(pos.x, right));
+        const closestY = Math.max(y, Math.min(pos.y, bottom));
+        const offsetX = pos.x - closestX;
+        const offsetY = pos.y - closestY;
+        const distSq = offsetX * offsetX + offsetY * offsetY;
+
+        if (distSq < r * r - this.contactEpsilon) {
+            let normal;
+            if (distSq > 0) {
+                const dist = Math.sqrt(distSq);
+                normal = new Vector2(offsetX / dist, offsetY / dist);
             } else {
-                ball.velocity.y *= -1;
-                // Push ball out of brick
-                if (collision.side === 'top') {
-                    ball.position.y = brick.y - ball.radius - 1;
-                } else {
-                    ball.position.y = brick.y + brick.height + ball.radius + 1;
-                }
+                // Centre inside the rectangle - leave by the nearest side
+                const exits = [
+                    { depth: pos.x - x, normal: new Vector2(-1, 0) },
+                    { depth: right - pos.x, normal: new Vector2(1, 0) },
+                    { depth: pos.y - y, normal: new Vector2(0, -1) },
+                    { depth: bottom - pos.y, normal: new Vector2(0, 1) }
+                ];
+                normal = exits.reduce((a, b) => (b.depth < a.depth ? b : a)).normal;
+            }
+            return move.dot(normal) < 0 ? { time: 0, normal } : null;
+        }
+
+        // Slab test against the rectangle grown by the radius
+        let tEnter = -Infinity;
+        let tExit = Infinity;
+        let normal = null;
+
+        const axes = [
+            { p: pos.x, d: move.x, min: x - r, max: right + r, n: new Vector2(move.x > 0 ? -1 : 1, 0) },
+            { p: pos.y, d: move.y, min: y - r, max: bottom + r, n: new Vector2(0, move.y > 0 ? -1 : 1) }
+        ];
+        for (const axis of axes) {
+            if (axis.d === 0) {
+                if (axis.p < axis.min || axis.p > axis.max) return null;
+                continue;
+            }
+            const t1 = (axis.min - axis.p) / axis.d;
+            const t2 = (axis.max - axis.p) / axis.d;
+            const near = Math.min(t1, t2);
+            const far = Math.max(t1, t2);
+            if (near > tEnter) {
+                tEnter = near;
+                normal = axis.n;
             }
+            tExit = Math.min(tExit, far);
+        }
+
+        if (tEnter > tExit || tEnter > 1 || tExit < 0) return null;
+
+        // Starting inside the grown box without overlapping means the ball is
+        // just touching a side (or sits near a corner, handled below)
+        if (tEnter < 0) {
+            tEnter = 0;
+            normal = new Vector2(offsetX, offsetY).normalize();
+        }
+
+        // Entering the grown box next to a corner means the rounded corner
+        // decides: sweep against a circle of radius r around that corner
+        const hitX = pos.x + move.x * tEnter;
+        const hitY = pos.y + move.y * tEnter;
+        const outsideX = hitX < x || hitX > right;
+        const outsideY = hitY < y || hitY > bottom;
+        if (outsideX && outsideY) {
+            const corner = new Vector2(hitX < x ? x : right, hitY < y ? y : bottom);
+            const time = this.sweepPointCircle(pos, move, corner, r);
+            if (time === null) return null;
+            const contactPoint = new Vector2(pos.x + move.x * time, pos.y + move.y * time);
+            return { time, normal: contactPoint.subtract(corner).normalize() };
         }
 
-        return collision;
+        if (!normal || move.dot(normal) >= 0) return null;
+        return { time: tEnter, normal };
+    }
+
+    /**
+     * Earliest time (0-1) a point moving by `move` comes within r of centre
+     */
+    sweepPointCircle(pos, move, centre, r) {
+        const fx = pos.x - centre.x;
+        const fy = pos.y - centre.y;
+        const a = move.x * move.x + move.y * move.y;
+        const b = 2 * (fx * move.x + fy * move.y);
+        const c = fx * fx + fy * fy - r * r;
+
+        const discriminant = b * b - 4 * a * c;
+        if (a === 0 || discriminant < 0) return null;
+
+        const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return t >= 0 && t <= 1 ? t : null;
     }
 
     /**
-     * Check ball-paddle collision
+     * Reflect a ball's velocity off a (possibly combined) surface normal
      */
-    checkBallPaddleCollision(ball, paddle) {
-        if (!ball.launched) return false;
-        
-        // Only check if ball is moving down
-        if (ball.velocity.y <= 0) return false;
-
-        const ballBottom = ball.position.y + ball.radius;
-        const ballTop = ball.position.y - ball.radius;
-        const ballLeft = ball.position.x - ball.radius;
-        const ballRight = ball.position.x + ball.radius;
-
-        const paddleTop = paddle.position.y;
-        const paddleBottom = paddle.position.y + paddle.height;
-        const paddleLeft = paddle.position.x - paddle.width / 2;
-        const paddleRight = paddle.position.x + paddle.width / 2;
-
-        // Check overlap
-        if (ballBottom >= paddleTop &&
-            ballTop <= paddleBottom &&
-            ballRight >= paddleLeft &&
-            ballLeft <= paddleRight) {
-            return true;
-        }
-
-        return false;
+    reflectBall(ball, normal) {
+        if (!normal || normal.magnitude() === 0) {
+            // Squeezed between opposing surfaces - head straight back
+            ball.velocity.multiply(-1);
+            return;
+        }
+
+        normal.normalize();
+        if (ball.velocity.dot(normal) < 0) {
+            ball.velocity.reflect(normal);
+        }
     }
 
     /**
@@ -75,6 +272,7 @@ class Physics {
     checkLaserBrickCollision(laser, brick) {
         if (brick.destroyed) return false;
 
+        this.checks++;
         return (
             laser.x < brick.x + brick.width &&
             laser.x + laser.width > brick.x &&
@@ -84,17 +282,67 @@ class Physics {
     }
 
     /**
-     * Get neighboring bricks for explosive effect
+     * Find the brick a laser hits (the lowest, as the laser travels up)
+     */
+    findLaserHit(laser, brickGrid) {
+        this.queries++;
+        let hitBrick = null;
+        for (const brick of brickGrid.query(laser.x, laser.y, laser.width, laser.height)) {
+            if (this.checkLaserBrickCollision(laser, brick) && (!hitBrick || brick.y > hitBrick.y)) {
+                hitBrick = brick;
+            }
+        }
+        return hitBrick;
+    }
+
+    /**
+     * Find the boss part a laser hits (the lowest, as the laser travels up)
+     */
+    findLaserBossHit(laser, boss) {
+        this.queries++;
+        let hitPart = null;
+        for (const part of boss.getParts()) {
+            if (this.checkLaserBrickCollision(laser, part) && (!hitPart || part.y > hitPart.y)) {
+                hitPart = part;
+            }
+        }
+        return hitPart;
+    }
+
+    /**
+     * Check whether a boss projectile (a circle) touches a paddle
+     */
+    checkProjectilePaddleCollision(projectile, paddle) {
+        this.checks++;
+        const left = paddle.position.x - paddle.width / 2;
+        const closestX = Math.max(left, Math.min(projectile.x, left + paddle.width));
+        const closestY = Math.max(paddle.position.y, Math.min(projectile.y, paddle.position.y + paddle.height));
+        const dx = projectile.x - closestX;
+        const dy = projectile.y - closestY;
+        return dx * dx + dy * dy <= projectile.radius * projectile.radius;
+    }
+
+    /**
+     * Get neighboring bricks for explosive effect (from the brick SpatialGrid)
      */
-    getNeighborBricks(brick, allBricks, radius = 1) {
+    getNeighborBricks(brick, brickGrid, radius = 1) {
         const neighbors = [];
         const brickCenterX = brick.x + brick.width / 2;
         const brickCenterY = brick.y + brick.height / 2;
         const explosionRadius = (brick.width + brick.height) * radius;
 
-        for (const other of allBricks) {
-            if (other === brick || other.destroyed) continue;
+        this.queries++;
+        const nearby = brickGrid.query(
+            brickCenterX - explosionRadius,
+            brickCenterY - explosionRadius,
+            explosionRadius * 2,
+            explosionRadius * 2
+        );
+
+        for (const other of nearby) {
+            if (other === brick || other.destroyed || other.destroying) continue;
 
+            this.checks++;
             const otherCenterX = other.x + other.width / 2;
             const otherCenterY = other.y + other.height / 2;
 
@@ -1,4 +1,16 @@
 ﻿/**
+ * Background themes - base hue and saturation for the animated backdrop
+ * (the game's Theme decides how the backdrop uses them)
+ */
+const BackgroundThemes = {
+    nebula: { hue: 240, saturation: 40 },
+    ocean: { hue: 200, saturation: 50 },
+    forest: { hue: 150, saturation: 35 },
+    ember: { hue: 10, saturation: 45 },
+    twilight: { hue: 280, saturation: 40 }
+};
+
+/**
  * Renderer - Handles all canvas drawing operations
  */
 class Renderer {
@@ -8,6 +20,9 @@ class Renderer {
         this.width = canvas.width;
         this.height = canvas.height;
         
+        // Visual-only randomness never touches the gameplay stream
+        this.random = GameRandom.cosmetic;
+        
         // Background stars
         this.stars = this.generateStars(100);
         
@@ -22,17 +37,48 @@ class Renderer {
 
         // Full-screen flash (triggered by events, painted during render)
         this.flash = { color: '#ffffff', alpha: 0 };
+
+        // Background theme (levels may request their own)
+        this.backgroundTheme = BackgroundThemes.nebula;
+
+        // Display settings: the animated backdrop, and how strong flashes are (0-1)
+        this.backgroundEffects = true;
+        this.flashIntensity = 1;
+    }
+
+    /**
+     * Switch background theme by name (unknown names fall back to nebula)
+     */
+    setBackgroundTheme(name) {
+        this.backgroundTheme = BackgroundThemes[name] || BackgroundThemes.nebula;
+    }
+
+    /**
+     * Recolour the floating particles after Theme.current changes
+     */
+    applyTheme() {
+        const colors = this.getParticleColors();
+        for (const p of this.bgParticles) {
+            p.color = this.random.pick(colors);
+        }
+    }
+
+    /**
+     * Floating particle colours (flat backgrounds draw none)
+     */
+    getParticleColors() {
+        return Theme.current.background.particles || ['#ffffff'];
     }
 
     generateStars(count) {
         const stars = [];
         for (let i = 0; i < count; i++) {
             stars.push({
-                x: Math.random() * 600,
-                y: Math.random() * 800,
-                size: Math.random() * 2 + 0.5,
-                brightness: Math.random(),
-                twinkleSpeed: Math.random() * 2 + 1
+                x: this.random.range(0, 600),
+                y: this.random.range(0, 800),
+                size: this.random.range(0.5, 2.5),
+                brightness: this.random.next(),
+                twinkleSpeed: this.random.range(1, 3)
             });
         }
         return stars;
@@ -40,17 +86,17 @@ class Renderer {
 
     generateBgParticles(count) {
         const particles = [];
-        const colors = ['#4ecdc4', '#ff6b6b', '#95e1d3', '#f38181', '#aa96da', '#fcbad3'];
+        const colors = this.getParticleColors();
         for (let i = 0; i < count; i++) {
             particles.push({
-                x: Math.random() * 600,
-                y: Math.random() * 800,
-                size: Math.random() * 20 + 10,
-                speedX: (Math.random() - 0.5) * 0.5,
-                speedY: Math.random() * 0.3 + 0.1,
-                color: colors[Math.floor(Math.random() * colors.length)],
-                alpha: Math.random() * 0.2 + 0.05,
-                pulse: Math.random() * Math.PI * 2
+                x: this.random.range(0, 600),
+                y: this.random.range(0, 800),
+                size: this.random.range(10, 30),
+                speedX: this.random.range(-0.25, 0.25),
+                speedY: this.random.range(0.1, 0.4),
+                color: this.random.pick(colors),
+                alpha: this.random.range(0.05, 0.25),
+                pulse: this.random.range(0, Math.PI * 2)
             });
         }
         return particles;
@@ -83,16 +129,30 @@ class Renderer {
         
         // Decay pulse
         this.pulseIntensity *= 0.95;
+
+        // Flat themes are a single colour with no effects
+        const background = Theme.current.background;
+        if (background.style === 'flat') {
+            this.ctx.fillStyle = background.color;
+            this.ctx.fillRect(0, 0, this.width, this.height);
+            return;
+        }
         
         // Dynamic gradient background based on time
+        const hue = background.hue !== null ? background.hue : this.backgroundTheme.hue;
+        const saturation = this.backgroundTheme.saturation * background.saturation;
+        const [edge, middle] = background.lightness;
         const hueShift = Math.sin(time * 0.1) * 10;
         const gradient = this.ctx.createLinearGradient(0, 0, 0, this.height);
-        gradient.addColorStop(0, `hsl(${240 + hueShift}, 40%, 8%)`);
-        gradient.addColorStop(0.5, `hsl(${250 + hueShift}, 35%, 15%)`);
-        gradient.addColorStop(1, `hsl(${240 + hueShift}, 40%, 8%)`);
+        gradient.addColorStop(0, `hsl(${hue + hueShift}, ${saturation}%, ${edge}%)`);
+        gradient.addColorStop(0.5, `hsl(${hue + 10 + hueShift}, ${saturation - 5}%, ${middle}%)`);
+        gradient.addColorStop(1, `hsl(${hue + hueShift}, ${saturation}%, ${edge}%)`);
         this.ctx.fillStyle = gradient;
         this.ctx.fillRect(0, 0, this.width, this.height);
 
+        // With background effects off the gradient is all there is
+        if (!this.backgroundEffects) return;
+
         // Draw color wave effect
         this.drawColorWave(time);
 
@@ -112,7 +172,7 @@ class Renderer {
 
         // Draw subtle grid lines with pulse effect
         const gridAlpha = 0.05 + this.pulseIntensity * 0.05;
-        this.ctx.strokeStyle = `rgba(100, 149, 237, ${gridAlpha})`;
+        this.ctx.strokeStyle = `rgba(${Theme.current.lines}, ${gridAlpha})`;
         this.ctx.lineWidth = 1;
         
         const gridSize = 50;
@@ -135,7 +195,7 @@ class Renderer {
                 this.width / 2, this.height / 2, 0,
                 this.width / 2, this.height / 2, this.width
             );
-            pulseGradient.addColorStop(0, `rgba(78, 205, 196, ${this.pulseIntensity * 0.1})`);
+            pulseGradient.addColorStop(0, Theme.withAlpha(Theme.current.accent, this.pulseIntensity * 0.1));
             pulseGradient.addColorStop(1, 'transparent');
             this.ctx.fillStyle = pulseGradient;
             this.ctx.fillRect(0, 0, this.width, this.height);
@@ -148,11 +208,7 @@ class Renderer {
     drawColorWave(time) {
         const waveHeight = 100;
         const waves = 3;
-        const colors = [
-            'rgba(78, 205, 196, 0.03)',
-            'rgba(255, 107, 107, 0.03)',
-            'rgba(149, 225, 211, 0.03)'
-        ];
+        const colors = Theme.current.background.waves.map(rgb => `rgba(${rgb}, 0.03)`);
 
         for (let w = 0; w < waves; w++) {
             this.ctx.beginPath();
@@ -185,7 +241,7 @@ class Renderer {
             // Wrap around
             if (p.y > this.height + p.size) {
                 p.y = -p.size;
-                p.x = Math.random() * this.width;
+                p.x = this.random.range(0, this.width);
             }
             if (p.x < -p.size) p.x = this.width + p.size;
             if (p.x > this.width + p.size) p.x = -p.size;
@@ -214,7 +270,7 @@ class Renderer {
      * Draw all game entities
      */
     draw(gameState) {
-        const { balls, paddle, bricks, lasers, particleSystem, powerUpManager, scoreManager, time } = gameState;
+        const { balls, paddles, bricks, lasers, particleSystem, powerUpManager, scoreManager, time } = gameState;
 
         // Draw background
         this.drawBackground(time);
@@ -233,6 +289,11 @@ class Renderer {
             }
         }
 
+        // Draw the boss and its projectiles
+        if (gameState.boss) {
+            gameState.boss.draw(this.ctx);
+        }
+
         // Draw power-ups
         if (powerUpManager) {
             powerUpManager.draw(this.ctx);
@@ -250,8 +311,10 @@ class Renderer {
             ball.draw(this.ctx);
         }
 
-        // Draw paddle
-        paddle.draw(this.ctx);
+        // Draw paddles
+        for (const paddle of paddles) {
+            paddle.draw(this.ctx);
+        }
 
         // Draw particles
         if (particleSystem) {
@@ -263,10 +326,39 @@ class Renderer {
             scoreManager.drawPopups(this.ctx);
         }
 
+        if (gameState.boss) {
+            this.drawBossHealthBar(gameState.boss);
+        }
+
+        this.drawThemeOverlay();
+
         // Paint and decay any active full-screen flash (last, so it overlays).
         this.drawFlash();
     }
 
+    /**
+     * Scanlines and a darkened edge for CRT-style themes
+     */
+    drawThemeOverlay() {
+        if (Theme.current.background.style !== 'crt') return;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
+        for (let y = 0; y < this.height; y += 3) {
+            this.ctx.fillRect(0, y, this.width, 1);
+        }
+
+        const vignette = this.ctx.createRadialGradient(
+            this.width / 2, this.height / 2, this.height * 0.3,
+            this.width / 2, this.height / 2, this.height * 0.75
+        );
+        vignette.addColorStop(0, 'transparent');
+        vignette.addColorStop(1, 'rgba(0, 0, 0, 0.5)');
+        this.ctx.fillStyle = vignette;
+        this.ctx.fillRect(0, 0, this.width, this.height);
+        this.ctx.restore();
+    }
+
     /**
      * Paint the current flash overlay and decay it for the next frame.
      */
@@ -338,13 +430,96 @@ class Renderer {
         
         // Draw "TAP TO LAUNCH" text
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
-        this.ctx.font = '14px Arial';
+        this.ctx.font = Theme.font(14);
         this.ctx.textAlign = 'center';
         this.ctx.fillText('TAP or SPACE to launch', ball.position.x, ball.position.y - 130);
         
         this.ctx.restore();
     }
 
+    /**
+     * Draw replay badge and playback progress
+     */
+    drawReplayIndicator(progress) {
+        this.ctx.save();
+        
+        this.ctx.font = Theme.font(14, 'bold');
+        this.ctx.textAlign = 'right';
+        this.ctx.fillStyle = '#ff6b6b';
+        this.ctx.fillText('● REPLAY', this.width - 15, this.height - 20);
+        
+        // Progress bar along the bottom edge
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        this.ctx.fillRect(0, this.height - 4, this.width, 4);
+        this.ctx.fillStyle = '#ff6b6b';
+        this.ctx.fillRect(0, this.height - 4, this.width * progress, 4);
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw collision benchmark stats (index.html?benchmark)
+     */
+    drawBenchmark(report, ballCount, brickCount) {
+        const lines = [
+            `Checks/frame: ${report.lastChecks} (avg ${report.avgChecks.toFixed(1)}, max ${report.maxChecks})`,
+            `Brute force:  ${report.lastBruteForce} (avg ${report.avgBruteForce.toFixed(1)})`,
+            `Balls: ${ballCount}  Bricks: ${brickCount}`
+        ];
+
+        this.ctx.save();
+        
+        this.ctx.font = '12px monospace';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(8, this.height - 66, 290, 52);
+        this.ctx.fillStyle = '#7fff7f';
+        lines.forEach((line, i) => {
+            this.ctx.fillText(line, 14, this.height - 48 + i * 16);
+        });
+        
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw the boss's name and health bar across the top of the field
+     */
+    drawBossHealthBar(boss) {
+        if (boss.defeated) return;
+
+        const width = Math.min(320, this.width - 40);
+        const height = 10;
+        const x = (this.width - width) / 2;
+        const y = 56;
+        const health = boss.getHealth() / boss.maxHealth;
+
+        this.ctx.save();
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.beginPath();
+        this.ctx.roundRect(x, y, width, height, height / 2);
+        this.ctx.fill();
+
+        // Red once enraged (below half health)
+        this.ctx.fillStyle = boss.isEnraged() ? '#ff4757' : '#ffd700';
+        this.ctx.beginPath();
+        this.ctx.roundRect(x, y, width * health, height, height / 2);
+        this.ctx.fill();
+
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.roundRect(x, y, width, height, height / 2);
+        this.ctx.stroke();
+
+        this.ctx.font = Theme.font(12, 'bold');
+        this.ctx.textAlign = 'center';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.fillText(boss.name.toUpperCase(), this.width / 2, y - 6);
+
+        this.ctx.restore();
+    }
+
     /**
      * Draw combo indicator
      */
@@ -354,15 +529,15 @@ class Renderer {
         this.ctx.save();
         
         const scale = 1 + (combo - 1) * 0.1;
-        this.ctx.font = `bold ${24 * scale}px Arial`;
+        this.ctx.font = Theme.font(24 * scale, 'bold');
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         
         // Glow effect
-        this.ctx.shadowColor = '#4ecdc4';
-        this.ctx.shadowBlur = 20;
+        this.ctx.shadowColor = Theme.current.accent;
+        this.ctx.shadowBlur = Theme.glow(20);
         
-        this.ctx.fillStyle = '#4ecdc4';
+        this.ctx.fillStyle = Theme.current.accent;
         this.ctx.fillText(`COMBO x${combo}!`, x, y);
         
         this.ctx.restore();
@@ -385,7 +560,7 @@ class Renderer {
         this.ctx.fillRect(0, 0, this.width, this.height);
         
         // Party mode indicator text
-        this.ctx.font = 'bold 24px Arial';
+        this.ctx.font = Theme.font(24, 'bold');
         this.ctx.textAlign = 'center';
         this.ctx.shadowColor = `hsl(${hue}, 100%, 50%)`;
         this.ctx.shadowBlur = 20;
@@ -468,7 +643,7 @@ class Renderer {
         
         // Draw power-up icon overlay (spinning during party mode)
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
-        this.ctx.font = '10px Arial';
+        this.ctx.font = Theme.font(10);
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
         this.ctx.fillText('✨', drawX + brick.width / 2, drawY + brick.height / 2);
@@ -490,22 +665,36 @@ class Renderer {
         
         // Level complete text
         this.ctx.fillStyle = '#ffd700';
-        this.ctx.font = 'bold 48px Arial';
+        this.ctx.font = Theme.font(48, 'bold');
         this.ctx.textAlign = 'center';
         this.ctx.shadowColor = '#ffd700';
-        this.ctx.shadowBlur = 30;
+        this.ctx.shadowBlur = Theme.glow(30);
         this.ctx.fillText(`LEVEL ${level}`, this.width / 2, this.height / 2 - 40);
         this.ctx.fillText('COMPLETE!', this.width / 2, this.height / 2 + 20);
         
         // Bonus text
-        this.ctx.font = '24px Arial';
-        this.ctx.fillStyle = '#4ecdc4';
-        this.ctx.shadowColor = '#4ecdc4';
+        this.ctx.font = Theme.font(24);
+        this.ctx.fillStyle = Theme.current.accent;
+        this.ctx.shadowColor = Theme.current.accent;
         this.ctx.fillText(`Bonus: +${bonus}`, this.width / 2, this.height / 2 + 70);
         
         this.ctx.restore();
     }
 
+    /**
+     * Draw the line between the two versus fields
+     */
+    drawFieldDivider(x) {
+        this.ctx.save();
+        this.ctx.strokeStyle = `rgba(${Theme.current.lines}, 0.6)`;
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, 0);
+        this.ctx.lineTo(x, this.height);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
     /**
      * Draw game boundaries
      */
@@ -514,20 +703,21 @@ class Renderer {
         
         // Side walls glow
         const wallGradientLeft = this.ctx.createLinearGradient(0, 0, 10, 0);
-        wallGradientLeft.addColorStop(0, 'rgba(100, 149, 237, 0.3)');
+        const wallColor = `rgba(${Theme.current.lines}, 0.3)`;
+        wallGradientLeft.addColorStop(0, wallColor);
         wallGradientLeft.addColorStop(1, 'transparent');
         this.ctx.fillStyle = wallGradientLeft;
         this.ctx.fillRect(0, 0, 10, this.height);
         
         const wallGradientRight = this.ctx.createLinearGradient(this.width - 10, 0, this.width, 0);
         wallGradientRight.addColorStop(0, 'transparent');
-        wallGradientRight.addColorStop(1, 'rgba(100, 149, 237, 0.3)');
+        wallGradientRight.addColorStop(1, wallColor);
         this.ctx.fillStyle = wallGradientRight;
         this.ctx.fillRect(this.width - 10, 0, 10, this.height);
         
         // Top wall glow
         const wallGradientTop = this.ctx.createLinearGradient(0, 0, 0, 10);
-        wallGradientTop.addColorStop(0, 'rgba(100, 149, 237, 0.3)');
+        wallGradientTop.addColorStop(0, wallColor);
         wallGradientTop.addColorStop(1, 'transparent');
         this.ctx.fillStyle = wallGradientTop;
         this.ctx.fillRect(0, 0, this.width, 10);
@@ -541,6 +731,8 @@ class Renderer {
      * directly would be wiped by the clear() at the start of render().
      */
     flashScreen(color = 'white', alpha = 0.3) {
+        alpha *= this.flashIntensity;
+
         // Keep the strongest pending flash if several fire in one frame.
         if (alpha >= this.flash.alpha) {
             this.flash.color = color;
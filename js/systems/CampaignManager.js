@@ -0,0 +1,229 @@
+﻿/**
+ * Campaign worlds - every 10 levels form one world on the world map
+ */
+const CampaignWorlds = [
+    { name: 'Nebula Nursery', background: 'nebula' },
+    { name: 'Ocean Depths', background: 'ocean' },
+    { name: 'Ember Core', background: 'ember' }
+];
+
+/**
+ * CampaignManager - Tracks campaign progress: unlocks, best scores and stars
+ *
+ * Progress is stored per level set, so a custom level pack keeps its own
+ * progress next to the built-in levels.
+ */
+class CampaignManager {
+    constructor(levelCount = 30, storageKey = 'brickBreaker2500Campaign', storage = localStorage) {
+        this.levelCount = levelCount;
+        this.levelsPerWorld = 10;
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.levelSet = 'builtin';
+        this.progress = this.loadProgress();
+    }
+
+    /**
+     * Load progress from localStorage
+     */
+    loadProgress() {
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            const data = stored ? JSON.parse(stored) : null;
+            return data && data.levelSets ? data : { levelSets: {} };
+        } catch (e) {
+            console.warn('Could not load campaign progress:', e);
+            return { levelSets: {} };
+        }
+    }
+
+    /**
+     * Save progress to localStorage
+     */
+    saveProgress() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.progress));
+        } catch (e) {
+            console.warn('Could not save campaign progress:', e);
+        }
+    }
+
+    /**
+     * Switch to the progress for a level pack (null for the built-in levels)
+     */
+    setLevelSet(name, levelCount = this.levelCount) {
+        this.levelSet = name ? `pack:${name}` : 'builtin';
+        this.levelCount = levelCount;
+    }
+
+    getLevelSetProgress() {
+        if (!this.progress.levelSets[this.levelSet]) {
+            this.progress.levelSets[this.levelSet] = { levels: {}, lastPlayed: 1 };
+        }
+        return this.progress.levelSets[this.levelSet];
+    }
+
+    // ==================== WORLDS ====================
+
+    getWorldCount() {
+        return Math.ceil(this.levelCount / this.levelsPerWorld);
+    }
+
+    /**
+     * Get a world (0-based) with its level range
+     */
+    getWorld(index) {
+        const info = CampaignWorlds[index] || { name: `World ${index + 1}`, background: 'nebula' };
+        const firstLevel = index * this.levelsPerWorld + 1;
+        return {
+            index: index,
+            name: info.name,
+            background: info.background,
+            firstLevel: firstLevel,
+            lastLevel: Math.min(firstLevel + this.levelsPerWorld - 1, this.levelCount)
+        };
+    }
+
+    getWorldForLevel(level) {
+        return this.getWorld(Math.floor((level - 1) / this.levelsPerWorld));
+    }
+
+    getWorldStars(world) {
+        let stars = 0;
+        for (let level = world.firstLevel; level <= world.lastLevel; level++) {
+            stars += this.getLevel(level).stars;
+        }
+        return stars;
+    }
+
+    // ==================== LEVELS ====================
+
+    /**
+     * Get the saved state of a level
+     */
+    getLevel(level) {
+        const saved = this.getLevelSetProgress().levels[level];
+        return {
+            cleared: saved ? saved.cleared : false,
+            bestScore: saved ? saved.bestScore : 0,
+            stars: saved ? saved.stars : 0
+        };
+    }
+
+    /**
+     * Level 1 is always open; every other level opens when the one before is cleared
+     */
+    isUnlocked(level) {
+        if (level < 1 || level > this.levelCount) return false;
+        return level === 1 || this.getLevel(level - 1).cleared;
+    }
+
+    isLastLevel(level) {
+        return level >= this.levelCount;
+    }
+
+    /**
+     * Level to continue from: the first unlocked level not yet cleared
+     */
+    getResumeLevel() {
+        for (let level = 1; level <= this.levelCount; level++) {
+            if (!this.getLevel(level).cleared) return level;
+        }
+        return this.getLevelSetProgress().lastPlayed;
+    }
+
+    markPlayed(level) {
+        this.getLevelSetProgress().lastPlayed = level;
+        this.saveProgress();
+    }
+
+    /**
+     * Record a cleared level. score is what was earned in the level
+     * (including its bonus). Returns what changed for the results screen.
+     */
+    recordLevelResult(level, score, stars) {
+        const levels = this.getLevelSetProgress().levels;
+        const previous = this.getLevel(level);
+
+        levels[level] = {
+            cleared: true,
+            bestScore: Math.max(previous.bestScore, score),
+            stars: Math.max(previous.stars, stars)
+        };
+        this.saveProgress();
+
+        return {
+            firstClear: !previous.cleared,
+            newBest: score > previous.bestScore,
+            newStars: stars > previous.stars,
+            unlockedLevel: !previous.cleared && !this.isLastLevel(level) ? level + 1 : null
+        };
+    }
+
+    getTotalStars() {
+        let stars = 0;
+        for (let level = 1; level <= this.levelCount; level++) {
+            stars += this.getLevel(level).stars;
+        }
+        return stars;
+    }
+
+    /**
+     * Clear progress for the current level set
+     */
+    resetProgress() {
+        delete this.progress.levelSets[this.levelSet];
+        this.saveProgress();
+    }
+
+    // ==================== WORLD MAP ====================
+
+    formatStars(stars) {
+        return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+    }
+
+    /**
+     * Display the world map in a container element. Level buttons carry
+     * data-level so the game can handle clicks on the container.
+     */
+    displayWorldMap(containerId) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const resumeLevel = this.getResumeLevel();
+        let html = `<p class="map-total">Stars: ${this.getTotalStars()} / ${this.levelCount * 3}</p>`;
+
+        for (let i = 0; i < this.getWorldCount(); i++) {
+            const world = this.getWorld(i);
+            const worldStars = this.getWorldStars(world);
+            const maxStars = (world.lastLevel - world.firstLevel + 1) * 3;
+            const locked = !this.isUnlocked(world.firstLevel);
+
+            html += `
+                <div class="map-world world-${world.background}${locked ? ' locked' : ''}">
+                    <h3>${world.name} <span class="map-world-stars">${worldStars}/${maxStars} ★</span></h3>
+                    <div class="map-levels">
+            `;
+
+            for (let level = world.firstLevel; level <= world.lastLevel; level++) {
+                const state = this.getLevel(level);
+                const unlocked = this.isUnlocked(level);
+                const classes = ['map-level'];
+                if (state.cleared) classes.push('cleared');
+                if (level === resumeLevel) classes.push('current');
+
+                html += `
+                    <button class="${classes.join(' ')}" data-level="${level}" ${unlocked ? '' : 'disabled'}
+                        title="${state.cleared ? 'Best: ' + state.bestScore.toLocaleString() : unlocked ? 'Not cleared yet' : 'Locked'}">
+                        <span class="map-level-number">${unlocked ? level : '🔒'}</span>
+                        <span class="map-level-stars">${unlocked ? this.formatStars(state.stars) : ''}</span>
+                    </button>
+                `;
+            }
+
+            html += '</div></div>';
+        }
+
+        container.innerHTML = html;
+    }
+}
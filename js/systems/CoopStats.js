@@ -0,0 +1,59 @@
+﻿/**
+ * CoopStats - Each player's share of a co-op run
+ *
+ * Lives and score are shared, so a player is credited with what the ball
+ * they last touched (or the laser they fired) scores: points and bricks.
+ * Balls returned and power-ups caught are counted per paddle.
+ */
+class CoopStats {
+    constructor(playerCount = 2) {
+        this.playerCount = playerCount;
+        this.reset();
+    }
+
+    reset() {
+        this.players = [];
+        for (let i = 0; i < this.playerCount; i++) {
+            this.players.push({ points: 0, bricks: 0, returns: 0, powerUps: 0 });
+        }
+    }
+
+    addScore(player, points, bricks) {
+        this.players[player].points += points;
+        this.players[player].bricks += bricks;
+    }
+
+    addReturn(player) {
+        this.players[player].returns++;
+    }
+
+    addPowerUp(player) {
+        this.players[player].powerUps++;
+    }
+
+    /**
+     * A player's share of the points the players scored (0-100)
+     */
+    getShare(player) {
+        const total = this.players.reduce((sum, stats) => sum + stats.points, 0);
+        return total > 0 ? Math.round(this.players[player].points / total * 100) : 0;
+    }
+
+    /**
+     * One line per player for the end of run screen
+     */
+    getSummary() {
+        return this.players.map((stats, i) =>
+            `P${i + 1}: ${stats.points.toLocaleString()} (${this.getShare(i)}%) · ${stats.bricks} bricks · ` +
+            `${stats.returns} returns · ${stats.powerUps} power-ups`
+        );
+    }
+
+    getSaveData() {
+        return this.players.map(stats => Object.assign({}, stats));
+    }
+
+    restoreSaveData(players) {
+        this.players = players.map(stats => Object.assign({}, stats));
+    }
+}
@@ -0,0 +1,219 @@
+﻿const DAILY_RESULT_PREFIX = 'BB2500-DAILY';
+const DAILY_SIGNING_KEY = 'brickbreaker2500:daily:v1';
+
+/**
+ * DailyChallengeManager - The day's shared challenge, attempts and local boards
+ *
+ * Everyone playing on the same (UTC) day gets the same seed, and with it the
+ * same procedural levels and power-up loadout. Only the first attempt of a
+ * day is scored. There is no server, so each day's board is kept locally and
+ * friends compare by swapping signed result strings. The signing key ships
+ * with the game: it catches typos and casual edits, not determined cheats.
+ */
+class DailyChallengeManager {
+    constructor(storageKey = 'brickBreaker2500Daily', storage = localStorage) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.levelCount = 3;
+        this.firstDifficulty = 6; // Procedural level of the first stage, plus up to 4
+        this.difficultyStep = 4; // Each stage is this many procedural levels harder
+        this.loadoutSize = 4;
+        // Power-ups a loadout draws from (the hidden power-up pool, so never Shrink or Fast)
+        this.loadoutPool = ['multiball', 'extend', 'sticky', 'laser', 'mega', 'slow', 'life', 'multiplier', 'autoburst', 'explosive'];
+        this.records = this.loadRecords();
+        this.boards = new Map(); // Date -> HighScoreManager for that day
+    }
+
+    /**
+     * Load attempts and results from localStorage
+     */
+    loadRecords() {
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            const data = stored ? JSON.parse(stored) : null;
+            return data && data.days ? data : { days: {} };
+        } catch (e) {
+            console.warn('Could not load daily challenge records:', e);
+            return { days: {} };
+        }
+    }
+
+    /**
+     * Save attempts and results to localStorage
+     */
+    saveRecords() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.records));
+        } catch (e) {
+            console.warn('Could not save daily challenge records:', e);
+        }
+    }
+
+    getDay(date) {
+        if (!this.records.days[date]) {
+            this.records.days[date] = { attempted: false, result: null };
+        }
+        return this.records.days[date];
+    }
+
+    // ==================== CHALLENGE ====================
+
+    /**
+     * Day key (YYYY-MM-DD, UTC so friends in other time zones share the day)
+     */
+    getDateKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    }
+
+    getSeed(date) {
+        return SeededRandom.hashString(`daily:${date}`);
+    }
+
+    /**
+     * The challenge for a day (today by default)
+     */
+    getChallenge(date = this.getDateKey()) {
+        return this.createChallenge(this.getSeed(date), date);
+    }
+
+    /**
+     * Build a challenge from its seed: the procedural difficulty of each
+     * stage and the power-up loadout. Replays only know the seed, so
+     * everything is derived from it (date is null then).
+     */
+    createChallenge(seed, date = null) {
+        const random = new SeededRandom(SeededRandom.hashString(`${seed}:challenge`));
+        const firstLevel = this.firstDifficulty + random.int(5);
+        const levels = [];
+        for (let i = 0; i < this.levelCount; i++) {
+            levels.push(firstLevel + i * this.difficultyStep);
+        }
+
+        return {
+            date: date,
+            seed: seed,
+            levels: levels,
+            loadout: random.shuffle(this.loadoutPool.slice()).slice(0, this.loadoutSize)
+        };
+    }
+
+    // ==================== ATTEMPTS ====================
+
+    hasAttempted(date = this.getDateKey()) {
+        return this.getDay(date).attempted;
+    }
+
+    /**
+     * Start an attempt; returns true when it is the day's scored one.
+     * Quitting a scored attempt still uses it up.
+     */
+    startAttempt(date) {
+        const day = this.getDay(date);
+        if (day.attempted) return false;
+
+        day.attempted = true;
+        this.saveRecords();
+        return true;
+    }
+
+    /**
+     * Keep the scored attempt's result (the name comes later, from the
+     * high score prompt)
+     */
+    recordResult(date, score, level, completed) {
+        this.getDay(date).result = { name: null, score: score, level: level, completed: completed };
+        this.saveRecords();
+    }
+
+    setResultName(date, name) {
+        const result = this.getDay(date).result;
+        if (!result) return;
+        result.name = HighScoreManager.sanitizeName(name);
+        this.saveRecords();
+    }
+
+    getResult(date = this.getDateKey()) {
+        return this.getDay(date).result;
+    }
+
+    /**
+     * Days with an attempt or imported results, newest first (today always included)
+     */
+    getHistory() {
+        const dates = new Set(Object.keys(this.records.days));
+        dates.add(this.getDateKey());
+        return [...dates].sort().reverse();
+    }
+
+    /**
+     * The local leaderboard for a day
+     */
+    getScores(date) {
+        if (!this.boards.has(date)) {
+            this.boards.set(date, new HighScoreManager(`brickBreaker2500DailyScores:${date}`, this.storage));
+        }
+        return this.boards.get(date);
+    }
+
+    // ==================== SHARING ====================
+
+    sign(payload) {
+        return GameRandom.formatSeed(SeededRandom.hashString(DAILY_SIGNING_KEY + payload));
+    }
+
+    /**
+     * Signed result string for a day's scored attempt, or null without one:
+     * BB2500-DAILY:2024-05-01:NAME:12345:3:SIGNATURE
+     */
+    exportResult(date = this.getDateKey()) {
+        const result = this.getResult(date);
+        if (!result) return null;
+
+        const payload = [DAILY_RESULT_PREFIX, date, result.name || 'PLAYER', result.score, result.level].join(':');
+        return `${payload}:${this.sign(payload)}`;
+    }
+
+    /**
+     * Parse and check a result string.
+     * Returns { result, error } - result is null when the string is rejected.
+     */
+    parseResult(text) {
+        const parts = String(text).trim().split(':');
+        if (parts.length !== 6 || parts[0] !== DAILY_RESULT_PREFIX) {
+            return { result: null, error: 'Not a daily challenge result' };
+        }
+
+        const [, date, name, score, level, signature] = parts;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^[A-Z0-9]{1,8}$/.test(name) ||
+            !/^\d+$/.test(score) || !/^\d+$/.test(level)) {
+            return { result: null, error: 'Result is malformed' };
+        }
+        if (signature !== this.sign(parts.slice(0, 5).join(':'))) {
+            return { result: null, error: 'Result signature does not match (edited or mistyped)' };
+        }
+
+        return {
+            result: { date: date, name: name, score: Number(score), level: Number(level) },
+            error: null
+        };
+    }
+
+    /**
+     * Add a friend's result to its day's board.
+     * Returns { result, error } like parseResult.
+     */
+    importResult(text) {
+        const { result, error } = this.parseResult(text);
+        if (!result) return { result: null, error: error };
+
+        const board = this.getScores(result.date);
+        if (board.scores.some(entry => entry.name === result.name && entry.score === result.score)) {
+            return { result: null, error: 'That result is already on the board' };
+        }
+
+        board.addScore(result.name, result.score, result.level);
+        this.getDay(result.date); // Show the day in the history
+        this.saveRecords();
+        return { result: result, error: null };
+    }
+}
@@ -0,0 +1,253 @@
+﻿/**
+ * Gamepad actions, in the order the mapping screen lists them. Buttons map
+ * to a button index, the stick to an axis index.
+ */
+const GamepadActions = [
+    { id: 'stick', name: 'Analog Move', kind: 'axis' },
+    { id: 'left', name: 'Move Left', kind: 'button' },
+    { id: 'right', name: 'Move Right', kind: 'button' },
+    { id: 'launch', name: 'Launch / Shoot', kind: 'button' },
+    { id: 'pause', name: 'Pause', kind: 'button' }
+];
+
+/**
+ * Default mapping for the browser's "standard" layout: left stick, d-pad,
+ * A and Start
+ */
+const DefaultGamepadMapping = {
+    stick: 0,
+    left: 14,
+    right: 15,
+    launch: 0,
+    pause: 9
+};
+
+// Names of the standard layout's buttons and axes, for the mapping screen
+const GamepadButtonNames = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'L3', 'R3', 'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home'
+];
+const GamepadAxisNames = ['Left Stick X', 'Left Stick Y', 'Right Stick X', 'Right Stick Y'];
+
+/**
+ * GamepadManager - Polls the Gamepad API and maps pads to players
+ *
+ * Call poll() once per frame. Connected pads are sorted by index and the
+ * first one belongs to player 1, the second to player 2. Pads are found by
+ * polling rather than from connect events, so plugging one in or pulling it
+ * out mid-game is noticed on the next poll and reported through onConnect
+ * and onDisconnect.
+ *
+ * The pad source is injectable: any function returning an array of
+ * gamepad-like objects ({ index, id, connected, axes: [number],
+ * buttons: [{ pressed }] }) can stand in for navigator.getGamepads().
+ */
+class GamepadManager {
+    constructor(getGamepads = GamepadManager.browserGamepads, storageKey = 'brickBreaker2500GamepadMapping', storage = localStorage) {
+        this.getGamepads = getGamepads;
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.deadzone = 0.2;
+        this.captureThreshold = 0.6; // Stick deflection that counts when capturing an axis
+
+        this.pads = []; // State per connected pad, see readState()
+        this.previousButtons = new Map(); // Pad index -> buttons held at the last poll
+        this.capture = null; // { action, onDone } while waiting for a button
+
+        // Callbacks set by Game
+        this.onConnect = null;
+        this.onDisconnect = null;
+
+        this.mapping = this.loadMapping();
+    }
+
+    static browserGamepads() {
+        return typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+    }
+
+    /**
+     * Read every pad, report hot-plugs and finish a pending capture
+     */
+    poll() {
+        let connected;
+        try {
+            connected = Array.from(this.getGamepads() || []).filter(pad => pad && pad.connected);
+        } catch (e) {
+            console.warn('Could not read gamepads:', e);
+            connected = [];
+        }
+        connected.sort((a, b) => a.index - b.index);
+
+        const wasConnected = this.pads;
+        this.pads = connected.map(pad => this.readState(pad));
+
+        for (const pad of this.pads) {
+            if (!wasConnected.some(old => old.index === pad.index) && this.onConnect) {
+                this.onConnect(pad);
+            }
+        }
+        for (const pad of wasConnected) {
+            if (!this.pads.some(current => current.index === pad.index)) {
+                this.previousButtons.delete(pad.index);
+                if (this.onDisconnect) this.onDisconnect(pad);
+            }
+        }
+
+        if (this.capture) {
+            this.checkCapture(connected);
+        }
+
+        for (const pad of connected) {
+            this.previousButtons.set(pad.index, pad.buttons.map((button, i) => this.isButtonDown(pad, i)));
+        }
+    }
+
+    isButtonDown(pad, index) {
+        const button = pad.buttons[index];
+        if (!button) return false;
+        return typeof button === 'object' ? button.pressed : button > 0.5;
+    }
+
+    wasButtonDown(pad, index) {
+        const previous = this.previousButtons.get(pad.index);
+        return previous ? previous[index] === true : false;
+    }
+
+    /**
+     * Stick position past the deadzone, rescaled to -1..1 and rounded to
+     * hundredths so replays can store exactly what the game used
+     */
+    readAxis(pad) {
+        const value = pad.axes[this.mapping.stick] || 0;
+        const size = Math.abs(value);
+        if (size <= this.deadzone) return 0;
+
+        const scaled = Math.min(1, (size - this.deadzone) / (1 - this.deadzone));
+        return Math.sign(value) * Math.round(scaled * 100) / 100;
+    }
+
+    /**
+     * One pad's actions this frame. Pause fires once per press.
+     */
+    readState(pad) {
+        return {
+            index: pad.index,
+            id: pad.id || `Gamepad ${pad.index + 1}`,
+            analogX: this.readAxis(pad),
+            left: this.isButtonDown(pad, this.mapping.left),
+            right: this.isButtonDown(pad, this.mapping.right),
+            launch: this.isButtonDown(pad, this.mapping.launch),
+            pausePressed: this.isButtonDown(pad, this.mapping.pause) && !this.wasButtonDown(pad, this.mapping.pause)
+        };
+    }
+
+    /**
+     * The pad player (0 or 1) is holding, or null when they have none
+     */
+    getPad(player) {
+        return this.pads[player] || null;
+    }
+
+    isConnected() {
+        return this.pads.length > 0;
+    }
+
+    /**
+     * Drop a pending pause press so it only fires once
+     */
+    clearPause() {
+        for (const pad of this.pads) {
+            pad.pausePressed = false;
+        }
+    }
+
+    // ==================== MAPPING ====================
+
+    /**
+     * Wait for the next button press (or stick deflection for the stick)
+     * on any pad and bind it to an action. onDone(action, index) is called
+     * once it is bound.
+     */
+    startCapture(action, onDone = null) {
+        this.capture = { action: action, onDone: onDone };
+    }
+
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    isCapturing(action) {
+        return this.capture !== null && this.capture.action === action;
+    }
+
+    checkCapture(connected) {
+        const action = GamepadActions.find(candidate => candidate.id === this.capture.action);
+
+        for (const pad of connected) {
+            let index = -1;
+            if (action.kind === 'axis') {
+                index = pad.axes.findIndex(value => Math.abs(value) >= this.captureThreshold);
+            } else {
+                index = pad.buttons.findIndex((button, i) => this.isButtonDown(pad, i) && !this.wasButtonDown(pad, i));
+            }
+            if (index === -1) continue;
+
+            const { onDone } = this.capture;
+            this.capture = null;
+            this.setMapping(action.id, index);
+            if (onDone) onDone(action.id, index);
+            return;
+        }
+    }
+
+    setMapping(action, index) {
+        this.mapping[action] = index;
+        this.saveMapping();
+    }
+
+    resetMapping() {
+        this.mapping = Object.assign({}, DefaultGamepadMapping);
+        this.saveMapping();
+    }
+
+    /**
+     * Label for what an action is bound to, e.g. "Button 9 (Start)"
+     */
+    describe(action) {
+        const kind = GamepadActions.find(candidate => candidate.id === action).kind;
+        const index = this.mapping[action];
+        const names = kind === 'axis' ? GamepadAxisNames : GamepadButtonNames;
+        const label = `${kind === 'axis' ? 'Axis' : 'Button'} ${index}`;
+        return names[index] ? `${label} (${names[index]})` : label;
+    }
+
+    /**
+     * Load the mapping from localStorage, falling back to the defaults for
+     * anything missing or invalid
+     */
+    loadMapping() {
+        const mapping = Object.assign({}, DefaultGamepadMapping);
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            if (stored) {
+                const data = JSON.parse(stored);
+                for (const action of GamepadActions) {
+                    if (data && Number.isInteger(data[action.id]) && data[action.id] >= 0) {
+                        mapping[action.id] = data[action.id];
+                    }
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load gamepad mapping:', e);
+        }
+        return mapping;
+    }
+
+    saveMapping() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.mapping));
+        } catch (e) {
+            console.warn('Could not save gamepad mapping:', e);
+        }
+    }
+}
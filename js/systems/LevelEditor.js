@@ -0,0 +1,575 @@
+﻿/**
+ * LevelEditor - In-browser editor for building level pack layouts
+ *
+ * Levels are edited in the level pack format read by LevelLoader, saved to
+ * localStorage and exported as pack files usable with index.html?levels=...
+ */
+class LevelEditor {
+    constructor(levelManager, levelLoader, storageKey = 'brickBreaker2500Levels', storage = localStorage) {
+        this.levelManager = levelManager;
+        this.levelLoader = levelLoader;
+        this.storageKey = storageKey;
+        this.storage = storage;
+
+        this.minRows = 1;
+        this.minCols = 1;
+        this.defaultRows = 5;
+        this.defaultCols = 8;
+
+        // Current brush
+        this.brushType = BrickTypes.NORMAL.id;
+        this.brushPowerUp = null;
+
+        // Pointer state for click-and-drag painting
+        this.hoverCell = null;
+
+        // Preview bricks, rebuilt only when the level changes
+        this.previewBricks = [];
+        this.previewDirty = true;
+        this.previewWidth = 0;
+
+        // Callbacks set by Game
+        this.onTestPlay = null;
+        this.onExit = null;
+
+        this.savedLevels = this.loadSavedLevels();
+        this.newLevel();
+    }
+
+    /**
+     * Start a fresh, empty level
+     */
+    newLevel() {
+        this.name = '';
+        this.background = 'nebula';
+        this.theme = null; // null plays in the player's own theme
+        this.parTime = this.levelManager.defaultParTime;
+        this.grid = this.createGrid(this.defaultRows, this.defaultCols, 0);
+        this.powerUps = this.createGrid(this.defaultRows, this.defaultCols, null);
+        this.hits = this.createGrid(this.defaultRows, this.defaultCols, null);
+        this.previewDirty = true;
+    }
+
+    createGrid(rows, cols, value) {
+        return Array.from({ length: rows }, () => new Array(cols).fill(value));
+    }
+
+    get rows() {
+        return this.grid.length;
+    }
+
+    get cols() {
+        return this.grid[0].length;
+    }
+
+    // ==================== EDITING ====================
+
+    /**
+     * Paint the current brush into a cell
+     */
+    paint(row, col) {
+        if (this.grid[row][col] !== this.brushType) {
+            // Changing the type invalidates any hit override
+            this.hits[row][col] = null;
+        }
+        this.grid[row][col] = this.brushType;
+
+        // Empty cells and indestructible bricks cannot hold a power-up
+        const canHoldPowerUp = this.brushType !== 0 && this.brushType !== BrickTypes.METAL.id;
+        this.powerUps[row][col] = canHoldPowerUp ? this.brushPowerUp : null;
+        this.previewDirty = true;
+    }
+
+    /**
+     * Resize the grid, keeping existing cells from the top-left
+     */
+    resize(rows, cols) {
+        rows = Math.max(this.minRows, Math.min(this.levelLoader.maxRows, Math.floor(rows) || this.rows));
+        cols = Math.max(this.minCols, Math.min(this.levelLoader.maxCols, Math.floor(cols) || this.cols));
+
+        const resizeGrid = (grid, value) => Array.from({ length: rows }, (_, r) =>
+            Array.from({ length: cols }, (_, c) =>
+                grid[r] !== undefined && grid[r][c] !== undefined ? grid[r][c] : value
+            )
+        );
+
+        this.grid = resizeGrid(this.grid, 0);
+        this.powerUps = resizeGrid(this.powerUps, null);
+        this.hits = resizeGrid(this.hits, null);
+        this.previewDirty = true;
+    }
+
+    /**
+     * Find the grid cell under a canvas position
+     */
+    getCellAt(x, y, canvasWidth) {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const rect = this.levelManager.getCellRect(row, col, this.cols, canvasWidth);
+                if (x >= rect.x && x <= rect.x + rect.width &&
+                    y >= rect.y && y <= rect.y + rect.height) {
+                    return { row, col };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Paint while the pointer is held down on the canvas
+     */
+    update(input, canvasWidth) {
+        this.hoverCell = this.getCellAt(input.getPointerX(), input.getPointerY(), canvasWidth);
+
+        if (this.hoverCell && input.isUsingPointer()) {
+            this.paint(this.hoverCell.row, this.hoverCell.col);
+        }
+    }
+
+    // ==================== FORMAT CONVERSION ====================
+
+    /**
+     * Get the current level in level pack format
+     */
+    toLevelData() {
+        const bricks = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.grid[row][col] === 0) continue;
+
+                const override = {};
+                if (this.hits[row][col]) override.hits = this.hits[row][col];
+                if (this.powerUps[row][col]) override.powerUp = this.powerUps[row][col];
+
+                if (Object.keys(override).length > 0) {
+                    bricks.push({ row: row + 1, col: col + 1, ...override });
+                }
+            }
+        }
+
+        const level = {
+            name: this.name,
+            background: this.background,
+            parTime: this.parTime,
+            grid: this.grid.map(row => row.slice())
+        };
+        if (this.theme) {
+            level.theme = this.theme;
+        }
+        if (bricks.length > 0) {
+            level.bricks = bricks;
+        }
+        return level;
+    }
+
+    /**
+     * Load a level in level pack format into the editor
+     */
+    fromLevelData(level) {
+        const rows = level.grid.length;
+        const cols = level.grid[0].length;
+
+        this.name = level.name || '';
+        this.background = level.background || 'nebula';
+        this.theme = level.theme || null;
+        this.parTime = level.parTime || this.levelManager.defaultParTime;
+        this.grid = level.grid.map(row => row.slice());
+        this.powerUps = this.createGrid(rows, cols, null);
+        this.hits = this.createGrid(rows, cols, null);
+
+        for (const override of level.bricks || []) {
+            if (override.powerUp) this.powerUps[override.row - 1][override.col - 1] = override.powerUp;
+            if (override.hits) this.hits[override.row - 1][override.col - 1] = override.hits;
+        }
+        this.previewDirty = true;
+    }
+
+    /**
+     * Wrap levels in a level pack
+     */
+    toPack(levels, name = 'Editor Levels') {
+        return {
+            format: LEVEL_PACK_FORMAT,
+            version: LEVEL_PACK_VERSION,
+            name: name,
+            levels: levels
+        };
+    }
+
+    /**
+     * Validate the current level, returning a list of errors
+     */
+    validate() {
+        return this.levelLoader.validate(this.toPack([this.toLevelData()]));
+    }
+
+    // ==================== PERSISTENCE ====================
+
+    /**
+     * Load saved levels from localStorage
+     */
+    loadSavedLevels() {
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (e) {
+            console.warn('Could not load editor levels:', e);
+            return [];
+        }
+    }
+
+    /**
+     * Save levels to localStorage
+     */
+    persistSavedLevels() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.savedLevels));
+        } catch (e) {
+            console.warn('Could not save editor levels:', e);
+        }
+    }
+
+    /**
+     * Save the current level (replacing a saved level with the same name)
+     * Returns the list of errors (empty on success); an invalid level is not
+     * saved
+     */
+    save() {
+        const errors = this.validate();
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        if (!this.name.trim()) {
+            this.name = `Level ${this.savedLevels.length + 1}`;
+        }
+        this.name = this.name.trim();
+
+        const level = this.toLevelData();
+        const index = this.savedLevels.findIndex(l => l.name === level.name);
+        if (index !== -1) {
+            this.savedLevels[index] = level;
+        } else {
+            this.savedLevels.push(level);
+        }
+        this.persistSavedLevels();
+        return [];
+    }
+
+    /**
+     * Delete a saved level by name
+     */
+    deleteSaved(name) {
+        this.savedLevels = this.savedLevels.filter(l => l.name !== name);
+        this.persistSavedLevels();
+    }
+
+    /**
+     * Export all saved levels as a level pack JSON string
+     * Returns { text, errors } - text is null when any saved level is invalid
+     */
+    exportPack() {
+        const pack = this.toPack(this.savedLevels);
+        const errors = this.levelLoader.validate(pack);
+        if (errors.length > 0) {
+            return { text: null, errors };
+        }
+        return { text: JSON.stringify(pack, null, 2), errors };
+    }
+
+    /**
+     * Import levels from a level pack JSON string into the saved levels
+     * Returns the list of errors (empty on success)
+     */
+    importPack(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return [this.levelLoader.error(`Invalid JSON: ${e.message}`)];
+        }
+
+        const errors = this.levelLoader.validate(data);
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        data.levels.forEach((level, index) => {
+            const name = level.name || `Imported ${index + 1}`;
+            const existing = this.savedLevels.findIndex(l => l.name === name);
+            const copy = { ...level, name: name };
+            if (existing !== -1) {
+                this.savedLevels[existing] = copy;
+            } else {
+                this.savedLevels.push(copy);
+            }
+        });
+        this.persistSavedLevels();
+        return [];
+    }
+
+    // ==================== UI ====================
+
+    /**
+     * Wire the editor screen controls
+     */
+    setupUI() {
+        const palette = document.getElementById('editorPalette');
+        const entries = [{ id: 0, label: 'Erase', color: 'transparent' }].concat(
+            Object.entries(BrickTypes).map(([key, type]) => ({
+                id: type.id,
+                label: key.charAt(0) + key.slice(1).toLowerCase().replace('_', ' '),
+                color: Theme.brickColor(type)
+            }))
+        );
+        palette.innerHTML = entries.map(e =>
+            `<button class="palette-swatch" data-type="${e.id}" title="${e.label}" style="background: ${e.color}">${e.id === 0 ? '✖' : ''}</button>`
+        ).join('');
+        palette.addEventListener('click', (e) => {
+            const swatch = e.target.closest('.palette-swatch');
+            if (!swatch) return;
+            this.brushType = Number(swatch.dataset.type);
+            this.refreshUI();
+        });
+
+        const powerUpSelect = document.getElementById('editorPowerUp');
+        powerUpSelect.innerHTML = '<option value="">No power-up</option>' +
+            Object.values(PowerUpTypes).map(t => `<option value="${t.id}">${t.icon} ${t.name}</option>`).join('');
+        powerUpSelect.addEventListener('change', (e) => {
+            this.brushPowerUp = e.target.value || null;
+        });
+
+        const backgroundSelect = document.getElementById('editorBackground');
+        backgroundSelect.innerHTML = Object.keys(BackgroundThemes).map(name =>
+            `<option value="${name}">${name.charAt(0).toUpperCase() + name.slice(1)}</option>`
+        ).join('');
+        backgroundSelect.addEventListener('change', (e) => {
+            this.background = e.target.value;
+        });
+
+        const themeSelect = document.getElementById('editorTheme');
+        themeSelect.innerHTML = '<option value="">Player\'s choice</option>' +
+            Object.entries(Themes).map(([name, theme]) => `<option value="${name}">${theme.name}</option>`).join('');
+        themeSelect.addEventListener('change', (e) => {
+            this.theme = e.target.value || null;
+        });
+
+        document.getElementById('editorParTime').addEventListener('change', (e) => {
+            const parTime = Math.floor(Number(e.target.value));
+            this.parTime = Math.max(this.levelLoader.minParTime, Math.min(this.levelLoader.maxParTime, parTime || this.parTime));
+            this.refreshUI();
+        });
+
+        document.getElementById('editorRows').addEventListener('change', (e) => {
+            this.resize(Number(e.target.value), this.cols);
+            this.refreshUI();
+        });
+
+        document.getElementById('editorCols').addEventListener('change', (e) => {
+            this.resize(this.rows, Number(e.target.value));
+            this.refreshUI();
+        });
+
+        document.getElementById('editorName').addEventListener('input', (e) => {
+            this.name = e.target.value;
+        });
+
+        document.getElementById('editorSaved').addEventListener('change', (e) => {
+            const level = this.savedLevels.find(l => l.name === e.target.value);
+            if (level) {
+                this.fromLevelData(level);
+            } else {
+                this.newLevel();
+            }
+            this.setStatus('');
+            this.refreshUI();
+        });
+
+        document.getElementById('editorTestBtn').addEventListener('click', () => {
+            const errors = this.validate();
+            if (errors.length > 0) {
+                this.setStatus(errors[0].message, true);
+                return;
+            }
+            if (this.onTestPlay) {
+                this.onTestPlay(this.levelLoader.normalize(this.toPack([this.toLevelData()])));
+            }
+        });
+
+        document.getElementById('editorSaveBtn').addEventListener('click', () => {
+            const errors = this.save();
+            if (errors.length > 0) {
+                this.setStatus(errors[0].message, true);
+                return;
+            }
+            this.setStatus(`Saved "${this.name}"`);
+            this.refreshUI();
+        });
+
+        document.getElementById('editorDeleteBtn').addEventListener('click', () => {
+            const name = document.getElementById('editorSaved').value;
+            if (!name) return;
+            this.deleteSaved(name);
+            this.newLevel();
+            this.setStatus(`Deleted "${name}"`);
+            this.refreshUI();
+        });
+
+        document.getElementById('editorExportBtn').addEventListener('click', () => {
+            let errors = this.save();
+            let text = null;
+            if (errors.length === 0) {
+                ({ text, errors } = this.exportPack());
+            }
+            if (errors.length > 0) {
+                this.setStatus(errors[0].message, true);
+                this.refreshUI();
+                return;
+            }
+            this.downloadFile('brickbreaker2500-levels.json', text);
+            this.setStatus(`Exported ${this.savedLevels.length} level(s)`);
+            this.refreshUI();
+        });
+
+        const importFile = document.getElementById('editorImportFile');
+        document.getElementById('editorImportBtn').addEventListener('click', () => {
+            importFile.click();
+        });
+        importFile.addEventListener('change', async () => {
+            const file = importFile.files[0];
+            if (!file) return;
+            const errors = this.importPack(await file.text());
+            importFile.value = '';
+            if (errors.length > 0) {
+                this.setStatus(errors[0].message, true);
+            } else {
+                this.setStatus(`Imported ${file.name}`);
+            }
+            this.refreshUI();
+        });
+
+        document.getElementById('editorBackBtn').addEventListener('click', () => {
+            if (this.onExit) this.onExit();
+        });
+    }
+
+    /**
+     * Recolour the palette swatches for the current theme
+     */
+    refreshPalette() {
+        document.querySelectorAll('#editorPalette .palette-swatch').forEach(swatch => {
+            const type = Object.values(BrickTypes).find(t => t.id === Number(swatch.dataset.type));
+            if (type) swatch.style.background = Theme.brickColor(type);
+        });
+    }
+
+    /**
+     * Sync the editor controls with the current level
+     */
+    refreshUI() {
+        document.querySelectorAll('#editorPalette .palette-swatch').forEach(swatch => {
+            swatch.classList.toggle('selected', Number(swatch.dataset.type) === this.brushType);
+        });
+
+        document.getElementById('editorPowerUp').value = this.brushPowerUp || '';
+        document.getElementById('editorBackground').value = this.background;
+        document.getElementById('editorTheme').value = this.theme || '';
+        document.getElementById('editorParTime').value = this.parTime;
+        document.getElementById('editorRows').value = this.rows;
+        document.getElementById('editorCols').value = this.cols;
+        document.getElementById('editorName').value = this.name;
+
+        // Level names are user input, so build options without innerHTML
+        const savedSelect = document.getElementById('editorSaved');
+        savedSelect.innerHTML = '<option value="">New level</option>';
+        for (const level of this.savedLevels) {
+            savedSelect.add(new Option(level.name, level.name));
+        }
+        savedSelect.value = this.savedLevels.some(l => l.name === this.name) ? this.name : '';
+    }
+
+    setStatus(message, isError = false) {
+        const status = document.getElementById('editorStatus');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+
+    /**
+     * Offer text content as a file download
+     */
+    downloadFile(filename, text) {
+        const blob = new Blob([text], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    // ==================== RENDERING ====================
+
+    /**
+     * Rebuild the Brick instances used to preview the level
+     */
+    rebuildPreview(canvasWidth) {
+        this.previewBricks = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const typeId = this.grid[row][col];
+                if (typeId === 0) continue;
+
+                const rect = this.levelManager.getCellRect(row, col, this.cols, canvasWidth);
+                const brick = new Brick(rect.x, rect.y, rect.width, rect.height, this.levelManager.getBrickType(typeId));
+                if (this.hits[row][col]) {
+                    this.levelManager.setBrickHits(brick, this.hits[row][col]);
+                }
+                if (this.powerUps[row][col]) {
+                    brick.setHiddenPowerUp(this.levelLoader.findPowerUpType(this.powerUps[row][col]));
+                }
+                this.previewBricks.push(brick);
+            }
+        }
+        this.previewDirty = false;
+        this.previewWidth = canvasWidth;
+    }
+
+    /**
+     * Draw the grid and bricks at their in-game positions
+     */
+    draw(ctx, canvasWidth) {
+        if (this.previewDirty || this.previewWidth !== canvasWidth) {
+            this.rebuildPreview(canvasWidth);
+        }
+
+        ctx.save();
+
+        for (const brick of this.previewBricks) {
+            brick.draw(ctx);
+        }
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const rect = this.levelManager.getCellRect(row, col, this.cols, canvasWidth);
+
+                if (this.grid[row][col] === 0) {
+                    // Empty cell outline
+                    ctx.setLineDash([4, 4]);
+                    ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+                    ctx.lineWidth = 1;
+                    ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+                    ctx.setLineDash([]);
+                }
+
+                // Hover highlight
+                if (this.hoverCell && this.hoverCell.row === row && this.hoverCell.col === col) {
+                    ctx.strokeStyle = '#ffd700';
+                    ctx.lineWidth = 2;
+                    ctx.strokeRect(rect.x - 1, rect.y - 1, rect.width + 2, rect.height + 2);
+                }
+            }
+        }
+
+        ctx.restore();
+    }
+}
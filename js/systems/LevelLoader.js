@@ -0,0 +1,277 @@
+﻿/**
+ * Level pack format
+ *
+ * A level pack is a JSON file that replaces the built-in level table:
+ *
+ * {
+ *     "format": "brickbreaker2500-levels",
+ *     "version": 1,
+ *     "name": "My Pack",
+ *     "levels": [
+ *         {
+ *             "name": "Warm Up",
+ *             "background": "nebula",
+ *             "theme": "crt",
+ *             "parTime": 90,
+ *             "randomPowerUps": true,
+ *             "grid": [
+ *                 [1, 1, 0, 1],
+ *                 [2, 6, 6, 2]
+ *             ],
+ *             "bricks": [
+ *                 { "row": 2, "col": 1, "hits": 3 },
+ *                 { "row": 1, "col": 4, "powerUp": "laser" }
+ *             ]
+ *         }
+ *     ]
+ * }
+ *
+ * Grid cells are BrickTypes ids (0 = empty). Rows and columns in "bricks"
+ * overrides and in error reports are 1-based, top-left first. "theme" is
+ * optional and replaces the player's theme while the level is played
+ * (unless they chose high contrast).
+ */
+const LEVEL_PACK_FORMAT = 'brickbreaker2500-levels';
+const LEVEL_PACK_VERSION = 1;
+
+/**
+ * LevelLoader - Parses and validates JSON level packs
+ */
+class LevelLoader {
+    constructor() {
+        this.maxRows = 12;
+        this.maxCols = 16;
+        this.minParTime = 10;
+        this.maxParTime = 3600;
+    }
+
+    /**
+     * Fetch and parse a level pack from a URL
+     */
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            return { pack: null, errors: [this.error(`Could not load ${url} (HTTP ${response.status})`)] };
+        }
+        return this.parse(await response.text());
+    }
+
+    /**
+     * Parse a level pack from JSON text
+     * Returns { pack, errors } - pack is null when there are any errors
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { pack: null, errors: [this.error(`Invalid JSON: ${e.message}`)] };
+        }
+
+        const errors = this.validate(data);
+        if (errors.length > 0) {
+            return { pack: null, errors };
+        }
+
+        return { pack: this.normalize(data), errors };
+    }
+
+    /**
+     * Validate a parsed level pack, returning a list of errors
+     */
+    validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            errors.push(this.error('Level pack must be a JSON object'));
+            return errors;
+        }
+        if (data.format !== LEVEL_PACK_FORMAT) {
+            errors.push(this.error(`"format" must be "${LEVEL_PACK_FORMAT}"`));
+        }
+        if (data.version !== LEVEL_PACK_VERSION) {
+            errors.push(this.error(`Unsupported version ${data.version} (expected ${LEVEL_PACK_VERSION})`));
+        }
+        if (!Array.isArray(data.levels) || data.levels.length === 0) {
+            errors.push(this.error('"levels" must be a non-empty array'));
+            return errors;
+        }
+
+        data.levels.forEach((level, index) => {
+            errors.push(...this.validateLevel(level, index + 1));
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a single level definition
+     */
+    validateLevel(level, levelNum) {
+        const errors = [];
+
+        if (!level || typeof level !== 'object' || Array.isArray(level)) {
+            errors.push(this.error('Level must be an object', levelNum));
+            return errors;
+        }
+
+        if (level.name !== undefined && typeof level.name !== 'string') {
+            errors.push(this.error('"name" must be a string', levelNum));
+        }
+        if (level.background !== undefined && !BackgroundThemes[level.background]) {
+            errors.push(this.error(`Unknown background "${level.background}"`, levelNum));
+        }
+        if (level.theme !== undefined && !Themes[level.theme]) {
+            errors.push(this.error(`Unknown theme "${level.theme}"`, levelNum));
+        }
+        if (level.parTime !== undefined &&
+            (typeof level.parTime !== 'number' || level.parTime < this.minParTime || level.parTime > this.maxParTime)) {
+            errors.push(this.error(`"parTime" must be a number of seconds between ${this.minParTime} and ${this.maxParTime}`, levelNum));
+        }
+        if (level.randomPowerUps !== undefined && typeof level.randomPowerUps !== 'boolean') {
+            errors.push(this.error('"randomPowerUps" must be true or false', levelNum));
+        }
+
+        // Grid
+        const grid = level.grid;
+        if (!Array.isArray(grid) || grid.length === 0) {
+            errors.push(this.error('"grid" must be a non-empty array of rows', levelNum));
+            return errors;
+        }
+        if (grid.length > this.maxRows) {
+            errors.push(this.error(`"grid" has ${grid.length} rows (max ${this.maxRows})`, levelNum));
+        }
+
+        const validIds = Object.values(BrickTypes).map(t => t.id);
+        const cols = Array.isArray(grid[0]) ? grid[0].length : 0;
+        if (cols === 0 || cols > this.maxCols) {
+            errors.push(this.error(`Rows must have between 1 and ${this.maxCols} columns`, levelNum, 1));
+        }
+
+        let hasDestructible = false;
+        grid.forEach((row, r) => {
+            if (!Array.isArray(row)) {
+                errors.push(this.error('Row must be an array', levelNum, r + 1));
+                return;
+            }
+            if (row.length !== cols) {
+                errors.push(this.error(`Row has ${row.length} columns, expected ${cols}`, levelNum, r + 1));
+            }
+            row.forEach((cell, c) => {
+                if (cell === 0) return;
+                if (!validIds.includes(cell)) {
+                    errors.push(this.error(`Unknown brick type ${JSON.stringify(cell)}`, levelNum, r + 1, c + 1));
+                } else if (cell !== BrickTypes.METAL.id) {
+                    hasDestructible = true;
+                }
+            });
+        });
+
+        if (!hasDestructible && errors.length === 0) {
+            errors.push(this.error('Level has no destructible bricks', levelNum));
+        }
+
+        // Per-brick overrides
+        if (level.bricks !== undefined) {
+            if (!Array.isArray(level.bricks)) {
+                errors.push(this.error('"bricks" must be an array', levelNum));
+            } else {
+                for (const override of level.bricks) {
+                    errors.push(...this.validateOverride(override, grid, levelNum));
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a per-brick override against its level grid
+     */
+    validateOverride(override, grid, levelNum) {
+        const errors = [];
+        if (!override || typeof override !== 'object') {
+            errors.push(this.error('Brick override must be an object', levelNum));
+            return errors;
+        }
+
+        const { row, col } = override;
+        const cell = Array.isArray(grid[row - 1]) ? grid[row - 1][col - 1] : undefined;
+        if (!Number.isInteger(row) || !Number.isInteger(col) || cell === undefined) {
+            errors.push(this.error('Brick override is outside the grid', levelNum, row, col));
+            return errors;
+        }
+        if (cell === 0) {
+            errors.push(this.error('Brick override points at an empty cell', levelNum, row, col));
+        }
+
+        if (override.hits !== undefined) {
+            if (!Number.isInteger(override.hits) || override.hits < 1 || override.hits > 9) {
+                errors.push(this.error('"hits" must be a whole number from 1 to 9', levelNum, row, col));
+            } else if (cell === BrickTypes.METAL.id) {
+                errors.push(this.error('Metal bricks are indestructible and cannot take "hits"', levelNum, row, col));
+            }
+        }
+
+        if (override.powerUp !== undefined && !this.findPowerUpType(override.powerUp)) {
+            errors.push(this.error(`Unknown power-up "${override.powerUp}"`, levelNum, row, col));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Convert a validated pack into the definitions LevelManager consumes
+     */
+    normalize(data) {
+        return {
+            name: data.name || 'Custom Levels',
+            levels: data.levels.map(level => this.normalizeLevel(level))
+        };
+    }
+
+    normalizeLevel(level) {
+        const overrides = {};
+        for (const override of level.bricks || []) {
+            // Stored 0-based to match the grid arrays
+            overrides[`${override.row - 1},${override.col - 1}`] = {
+                hits: override.hits,
+                powerUp: override.powerUp !== undefined ? this.findPowerUpType(override.powerUp) : undefined
+            };
+        }
+
+        return {
+            name: level.name || '',
+            grid: level.grid.map(row => row.slice()),
+            overrides: overrides,
+            background: level.background || null,
+            theme: level.theme || null,
+            parTime: level.parTime || null,
+            randomPowerUps: level.randomPowerUps !== false
+        };
+    }
+
+    /**
+     * Look up a PowerUpTypes entry by its id
+     */
+    findPowerUpType(id) {
+        return Object.values(PowerUpTypes).find(t => t.id === id) || null;
+    }
+
+    /**
+     * Build an error entry (row/col are 1-based and optional)
+     */
+    error(message, level, row, col) {
+        let where = '';
+        if (level !== undefined) where += `Level ${level}`;
+        if (row !== undefined) where += `, row ${row}`;
+        if (col !== undefined) where += `, col ${col}`;
+
+        return {
+            level: level,
+            row: row,
+            col: col,
+            message: where ? `${where}: ${message}` : message
+        };
+    }
+}
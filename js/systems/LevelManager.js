@@ -12,6 +12,120 @@ class LevelManager {
         this.brickPadding = 5;
         this.topOffset = 60;
         this.sideOffset = 20;
+        this.defaultParTime = 300; // Seconds; time bonus counts down from here
+        this.bossInterval = 10; // Every 10th built-in level is a boss fight
+
+        // Random stream for the level being generated (see generateLevel)
+        this.random = GameRandom.gameplay;
+        
+        // Custom level pack (from LevelLoader) replacing the built-in table
+        this.levelPack = null;
+        this.currentDefinition = null;
+
+        // Daily challenge: the day's procedural levels and power-up loadout
+        this.daily = null;
+
+        // Endless mode: rows pushed in from the top of a descending wall
+        this.endless = null; // Progress while an endless run is on (see startEndless)
+        this.endlessStartRows = 4;
+        this.endlessRowInterval = 10; // Seconds per row at the start
+        this.endlessMinRowInterval = 4;
+        this.endlessIntervalStep = 0.15; // Each pushed row takes this much off the interval
+        this.endlessRowsPerLevel = 3; // Rows pushed per step up the procedural difficulty curve
+        this.endlessPowerUpChance = 0.4; // Chance a pushed row hides a power-up
+    }
+
+    /**
+     * Use a loaded level pack instead of the built-in levels (null restores them)
+     */
+    setLevelPack(pack) {
+        this.levelPack = pack;
+    }
+
+    /**
+     * Play the daily challenge's levels instead (null goes back to normal)
+     */
+    setDailyChallenge(challenge) {
+        this.daily = challenge;
+    }
+
+    /**
+     * Level whose difficulty a level is built with: the day's procedural
+     * level in the daily challenge, otherwise the level itself
+     */
+    getLevelDifficulty(level) {
+        if (!this.daily) return level;
+        return this.daily.levels[Math.min(level, this.daily.levels.length) - 1];
+    }
+
+    /**
+     * Whether a level is a boss fight (built-in and procedural levels only,
+     * never pack levels or the daily challenge)
+     */
+    isBossLevel(level) {
+        if (this.daily || (this.levelPack && this.levelPack.levels[level - 1])) return false;
+        return level % this.bossInterval === 0;
+    }
+
+    /**
+     * The boss for a level, or null when it isn't a boss level
+     */
+    createBoss(level, canvasWidth) {
+        return this.isBossLevel(level) ? new Boss(level, canvasWidth) : null;
+    }
+
+    /**
+     * Get the full definition for a level: grid, overrides, background, theme, par time
+     */
+    getLevelDefinition(level) {
+        if (this.daily) {
+            return {
+                name: `Daily ${level}/${this.daily.levels.length}`,
+                grid: this.generateProceduralPattern(this.getLevelDifficulty(level)),
+                overrides: {},
+                background: 'twilight',
+                theme: null,
+                parTime: null,
+                randomPowerUps: true
+            };
+        }
+
+        if (this.levelPack && this.levelPack.levels[level - 1]) {
+            return this.levelPack.levels[level - 1];
+        }
+
+        // Boss levels have no bricks; the boss replaces the grid
+        if (this.isBossLevel(level)) {
+            return {
+                name: 'Boss',
+                grid: [],
+                overrides: {},
+                background: 'ember',
+                theme: null,
+                parTime: null,
+                randomPowerUps: false
+            };
+        }
+
+        return {
+            name: '',
+            grid: this.getLevelPattern(level),
+            overrides: {},
+            background: null,
+            theme: null,
+            parTime: null,
+            randomPowerUps: true
+        };
+    }
+
+    /**
+     * Get the par time (seconds) used for the time bonus
+     */
+    getParTime(level) {
+        // Only pack levels carry a par time; avoid generating a procedural
+        // pattern just to look it up
+        const definition = this.levelPack && this.levelPack.levels[level - 1];
+        return (definition && definition.parTime) || this.defaultParTime;
     }
 
     /**
@@ -21,27 +135,39 @@ class LevelManager {
         this.currentLevel = level;
         const bricks = [];
         
-        // Calculate brick dimensions based on canvas width
-        const availableWidth = canvasWidth - (this.sideOffset * 2);
-        this.brickWidth = (availableWidth - (this.brickPadding * (this.brickCols - 1))) / this.brickCols;
+        // Each level draws from its own stream derived from the run seed, so
+        // the same seed always builds the same layouts
+        this.random = GameRandom.derive(`level:${level}`);
         
-        // Get level pattern
-        const pattern = this.getLevelPattern(level);
+        // Get level definition (custom packs may use a different column count)
+        const definition = this.getLevelDefinition(level);
+        this.currentDefinition = definition;
+        const difficulty = this.getLevelDifficulty(level);
+        const pattern = definition.grid;
+        const cols = pattern.length > 0 ? pattern[0].length : this.brickCols;
         
         for (let row = 0; row < pattern.length; row++) {
             for (let col = 0; col < pattern[row].length; col++) {
                 const brickType = pattern[row][col];
                 if (brickType === 0) continue; // Empty space
                 
-                const x = this.sideOffset + col * (this.brickWidth + this.brickPadding);
-                const y = this.topOffset + row * (this.brickHeight + this.brickPadding);
+                const rect = this.getCellRect(row, col, cols, canvasWidth);
+                this.brickWidth = rect.width;
                 
                 const type = this.getBrickType(brickType);
-                const brick = new Brick(x, y, this.brickWidth, this.brickHeight, type);
+                const brick = new Brick(rect.x, rect.y, rect.width, rect.height, type);
+                const override = definition.overrides[`${row},${col}`];
                 
-                // After level 2, strengthen some bricks with extra hits
-                if (level > 2 && type !== BrickTypes.METAL && type !== BrickTypes.POWER) {
-                    this.applyLevelStrength(brick, level);
+                if (override && override.hits) {
+                    // Designer-specified hit count
+                    this.setBrickHits(brick, override.hits);
+                } else if (difficulty > 2 && type !== BrickTypes.METAL && type !== BrickTypes.POWER) {
+                    // After level 2, strengthen some bricks with extra hits
+                    this.applyLevelStrength(brick, difficulty);
+                }
+                
+                if (override && override.powerUp) {
+                    brick.setHiddenPowerUp(override.powerUp);
                 }
                 
                 bricks.push(brick);
@@ -49,11 +175,29 @@ class LevelManager {
         }
         
         // Assign random power-ups to some bricks based on level
-        this.assignRandomPowerUps(bricks, level);
+        if (definition.randomPowerUps) {
+            this.assignRandomPowerUps(bricks, difficulty);
+        }
         
         return bricks;
     }
     
+    /**
+     * Get the on-screen rectangle of a grid cell (brick width is calculated
+     * from the canvas width and column count)
+     */
+    getCellRect(row, col, cols, canvasWidth) {
+        const availableWidth = canvasWidth - (this.sideOffset * 2);
+        const width = (availableWidth - (this.brickPadding * (cols - 1))) / cols;
+        
+        return {
+            x: this.sideOffset + col * (width + this.brickPadding),
+            y: this.topOffset + row * (this.brickHeight + this.brickPadding),
+            width: width,
+            height: this.brickHeight
+        };
+    }
+    
     /**
      * Apply extra strength to bricks based on level
      */
@@ -61,29 +205,29 @@ class LevelManager {
         // Chance to add extra hits increases with level
         const extraHitChance = Math.min(0.1 + (level - 2) * 0.05, 0.5);
         
-        if (Math.random() < extraHitChance) {
+        if (this.random.chance(extraHitChance)) {
             // Add 1-3 extra hits based on level
             const maxExtraHits = Math.min(Math.floor((level - 2) / 3) + 1, 4);
-            const extraHits = Math.floor(Math.random() * maxExtraHits) + 1;
-            
-            brick.hitsRemaining += extraHits;
-            brick.maxHits = brick.hitsRemaining;
-            brick.points += extraHits * 10; // More points for harder bricks
+            const extraHits = this.random.int(maxExtraHits) + 1;
             
-            // Update color based on total hits
-            if (brick.hitsRemaining >= 4) {
-                brick.color = '#8e44ad'; // Purple for very tough
-                brick.baseColor = '#8e44ad';
-            } else if (brick.hitsRemaining >= 3) {
-                brick.color = '#45b7d1'; // Blue
-                brick.baseColor = '#45b7d1';
-            } else if (brick.hitsRemaining >= 2) {
-                brick.color = '#4ecdc4'; // Teal
-                brick.baseColor = '#4ecdc4';
-            }
+            this.setBrickHits(brick, brick.hitsRemaining + extraHits);
         }
     }
     
+    /**
+     * Set a brick's hit count, adjusting points and color to match
+     */
+    setBrickHits(brick, hits) {
+        const extraHits = hits - brick.type.hits;
+        
+        brick.hitsRemaining = hits;
+        brick.maxHits = hits;
+        brick.points = brick.type.points + Math.max(0, extraHits) * 10; // More points for harder bricks
+        
+        // Tougher bricks take the theme's colour for their total hits
+        brick.applyTheme();
+    }
+    
     /**
      * Assign random power-ups to bricks
      */
@@ -101,14 +245,14 @@ class LevelManager {
         );
         
         // Shuffle and select bricks
-        const shuffled = eligibleBricks.sort(() => Math.random() - 0.5);
+        const shuffled = this.random.shuffle(eligibleBricks);
         const selectedBricks = shuffled.slice(0, numPowerUps);
         
         // Assign power-ups
         const powerUpTypes = this.getAvailablePowerUpTypes();
         
         for (const brick of selectedBricks) {
-            const randomPowerUp = powerUpTypes[Math.floor(Math.random() * powerUpTypes.length)];
+            const randomPowerUp = this.random.pick(powerUpTypes);
             brick.setHiddenPowerUp(randomPowerUp);
         }
     }
@@ -117,7 +261,7 @@ class LevelManager {
      * Get available power-up types for random assignment
      */
     getAvailablePowerUpTypes() {
-        return [
+        const types = [
             PowerUpTypes.MULTI_BALL,
             PowerUpTypes.EXTEND_PADDLE,
             PowerUpTypes.STICKY_PADDLE,
@@ -129,6 +273,8 @@ class LevelManager {
             PowerUpTypes.AUTO_BURST,
             PowerUpTypes.EXPLOSIVE_NEXT
         ];
+        // The daily challenge only hides power-ups from the day's loadout
+        return this.daily ? types.filter(type => this.daily.loadout.includes(type.id)) : types;
     }
 
     /**
@@ -154,7 +300,7 @@ class LevelManager {
      * Get level pattern - returns 2D array of brick types
      */
     getLevelPattern(level) {
-        // Predefined patterns for first 10 levels, then procedural generation
+        // Predefined patterns for the first 9 levels, then procedural generation
         const patterns = {
             // Level 1: Simple intro
             1: [
@@ -226,19 +372,21 @@ class LevelManager {
                 [4,1,1,1,1,1,1,4],
                 [1,2,2,2,2,2,2,1],
                 [1,1,1,1,1,1,1,1]
-            ],
-            // Level 10: Rainbow level
-            10: [
-                [7,1,1,1,1,1,1,7],
-                [1,7,2,2,2,2,7,1],
-                [1,2,7,3,3,7,2,1],
-                [1,2,3,5,5,3,2,1],
-                [1,2,7,3,3,7,2,1],
-                [1,7,2,2,2,2,7,1],
-                [7,1,1,1,1,1,1,7]
             ]
+            // Level 10 is the first boss (see isBossLevel)
         };
 
+        // A custom level pack replaces the built-in table entirely
+        if (this.levelPack) {
+            const packLevel = this.levelPack.levels[level - 1];
+            if (packLevel) {
+                return packLevel.grid;
+            }
+            // Past the end of the pack: continue with procedural levels,
+            // never easier than the first procedural level
+            return this.generateProceduralPattern(Math.max(level, 11));
+        }
+
         if (patterns[level]) {
             return patterns[level];
         }
@@ -253,62 +401,82 @@ class LevelManager {
     generateProceduralPattern(level) {
         const rows = Math.min(5 + Math.floor(level / 5), 8);
         const pattern = [];
-        
-        // Difficulty factors
-        const strongChance = Math.min(0.1 + (level - 10) * 0.03, 0.4);
-        const superChance = Math.min((level - 10) * 0.02, 0.2);
-        const metalChance = Math.min((level - 15) * 0.01, 0.1);
-        const powerChance = 0.05;
-        const explosiveChance = Math.min((level - 10) * 0.015, 0.1);
-        const rainbowChance = 0.02;
-        const movingChance = Math.min((level - 10) * 0.02, 0.15);
-        const mirrorChance = Math.min((level - 10) * 0.015, 0.08);
-        const superPowerupChance = 0.01; // 1% chance for super power-up brick
 
         for (let row = 0; row < rows; row++) {
-            const rowPattern = [];
-            for (let col = 0; col < this.brickCols; col++) {
-                // Random empty spaces (less likely in higher levels)
-                if (Math.random() < 0.1 - (level * 0.005)) {
-                    rowPattern.push(0);
-                    continue;
-                }
+            pattern.push(this.generateProceduralRow(level, this.brickCols));
+        }
 
-                const rand = Math.random();
-                let type = 1; // Default normal
-
-                if (rand < superPowerupChance) {
-                    type = 10; // Super Power-up (1% chance)
-                } else if (rand < superPowerupChance + rainbowChance) {
-                    type = 7; // Rainbow
-                } else if (rand < superPowerupChance + rainbowChance + mirrorChance) {
-                    type = 9; // Mirror
-                } else if (rand < superPowerupChance + rainbowChance + mirrorChance + powerChance) {
-                    type = 5; // Power
-                } else if (rand < superPowerupChance + rainbowChance + mirrorChance + powerChance + explosiveChance) {
-                    type = 6; // Explosive
-                } else if (rand < superPowerupChance + rainbowChance + mirrorChance + powerChance + explosiveChance + movingChance) {
-                    type = 8; // Moving
-                } else if (rand < superPowerupChance + rainbowChance + mirrorChance + powerChance + explosiveChance + movingChance + metalChance) {
-                    type = 4; // Metal
-                } else if (rand < superPowerupChance + rainbowChance + mirrorChance + powerChance + explosiveChance + movingChance + metalChance + superChance) {
-                    type = 3; // Super
-                } else if (rand < superPowerupChance + rainbowChance + mirrorChance + powerChance + explosiveChance + movingChance + metalChance + superChance + strongChance) {
-                    type = 2; // Strong
-                }
+        return pattern;
+    }
+
+    /**
+     * Brick type probabilities for a procedural level. Endless mode feeds in
+     * a level that rises as rows are pushed, so it shares this curve.
+     */
+    getProceduralChances(level) {
+        return {
+            empty: 0.1 - (level * 0.005), // Random empty spaces (less likely in higher levels)
+            superPowerup: 0.01, // 1% chance for super power-up brick
+            rainbow: 0.02,
+            mirror: Math.min((level - 10) * 0.015, 0.08),
+            power: 0.05,
+            explosive: Math.min((level - 10) * 0.015, 0.1),
+            moving: Math.min((level - 10) * 0.02, 0.15),
+            metal: Math.min((level - 15) * 0.01, 0.1),
+            super: Math.min((level - 10) * 0.02, 0.2),
+            strong: Math.min(0.1 + (level - 10) * 0.03, 0.4)
+        };
+    }
+
+    /**
+     * Generate one procedural row of brick type ids (0 = empty)
+     */
+    generateProceduralRow(level, cols) {
+        const chances = this.getProceduralChances(level);
+
+        // Rarest first; anything left over is a normal brick
+        const order = [
+            ['superPowerup', 10],
+            ['rainbow', 7],
+            ['mirror', 9],
+            ['power', 5],
+            ['explosive', 6],
+            ['moving', 8],
+            ['metal', 4],
+            ['super', 3],
+            ['strong', 2]
+        ];
+
+        const rowPattern = [];
+        for (let col = 0; col < cols; col++) {
+            if (this.random.chance(chances.empty)) {
+                rowPattern.push(0);
+                continue;
+            }
+
+            const rand = this.random.next();
+            let type = 1; // Default normal
+            let threshold = 0;
 
-                rowPattern.push(type);
+            for (const [name, id] of order) {
+                threshold += chances[name];
+                if (rand < threshold) {
+                    type = id;
+                    break;
+                }
             }
-            pattern.push(rowPattern);
+
+            rowPattern.push(type);
         }
 
-        return pattern;
+        return rowPattern;
     }
 
     /**
-     * Check if all destructible bricks are cleared
+     * Check if all destructible bricks are cleared (and the boss, if any, defeated)
      */
-    isLevelComplete(bricks) {
+    isLevelComplete(bricks, boss = null) {
+        if (boss && !boss.defeated) return false;
         return bricks.every(brick => 
             brick.destroyed || brick.type === BrickTypes.METAL
         );
@@ -323,12 +491,145 @@ class LevelManager {
         ).length;
     }
 
+    // ==================== ENDLESS ====================
+
+    /**
+     * Start an endless run: a few rows to begin with, then one row pushed in
+     * from the top each time the wall has descended a row (see updateEndless).
+     * Returns the starting bricks.
+     */
+    startEndless(canvasWidth) {
+        this.random = GameRandom.derive('endless');
+        this.currentLevel = 1;
+        this.currentDefinition = this.getEndlessDefinition();
+        this.endless = { rowsPushed: 0, topRowY: 0 };
+
+        // Bottom row first, so the rows further up are the harder ones
+        const bricks = [];
+        for (let row = this.endlessStartRows - 1; row >= 0; row--) {
+            bricks.push(...this.pushEndlessRow(canvasWidth, this.topOffset + row * this.getRowStep()));
+        }
+        // Only rows pushed during play count (rows survived, difficulty)
+        this.endless.rowsPushed = 0;
+        return bricks;
+    }
+
+    /**
+     * Pick up an endless run from saved progress
+     */
+    restoreEndless(endless) {
+        this.currentLevel = 1;
+        this.currentDefinition = this.getEndlessDefinition();
+        this.endless = Object.assign({}, endless);
+    }
+
+    stopEndless() {
+        this.endless = null;
+    }
+
+    getEndlessDefinition() {
+        return {
+            name: 'Endless',
+            grid: [],
+            overrides: {},
+            background: 'ember',
+            theme: null,
+            parTime: null,
+            randomPowerUps: true
+        };
+    }
+
+    getRowStep() {
+        return this.brickHeight + this.brickPadding;
+    }
+
+    /**
+     * Procedural difficulty for the next endless row. The curve starts where
+     * procedural levels do (level 11) and climbs as rows are pushed.
+     */
+    getEndlessLevel() {
+        return 11 + Math.floor(this.endless.rowsPushed / this.endlessRowsPerLevel);
+    }
+
+    /**
+     * Seconds the wall takes to descend one row
+     */
+    getEndlessRowInterval() {
+        return Math.max(
+            this.endlessMinRowInterval,
+            this.endlessRowInterval - this.endless.rowsPushed * this.endlessIntervalStep
+        );
+    }
+
+    /**
+     * Build one endless row with its top at y
+     */
+    pushEndlessRow(canvasWidth, y) {
+        const level = this.getEndlessLevel();
+        const pattern = this.generateProceduralRow(level, this.brickCols);
+        const bricks = [];
+
+        pattern.forEach((id, col) => {
+            if (id === 0) return;
+
+            const rect = this.getCellRect(0, col, this.brickCols, canvasWidth);
+            const type = this.getBrickType(id);
+            const brick = new Brick(rect.x, y, rect.width, rect.height, type);
+            if (type !== BrickTypes.METAL && type !== BrickTypes.POWER) {
+                this.applyLevelStrength(brick, level);
+            }
+            bricks.push(brick);
+        });
+
+        // Now and then one brick in the row hides a power-up
+        const eligible = bricks.filter(b => b.type !== BrickTypes.METAL && b.type !== BrickTypes.POWER);
+        if (eligible.length > 0 && this.random.chance(this.endlessPowerUpChance)) {
+            this.random.pick(eligible).setHiddenPowerUp(this.random.pick(this.getAvailablePowerUpTypes()));
+        }
+
+        this.endless.rowsPushed++;
+        this.endless.topRowY = y;
+        return bricks;
+    }
+
+    /**
+     * Move the endless wall down and push in a new row once the top row has
+     * fully come in. Moves the bricks in place and returns any new ones.
+     */
+    updateEndless(dt, bricks, canvasWidth) {
+        const rowStep = this.getRowStep();
+
+        // A cleared wall brings the next rows in quickly
+        const speedUp = this.isLevelComplete(bricks) ? 8 : 1;
+        const descent = (rowStep / this.getEndlessRowInterval()) * speedUp * dt;
+
+        for (const brick of bricks) {
+            if (brick.destroyed) continue;
+            brick.y += descent;
+            brick.originalY += descent;
+            brick.moveTargetY += descent;
+        }
+        this.endless.topRowY += descent;
+
+        if (this.endless.topRowY >= this.topOffset) {
+            return this.pushEndlessRow(canvasWidth, this.endless.topRowY - rowStep);
+        }
+        return [];
+    }
+
+    /**
+     * Check if any standing brick has reached a line (the paddle, in endless)
+     */
+    hasReachedLine(bricks, y) {
+        return bricks.some(brick => !brick.destroyed && !brick.destroying && brick.y + brick.height >= y);
+    }
+
     /**
      * Calculate level completion bonus
      */
     getLevelBonus(level, timeSeconds, livesRemaining) {
         const baseBonus = 500 + (level * 100);
-        const timeBonus = Math.max(0, (300 - timeSeconds) * 10);
+        const timeBonus = Math.max(0, (this.getParTime(level) - timeSeconds) * 10);
         const lifeBonus = livesRemaining * 1000;
         return Math.floor(baseBonus + timeBonus + lifeBonus);
     }
@@ -16,6 +16,7 @@ const PowerUpTypes = {
         icon: '↔',
         color: '#3498db',
         duration: 15,
+        perPaddle: true, // Acts on the paddle that caught it (one timer per paddle in co-op)
         description: 'Increases paddle width'
     },
     SHRINK_PADDLE: {
@@ -24,6 +25,7 @@ const PowerUpTypes = {
         icon: '⇥',
         color: '#e74c3c',
         duration: 10,
+        perPaddle: true,
         description: 'Decreases paddle width (bad!)'
     },
     STICKY_PADDLE: {
@@ -32,6 +34,7 @@ const PowerUpTypes = {
         icon: '✋',
         color: '#f1c40f',
         duration: 10,
+        perPaddle: true,
         description: 'Ball sticks to paddle'
     },
     LASER: {
@@ -40,6 +43,7 @@ const PowerUpTypes = {
         icon: '⚡',
         color: '#e74c3c',
         duration: 15,
+        perPaddle: true,
         description: 'Shoot lasers from paddle'
     },
     MEGA_BALL: {
@@ -164,7 +168,7 @@ class PowerUp {
 
         // Draw icon
         ctx.fillStyle = '#ffffff';
-        ctx.font = '12px Arial';
+        ctx.font = Theme.font(12);
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         ctx.fillText(this.type.icon, drawX + this.width / 2, drawY + this.height / 2);
@@ -183,13 +187,14 @@ class PowerUpManager {
         this.powerUps = [];
         this.activeEffects = [];
         this.spawnChance = 0.3; // 30% chance when power brick destroyed
+        this.loadout = null; // Power-up ids allowed to drop (daily challenge), null for all
     }
 
     /**
      * Attempt to spawn a power-up at given location
      */
     spawn(x, y, guaranteed = false) {
-        if (!guaranteed && Math.random() > this.spawnChance) {
+        if (!guaranteed && GameRandom.gameplay.next() > this.spawnChance) {
             return null;
         }
 
@@ -225,10 +230,10 @@ class PowerUpManager {
             { type: PowerUpTypes.SCORE_MULTIPLIER, weight: 10 },
             { type: PowerUpTypes.AUTO_BURST, weight: 6 },
             { type: PowerUpTypes.EXPLOSIVE_NEXT, weight: 8 }
-        ];
+        ].filter(item => !this.loadout || this.loadout.includes(item.type.id));
 
         const totalWeight = weights.reduce((sum, w) => sum + w.weight, 0);
-        let random = Math.random() * totalWeight;
+        let random = GameRandom.gameplay.next() * totalWeight;
 
         for (const item of weights) {
             random -= item.weight;
@@ -241,9 +246,11 @@ class PowerUpManager {
     }
 
     /**
-     * Update all power-ups and active effects
+     * Update all power-ups and active effects. Collected events say which
+     * paddle (player) caught the power-up; expired ones whose paddle the
+     * effect was on (null for effects on the whole field).
      */
-    update(dt, paddle, canvasHeight) {
+    update(dt, paddles, canvasHeight) {
         // Collect every event this frame; returning early on the first one
         // would freeze effect timers and drop simultaneous pickups/expiries.
         const events = [];
@@ -253,10 +260,11 @@ class PowerUpManager {
             const powerUp = this.powerUps[i];
             powerUp.update(dt);
 
-            // Check collection
-            if (powerUp.checkCollision(paddle)) {
+            // Check collection (the first paddle touching it gets it)
+            const player = paddles.findIndex(paddle => powerUp.checkCollision(paddle));
+            if (player !== -1) {
                 this.powerUps.splice(i, 1);
-                events.push({ collected: true, type: powerUp.type });
+                events.push({ collected: true, type: powerUp.type, player: player });
                 continue;
             }
 
@@ -271,7 +279,7 @@ class PowerUpManager {
             this.activeEffects[i].remaining -= dt;
             if (this.activeEffects[i].remaining <= 0) {
                 const expired = this.activeEffects.splice(i, 1)[0];
-                events.push({ expired: true, type: expired.type });
+                events.push({ expired: true, type: expired.type, player: expired.player });
             }
         }
 
@@ -279,34 +287,45 @@ class PowerUpManager {
     }
 
     /**
-     * Activate a power-up effect
+     * Activate a power-up effect caught by a player's paddle
      */
-    activate(type) {
+    activate(type, player = 0) {
+        // Paddle effects run per paddle, the rest once for the whole field
+        const owner = type.perPaddle ? player : null;
+
         // Check if this effect is already active (extend duration)
-        const existing = this.activeEffects.find(e => e.type.id === type.id);
+        const existing = this.activeEffects.find(e => e.type.id === type.id && e.player === owner);
         
         if (existing && type.duration > 0) {
             existing.remaining = type.duration; // Reset duration
         } else if (type.duration > 0) {
             this.activeEffects.push({
                 type: type,
-                remaining: type.duration
+                remaining: type.duration,
+                player: owner
             });
         }
     }
 
+    /**
+     * Find the running effect of a type that applies to a player's paddle
+     */
+    findEffect(typeId, player = 0) {
+        return this.activeEffects.find(e => e.type.id === typeId && (e.player === null || e.player === player));
+    }
+
     /**
      * Check if a specific effect is active
      */
-    isActive(typeId) {
-        return this.activeEffects.some(e => e.type.id === typeId);
+    isActive(typeId, player = 0) {
+        return this.findEffect(typeId, player) !== undefined;
     }
 
     /**
      * Get remaining time for an effect
      */
-    getRemaining(typeId) {
-        const effect = this.activeEffects.find(e => e.type.id === typeId);
+    getRemaining(typeId, player = 0) {
+        const effect = this.findEffect(typeId, player);
         return effect ? effect.remaining : 0;
     }
 
@@ -320,6 +339,7 @@ class PowerUpManager {
             color: e.type.color,
             remaining: e.remaining,
             duration: e.type.duration,
+            player: e.player,
             percent: (e.remaining / e.type.duration) * 100
         }));
     }
@@ -333,6 +353,40 @@ class PowerUpManager {
         }
     }
 
+    /**
+     * Falling power-ups and active effects (with time left) for a saved run
+     */
+    getSaveData() {
+        return {
+            powerUps: this.powerUps.map(p => ({ x: p.x, y: p.y, type: p.type.id, rotation: p.rotation })),
+            activeEffects: this.activeEffects.map(e => ({ type: e.type.id, remaining: e.remaining, player: e.player }))
+        };
+    }
+
+    /**
+     * Restore getSaveData() output. Only the bookkeeping is restored - the
+     * effects themselves live on the paddle, balls and score manager.
+     */
+    restoreSaveData(data) {
+        const findType = (id) => Object.values(PowerUpTypes).find(t => t.id === id);
+        this.clear();
+
+        for (const saved of data.powerUps) {
+            const type = findType(saved.type);
+            if (!type) continue;
+            const powerUp = new PowerUp(saved.x, saved.y, type);
+            powerUp.rotation = saved.rotation;
+            this.powerUps.push(powerUp);
+        }
+
+        for (const saved of data.activeEffects) {
+            const type = findType(saved.type);
+            if (type) {
+                this.activeEffects.push({ type: type, remaining: saved.remaining, player: saved.player });
+            }
+        }
+    }
+
     /**
      * Clear all power-ups and effects
      */
@@ -0,0 +1,342 @@
+﻿/**
+ * Replay input flags (one bitmask per fixed step)
+ */
+const ReplayFlags = {
+    LEFT: 1,
+    RIGHT: 2,
+    LAUNCH: 4,
+    SHOOT: 8,
+    POINTER: 16,
+    DRAG: 32
+};
+
+const REPLAY_VERSION = 1;
+const REPLAY_SECOND_PLAYER_SHIFT = 8; // Versus: player 2's flags sit above player 1's
+
+/**
+ * ReplayInput - Stand-in for InputManager that plays back recorded steps
+ *
+ * Frames are stored run-length encoded as [flags, pointerX, count], with
+ * the players' stick positions and the touch drag offset appended
+ * ([..., analogX, secondAnalogX, dragX]) while any of them is non-zero.
+ */
+class ReplayInput {
+    constructor(replay) {
+        this.replay = replay;
+        this.runIndex = 0;
+        this.runStep = 0;
+        this.step = 0;
+        this.totalSteps = replay.frames.reduce((sum, run) => sum + run[2], 0);
+        this.flags = 0;
+        this.pointerX = 0;
+        this.analogX = 0;
+        this.secondAnalogX = 0;
+        this.dragX = 0;
+        this.secondPlayer = new ReplaySecondPlayer(this);
+    }
+
+    /**
+     * Move to the next recorded step. Returns false once the recording ends.
+     */
+    advance() {
+        const run = this.replay.frames[this.runIndex];
+        if (!run) return false;
+
+        this.flags = run[0];
+        this.pointerX = run[1];
+        this.analogX = run[3] || 0;
+        this.secondAnalogX = run[4] || 0;
+        this.dragX = run[5] || 0;
+        this.step++;
+
+        this.runStep++;
+        if (this.runStep >= run[2]) {
+            this.runIndex++;
+            this.runStep = 0;
+        }
+        return true;
+    }
+
+    getProgress() {
+        return this.totalSteps > 0 ? this.step / this.totalSteps : 1;
+    }
+
+    isMovingLeft() {
+        return (this.flags & ReplayFlags.LEFT) !== 0;
+    }
+
+    isMovingRight() {
+        return (this.flags & ReplayFlags.RIGHT) !== 0;
+    }
+
+    isLaunchPressed() {
+        return (this.flags & ReplayFlags.LAUNCH) !== 0;
+    }
+
+    isShootPressed() {
+        return (this.flags & ReplayFlags.SHOOT) !== 0;
+    }
+
+    isPausePressed() {
+        return false; // Pauses are never part of a recording
+    }
+
+    isUsingPointer() {
+        return (this.flags & ReplayFlags.POINTER) !== 0;
+    }
+
+    getPointerX() {
+        return this.pointerX;
+    }
+
+    getPointerY() {
+        return 0;
+    }
+
+    getAnalogX() {
+        return this.analogX;
+    }
+
+    isDragging() {
+        return (this.flags & ReplayFlags.DRAG) !== 0;
+    }
+
+    getDragX() {
+        return this.dragX;
+    }
+
+    /**
+     * Input for one versus player (0 or 1)
+     */
+    getPlayerInput(index) {
+        return index === 0 ? this : this.secondPlayer;
+    }
+
+    clearFrameStates() {}
+
+    clearKey() {}
+
+    reset() {}
+}
+
+/**
+ * ReplaySecondPlayer - Versus player 2's input from a ReplayInput's steps
+ */
+class ReplaySecondPlayer {
+    constructor(replayInput) {
+        this.replayInput = replayInput;
+    }
+
+    hasFlag(flag) {
+        return ((this.replayInput.flags >> REPLAY_SECOND_PLAYER_SHIFT) & flag) !== 0;
+    }
+
+    isMovingLeft() {
+        return this.hasFlag(ReplayFlags.LEFT);
+    }
+
+    isMovingRight() {
+        return this.hasFlag(ReplayFlags.RIGHT);
+    }
+
+    isLaunchPressed() {
+        return this.hasFlag(ReplayFlags.LAUNCH);
+    }
+
+    isShootPressed() {
+        return this.hasFlag(ReplayFlags.SHOOT);
+    }
+
+    isPausePressed() {
+        return false;
+    }
+
+    isUsingPointer() {
+        return false;
+    }
+
+    getPointerX() {
+        return 0;
+    }
+
+    getPointerY() {
+        return 0;
+    }
+
+    getAnalogX() {
+        return this.replayInput.secondAnalogX;
+    }
+
+    isDragging() {
+        return false;
+    }
+
+    getDragX() {
+        return 0;
+    }
+}
+
+/**
+ * ReplayManager - Records input per fixed step and stores replays
+ *
+ * Because gameplay randomness comes from the run seed and the game loop
+ * always advances in fixed 1/60s steps, the seed plus the input of every
+ * step is enough to reproduce a run exactly.
+ */
+class ReplayManager {
+    constructor(storageKey = 'brickBreaker2500LastReplay', storage = localStorage) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.recording = null;
+        this.lastReplay = this.loadLastReplay();
+    }
+
+    /**
+     * Begin recording a new run (mode and startLevel let campaign runs that
+     * begin mid-campaign play back from the right level)
+     */
+    startRecording(seed, canvasWidth, canvasHeight, levelPackName = null, mode = GameModes.CLASSIC, startLevel = 1) {
+        this.recording = {
+            version: REPLAY_VERSION,
+            seed: seed,
+            width: canvasWidth,
+            height: canvasHeight,
+            levelPack: levelPackName,
+            mode: mode,
+            startLevel: startLevel,
+            date: new Date().toISOString(),
+            frames: []
+        };
+    }
+
+    isRecording() {
+        return this.recording !== null;
+    }
+
+    /**
+     * Record the input state used for one fixed step (versus matches pass
+     * both players' input)
+     */
+    record(input, secondInput = null) {
+        if (!this.recording) return;
+
+        let flags = this.getFlags(input);
+        if (secondInput) {
+            flags |= this.getFlags(secondInput) << REPLAY_SECOND_PLAYER_SHIFT;
+        }
+        const pointerX = input.getPointerX();
+        const extra = [input.getAnalogX(), secondInput ? secondInput.getAnalogX() : 0, input.getDragX()];
+
+        // Extend the current run when nothing changed
+        const frames = this.recording.frames;
+        const last = frames[frames.length - 1];
+        if (last && last[0] === flags && last[1] === pointerX &&
+            extra.every((value, i) => (last[3 + i] || 0) === value)) {
+            last[2]++;
+        } else if (extra.some(value => value !== 0)) {
+            frames.push([flags, pointerX, 1].concat(extra));
+        } else {
+            frames.push([flags, pointerX, 1]);
+        }
+    }
+
+    getFlags(input) {
+        let flags = 0;
+        if (input.isMovingLeft()) flags |= ReplayFlags.LEFT;
+        if (input.isMovingRight()) flags |= ReplayFlags.RIGHT;
+        if (input.isLaunchPressed()) flags |= ReplayFlags.LAUNCH;
+        if (input.isShootPressed()) flags |= ReplayFlags.SHOOT;
+        if (input.isUsingPointer()) flags |= ReplayFlags.POINTER;
+        if (input.isDragging()) flags |= ReplayFlags.DRAG;
+        return flags;
+    }
+
+    /**
+     * Finish recording, keeping the result as the last replay
+     */
+    stopRecording(score, level) {
+        if (!this.recording) return this.lastReplay;
+
+        const replay = this.recording;
+        replay.score = score;
+        replay.level = level;
+        this.recording = null;
+
+        if (replay.frames.length > 0) {
+            this.lastReplay = replay;
+            this.saveLastReplay();
+        }
+        return this.lastReplay;
+    }
+
+    /**
+     * Create a stand-in input that plays a replay back
+     */
+    createPlayer(replay) {
+        return new ReplayInput(replay);
+    }
+
+    /**
+     * Load the last replay from localStorage
+     */
+    loadLastReplay() {
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            return stored ? this.parse(stored).replay : null;
+        } catch (e) {
+            console.warn('Could not load last replay:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Save the last replay to localStorage
+     */
+    saveLastReplay() {
+        try {
+            this.storage.setItem(this.storageKey, this.serialize(this.lastReplay));
+        } catch (e) {
+            console.warn('Could not save replay:', e);
+        }
+    }
+
+    serialize(replay) {
+        return JSON.stringify(replay);
+    }
+
+    /**
+     * Parse a replay from JSON text
+     * Returns { replay, error } - replay is null when invalid
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { replay: null, error: `Invalid JSON: ${e.message}` };
+        }
+
+        if (!data || data.version !== REPLAY_VERSION) {
+            return { replay: null, error: `Unsupported replay version ${data && data.version}` };
+        }
+        if (!Number.isInteger(data.seed) || !Array.isArray(data.frames) ||
+            !data.frames.every(run => Array.isArray(run) && [3, 6].includes(run.length) && run[2] > 0)) {
+            return { replay: null, error: 'Replay is missing its seed or frames' };
+        }
+
+        return { replay: data, error: null };
+    }
+
+    /**
+     * Offer a replay as a file download
+     */
+    download(replay) {
+        const blob = new Blob([this.serialize(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `brickbreaker2500-replay-${GameRandom.formatSeed(replay.seed)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,64 @@
+﻿const SAVE_VERSION = 1;
+
+/**
+ * SaveManager - Keeps one in-progress run in localStorage
+ *
+ * The game saves when it pauses (including when the tab is hidden), so a
+ * closed tab can be picked up again with Continue. The run data itself is
+ * built by Game.serializeRun() and rebuilt by Game.restoreRun().
+ */
+class SaveManager {
+    constructor(storageKey = 'brickBreaker2500SavedRun', storage = localStorage) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+    }
+
+    /**
+     * Save a run, replacing any earlier one
+     */
+    save(run) {
+        try {
+            const data = Object.assign({ version: SAVE_VERSION, date: new Date().toISOString() }, run);
+            this.storage.setItem(this.storageKey, JSON.stringify(data));
+            return true;
+        } catch (e) {
+            console.warn('Could not save run:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Load the saved run, or null when there is none (or it is unreadable)
+     */
+    load() {
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            if (!stored) return null;
+
+            const data = JSON.parse(stored);
+            if (!data || data.version !== SAVE_VERSION) {
+                console.warn(`Ignoring saved run with unsupported version ${data && data.version}`);
+                return null;
+            }
+            return data;
+        } catch (e) {
+            console.warn('Could not load saved run:', e);
+            return null;
+        }
+    }
+
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    /**
+     * Forget the saved run (it ended or a new one started)
+     */
+    clear() {
+        try {
+            this.storage.removeItem(this.storageKey);
+        } catch (e) {
+            console.warn('Could not clear saved run:', e);
+        }
+    }
+}
@@ -8,6 +8,7 @@ class ScoreManager {
         this.maxCombo = 0;
         this.comboTimer = 0;
         this.comboTimeout = 2; // Seconds before combo resets
+        this.comboMilestone = 5; // Every this many combo hits gets a stinger
         this.multiplier = 1;
         this.baseMultiplier = 1;
         this.bricksDestroyed = 0;
@@ -40,6 +41,37 @@ class ScoreManager {
         this.bricksDestroyed = 0;
     }
 
+    /**
+     * Score and combo state for a saved run (popups are not kept)
+     */
+    getSaveData() {
+        return {
+            score: this.score,
+            combo: this.combo,
+            maxCombo: this.maxCombo,
+            comboTimer: this.comboTimer,
+            multiplier: this.multiplier,
+            bricksDestroyed: this.bricksDestroyed
+        };
+    }
+
+    restoreSaveData(data) {
+        this.reset();
+        this.score = data.score;
+        this.combo = data.combo;
+        this.maxCombo = data.maxCombo;
+        this.comboTimer = data.comboTimer;
+        this.multiplier = data.multiplier;
+        this.bricksDestroyed = data.bricksDestroyed;
+    }
+
+    /**
+     * Whether the last hit took the combo to a milestone
+     */
+    isComboMilestone() {
+        return this.combo > 0 && this.combo % this.comboMilestone === 0;
+    }
+
     /**
      * Add points for brick destruction
      */
@@ -82,20 +114,27 @@ class ScoreManager {
         this.score += points;
         
         if (x !== undefined && y !== undefined) {
-            this.popups.push({
-                x: x,
-                y: y,
-                text: `+${points}`,
-                combo: label || '',
-                life: 1.5,
-                vy: -1.5,
-                isBonus: true
-            });
+            this.addPopup(`+${points}`, label, x, y);
         }
 
         return points;
     }
 
+    /**
+     * Show a bonus-style popup without scoring (time attack splits, etc.)
+     */
+    addPopup(text, label, x, y) {
+        this.popups.push({
+            x: x,
+            y: y,
+            text: text,
+            combo: label || '',
+            life: 1.5,
+            vy: -1.5,
+            isBonus: true
+        });
+    }
+
     /**
      * Set score multiplier (from power-ups)
      */
@@ -146,14 +185,14 @@ class ScoreManager {
             ctx.textAlign = 'center';
             
             // Draw main score
-            ctx.font = popup.isBonus ? 'bold 18px Arial' : 'bold 14px Arial';
+            ctx.font = popup.isBonus ? Theme.font(18, 'bold') : Theme.font(14, 'bold');
             ctx.fillStyle = popup.isBonus ? '#ffd700' : '#ffffff';
             ctx.fillText(popup.text, popup.x, popup.y);
             
             // Draw combo indicator
             if (popup.combo) {
-                ctx.font = '10px Arial';
-                ctx.fillStyle = '#4ecdc4';
+                ctx.font = Theme.font(10);
+                ctx.fillStyle = Theme.current.accent;
                 ctx.fillText(popup.combo, popup.x, popup.y + 12);
             }
             
@@ -185,9 +224,9 @@ class ScoreManager {
     /**
      * Calculate level completion score
      */
-    calculateLevelScore(level, timeSeconds, livesRemaining) {
+    calculateLevelScore(level, timeSeconds, livesRemaining, parTime = 300) {
         const baseBonus = 500 + (level * 100);
-        const timeBonus = Math.max(0, Math.floor((300 - timeSeconds) * 10));
+        const timeBonus = Math.max(0, Math.floor((parTime - timeSeconds) * 10));
         const lifeBonus = livesRemaining * 1000;
         const comboBonus = this.maxCombo * 50;
         
@@ -199,4 +238,14 @@ class ScoreManager {
             total: baseBonus + timeBonus + lifeBonus + comboBonus
         };
     }
+
+    /**
+     * Award 1-3 stars from a calculateLevelScore result:
+     * 1 for clearing, 2 for beating par time, 3 for clearing in half of par
+     */
+    calculateStars(levelScore, parTime = 300) {
+        if (levelScore.time >= parTime * 5) return 3; // Time bonus is 10 points per second under par
+        if (levelScore.time > 0) return 2;
+        return 1;
+    }
 }
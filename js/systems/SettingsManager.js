@@ -0,0 +1,121 @@
+﻿/**
+ * Settings - Every player option with its default. Numbers are clamped to
+ * min..max, choices must be one of options, text must be a non-empty
+ * string, anything else is on/off.
+ */
+const SettingDefinitions = {
+    sound: { default: true },
+    masterVolume: { default: 0.5, min: 0, max: 1 },
+    sfxVolume: { default: 0.7, min: 0, max: 1 },
+    musicVolume: { default: 0.3, min: 0, max: 1 },
+    monoAudio: { default: false },
+    soundPack: { default: 'synth', text: true }, // 'synth' or a pack's manifest URL
+    theme: { default: 'neon', options: Object.keys(Themes) },
+    particleDensity: { default: 'high', options: ['off', 'low', 'medium', 'high'] },
+    backgroundEffects: { default: true },
+    flashIntensity: { default: 1, min: 0, max: 1 },
+    trailLength: { default: 10, min: 0, max: 20 }
+};
+
+/**
+ * Share of each effect's particles that are emitted at each density
+ */
+const ParticleDensities = {
+    off: 0,
+    low: 0.3,
+    medium: 0.6,
+    high: 1
+};
+
+/**
+ * SettingsManager - Player options kept in localStorage
+ *
+ * Game.applySettings() pushes the values into the audio, renderer and
+ * effects whenever one changes, so the settings screen applies live.
+ */
+class SettingsManager {
+    constructor(storageKey = 'brickBreaker2500Settings', storage = localStorage) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.values = this.load();
+    }
+
+    get(name) {
+        return this.values[name];
+    }
+
+    /**
+     * Change one setting (ignored when invalid) and save
+     */
+    set(name, value) {
+        const checked = this.validate(name, value);
+        if (checked === null) return false;
+
+        this.values[name] = checked;
+        this.save();
+        return true;
+    }
+
+    reset() {
+        this.values = SettingsManager.getDefaults();
+        this.save();
+    }
+
+    static getDefaults() {
+        const values = {};
+        for (const [name, definition] of Object.entries(SettingDefinitions)) {
+            values[name] = definition.default;
+        }
+        return values;
+    }
+
+    /**
+     * A setting's value made valid, or null when it cannot be
+     */
+    validate(name, value) {
+        const definition = SettingDefinitions[name];
+        if (!definition) return null;
+
+        if (definition.options) {
+            return definition.options.includes(value) ? value : null;
+        }
+        if (definition.text) {
+            return typeof value === 'string' && value !== '' ? value : null;
+        }
+        if (definition.min !== undefined) {
+            const number = Number(value);
+            if (typeof value === 'boolean' || !Number.isFinite(number)) return null;
+            return Math.max(definition.min, Math.min(definition.max, number));
+        }
+        return typeof value === 'boolean' ? value : null;
+    }
+
+    /**
+     * Load settings from localStorage, keeping the default for anything
+     * missing or invalid
+     */
+    load() {
+        const values = SettingsManager.getDefaults();
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            if (stored) {
+                const data = JSON.parse(stored) || {};
+                for (const name of Object.keys(SettingDefinitions)) {
+                    const checked = this.validate(name, data[name]);
+                    if (checked !== null) values[name] = checked;
+                }
+            }
+        } catch (e) {
+            console.warn('Could not load settings:', e);
+        }
+        return values;
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.values));
+        } catch (e) {
+            console.warn('Could not save settings:', e);
+        }
+    }
+}
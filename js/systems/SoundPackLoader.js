@@ -0,0 +1,203 @@
+﻿/**
+ * Sound pack format
+ *
+ * A sound pack is a JSON manifest that swaps the synthesized sound effects
+ * for audio files:
+ *
+ * {
+ *     "format": "brickbreaker2500-sounds",
+ *     "version": 1,
+ *     "name": "Retro Arcade",
+ *     "sounds": {
+ *         "brickHit": {
+ *             "files": ["brick-hit-1.ogg", "brick-hit-2.ogg"],
+ *             "volume": 0.8,
+ *             "pitchVariation": 0.1,
+ *             "volumeVariation": 0.2
+ *         },
+ *         "explosion": { "files": ["boom.ogg"] }
+ *     }
+ * }
+ *
+ * Files are relative to the manifest. Each play picks one of an event's
+ * files at random, with its pitch shifted by up to +/- pitchVariation
+ * (a share of normal speed) and its volume lowered by up to
+ * volumeVariation. Events left out keep their synthesized sound.
+ *
+ * Packs are listed in sounds/packs.json ({ "packs": ["sounds/retro/pack.json"] })
+ * so they show up in Settings.
+ */
+const SOUND_PACK_FORMAT = 'brickbreaker2500-sounds';
+const SOUND_PACK_VERSION = 1;
+const SOUND_PACK_INDEX = 'sounds/packs.json';
+
+/**
+ * Events a pack can provide sounds for, one per AudioManager play method
+ */
+const SoundEvents = [
+    'brickHit', 'brickDestroy', 'paddleHit', 'wallHit', 'powerUp', 'powerDown',
+    'launch', 'laser', 'explosion', 'levelComplete', 'gameOver', 'lifeLost',
+    'combo', 'extraLife', 'buttonClick'
+];
+
+/**
+ * SoundPackLoader - Finds, parses and validates sound pack manifests
+ */
+class SoundPackLoader {
+    constructor() {
+        this.maxVolume = 2;
+    }
+
+    /**
+     * Manifest URLs listed in the pack index (none if it is missing)
+     */
+    async loadIndex(url = SOUND_PACK_INDEX) {
+        const response = await fetch(url);
+        if (!response.ok) return [];
+
+        const data = await response.json();
+        if (!data || !Array.isArray(data.packs)) {
+            console.warn(`${url} must be an object with a "packs" array of manifest URLs`);
+            return [];
+        }
+        return data.packs.filter(pack => typeof pack === 'string');
+    }
+
+    /**
+     * Fetch and parse a sound pack manifest from a URL
+     */
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            return { pack: null, errors: [this.error(`Could not load ${url} (HTTP ${response.status})`)] };
+        }
+        return this.parse(await response.text(), url);
+    }
+
+    /**
+     * Parse a manifest from JSON text; url is where it came from, for
+     * resolving its files.
+     * Returns { pack, errors } - pack is null when there are any errors
+     */
+    parse(text, url) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            return { pack: null, errors: [this.error(`Invalid JSON: ${e.message}`)] };
+        }
+
+        const errors = this.validate(data);
+        if (errors.length > 0) {
+            return { pack: null, errors };
+        }
+
+        return { pack: this.normalize(data, url), errors };
+    }
+
+    /**
+     * Validate a parsed manifest, returning a list of errors
+     */
+    validate(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            errors.push(this.error('Sound pack must be a JSON object'));
+            return errors;
+        }
+        if (data.format !== SOUND_PACK_FORMAT) {
+            errors.push(this.error(`"format" must be "${SOUND_PACK_FORMAT}"`));
+        }
+        if (data.version !== SOUND_PACK_VERSION) {
+            errors.push(this.error(`Unsupported version ${data.version} (expected ${SOUND_PACK_VERSION})`));
+        }
+        if (data.name !== undefined && typeof data.name !== 'string') {
+            errors.push(this.error('"name" must be a string'));
+        }
+        if (!data.sounds || typeof data.sounds !== 'object' || Array.isArray(data.sounds)) {
+            errors.push(this.error('"sounds" must be an object of events'));
+            return errors;
+        }
+
+        for (const [event, sound] of Object.entries(data.sounds)) {
+            errors.push(...this.validateSound(event, sound));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate one event's entry
+     */
+    validateSound(event, sound) {
+        const errors = [];
+
+        if (!SoundEvents.includes(event)) {
+            errors.push(this.error(`Unknown event (expected one of ${SoundEvents.join(', ')})`, event));
+            return errors;
+        }
+        if (!sound || typeof sound !== 'object' || Array.isArray(sound)) {
+            errors.push(this.error('Sound must be an object', event));
+            return errors;
+        }
+
+        if (!Array.isArray(sound.files) || sound.files.length === 0 ||
+            sound.files.some(file => typeof file !== 'string' || file === '')) {
+            errors.push(this.error('"files" must be a non-empty array of file names', event));
+        }
+        if (sound.volume !== undefined && !this.isNumberBetween(sound.volume, 0, this.maxVolume)) {
+            errors.push(this.error(`"volume" must be a number from 0 to ${this.maxVolume}`, event));
+        }
+        for (const key of ['pitchVariation', 'volumeVariation']) {
+            if (sound[key] !== undefined && !this.isNumberBetween(sound[key], 0, 1)) {
+                errors.push(this.error(`"${key}" must be a number from 0 to 1`, event));
+            }
+        }
+
+        return errors;
+    }
+
+    isNumberBetween(value, min, max) {
+        return typeof value === 'number' && value >= min && value <= max;
+    }
+
+    /**
+     * Convert a validated manifest into what AudioManager plays, with file
+     * paths resolved against the manifest's URL
+     */
+    normalize(data, url) {
+        const sounds = {};
+        for (const [event, sound] of Object.entries(data.sounds)) {
+            sounds[event] = {
+                files: sound.files.map(file => this.resolve(file, url)),
+                volume: sound.volume !== undefined ? sound.volume : 1,
+                pitchVariation: sound.pitchVariation || 0,
+                volumeVariation: sound.volumeVariation || 0
+            };
+        }
+
+        return {
+            url: url,
+            name: data.name || 'Custom Sounds',
+            sounds: sounds
+        };
+    }
+
+    /**
+     * A file path relative to the manifest (absolute paths and URLs as-is)
+     */
+    resolve(file, url) {
+        if (!url || /^([a-z][a-z0-9+.-]*:|\/)/i.test(file)) return file;
+        return url.slice(0, url.lastIndexOf('/') + 1) + file;
+    }
+
+    /**
+     * Build an error entry (event is optional)
+     */
+    error(message, event) {
+        return {
+            event: event,
+            message: event !== undefined ? `${event}: ${message}` : message
+        };
+    }
+}
@@ -0,0 +1,178 @@
+﻿/**
+ * TimeAttackManager - Course clock, splits and personal bests for Time Attack
+ *
+ * A course is the first few levels played back-to-back on a fixed seed, so
+ * every attempt gets the same layouts. The clock is play time plus penalty
+ * seconds for lost lives. A split is the clock when a level is cleared;
+ * splits are compared against those of the personal best run.
+ */
+class TimeAttackManager {
+    constructor(storageKey = 'brickBreaker2500TimeAttack', storage = localStorage) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+        this.courseLength = 5;
+        this.lifePenalty = 10; // Seconds added per lost life
+        this.seed = SeededRandom.hashString('time-attack');
+        this.levelSet = 'builtin';
+        this.records = this.loadRecords();
+        this.run = null;
+    }
+
+    /**
+     * Load personal bests from localStorage
+     */
+    loadRecords() {
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            const data = stored ? JSON.parse(stored) : null;
+            return data && data.levelSets ? data : { levelSets: {} };
+        } catch (e) {
+            console.warn('Could not load time attack records:', e);
+            return { levelSets: {} };
+        }
+    }
+
+    /**
+     * Save personal bests to localStorage
+     */
+    saveRecords() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.records));
+        } catch (e) {
+            console.warn('Could not save time attack records:', e);
+        }
+    }
+
+    /**
+     * Switch to the records for a level pack (null for the built-in levels)
+     */
+    setLevelSet(name) {
+        this.levelSet = name ? `pack:${name}` : 'builtin';
+    }
+
+    /**
+     * Splits of the personal best run, or null before the first finish
+     */
+    getBestSplits() {
+        const record = this.records.levelSets[this.levelSet];
+        return record ? record.splits : null;
+    }
+
+    getBestTime() {
+        const splits = this.getBestSplits();
+        return splits ? splits[splits.length - 1] : null;
+    }
+
+    // ==================== RUN ====================
+
+    startRun() {
+        this.run = { splits: [], penalty: 0, livesLost: 0 };
+    }
+
+    stopRun() {
+        this.run = null;
+    }
+
+    /**
+     * Add the penalty for a lost life
+     */
+    addPenalty() {
+        this.run.penalty += this.lifePenalty;
+        this.run.livesLost++;
+        return this.run.penalty;
+    }
+
+    /**
+     * Course clock for a play time (penalties included)
+     */
+    getClock(playTime) {
+        return playTime + this.run.penalty;
+    }
+
+    /**
+     * Record the split for the level just cleared.
+     * Returns { split, levelTime, delta } - delta is null without a best run.
+     */
+    recordSplit(playTime) {
+        const splits = this.run.splits;
+        const split = this.getClock(playTime);
+        const previous = splits.length > 0 ? splits[splits.length - 1] : 0;
+        splits.push(split);
+
+        return {
+            split: split,
+            levelTime: split - previous,
+            delta: this.getSplitDelta(splits.length - 1)
+        };
+    }
+
+    /**
+     * Difference from the best run at a split (negative = ahead)
+     */
+    getSplitDelta(index) {
+        const best = this.getBestSplits();
+        if (!best || best[index] === undefined || this.run.splits[index] === undefined) return null;
+        return this.run.splits[index] - best[index];
+    }
+
+    /**
+     * Delta to show while playing: live once the clock has passed the best
+     * run's split for this level (already behind), otherwise the last split
+     */
+    getLiveDelta(playTime) {
+        const best = this.getBestSplits();
+        if (!best) return null;
+
+        const index = this.run.splits.length;
+        const clock = this.getClock(playTime);
+        if (best[index] !== undefined && clock > best[index]) {
+            return clock - best[index];
+        }
+        return index > 0 ? this.getSplitDelta(index - 1) : null;
+    }
+
+    isCourseFinished() {
+        return this.run.splits.length >= this.courseLength;
+    }
+
+    /**
+     * Finish the course, keeping the splits when they beat the best run.
+     * Returns { time, newBest, delta }.
+     */
+    finishRun() {
+        const time = this.run.splits[this.run.splits.length - 1];
+        const bestTime = this.getBestTime();
+        const newBest = bestTime === null || time < bestTime;
+
+        if (newBest) {
+            this.records.levelSets[this.levelSet] = { splits: this.run.splits.slice() };
+            this.saveRecords();
+        }
+
+        return {
+            time: time,
+            newBest: newBest,
+            delta: bestTime === null ? null : time - bestTime
+        };
+    }
+
+    // ==================== FORMATTING ====================
+
+    /**
+     * Format seconds as m:ss.cc
+     */
+    static formatTime(seconds) {
+        const hundredths = Math.round(seconds * 100);
+        const minutes = Math.floor(hundredths / 6000);
+        const secs = Math.floor((hundredths % 6000) / 100);
+        const rest = hundredths % 100;
+        return `${minutes}:${String(secs).padStart(2, '0')}.${String(rest).padStart(2, '0')}`;
+    }
+
+    /**
+     * Format a split delta as +1.23 (behind) or -0.85 (ahead)
+     */
+    static formatDelta(delta) {
+        return (delta > 0 ? '+' : delta < 0 ? '-' : '±') + Math.abs(delta).toFixed(2);
+    }
+}
@@ -0,0 +1,166 @@
+﻿/**
+ * Game properties each versus field keeps its own copy of. Game.withField()
+ * swaps them in so the single-player update code runs on one field.
+ */
+const VersusFieldKeys = [
+    'canvas', 'paddles', 'paddle', 'balls', 'bricks', 'boss', 'brickGrid', 'lasers', 'stuckBall',
+    'powerUpManager', 'scoreManager', 'particleSystem',
+    'level', 'lives', 'levelTime', 'levelStartScore',
+    'autoBurstActive', 'autoBurstBallsRemaining', 'autoBurstTimer', 'autoBurstPlayer',
+    'nextBrickExplodes', 'pendingExplosions',
+    'partyModeActive', 'partyModeTimer', 'partyModeHue'
+];
+
+/**
+ * VersusMatch - Fields, garbage and the result of a local two-player match
+ *
+ * Each player gets half the canvas with their own paddle, balls, bricks,
+ * power-ups and score. Levels come from the run seed, so both players get
+ * the same layouts. Clearing a row of bricks sends a random garbage effect
+ * (Shrink or Speed Up) to the other player, and catching one of those
+ * power-ups sends it over instead of taking it. The first player to clear
+ * levelsToWin levels, or the last one with lives left, wins.
+ */
+class VersusMatch {
+    constructor(canvasWidth, canvasHeight) {
+        this.levelsToWin = 3;
+        this.garbageTypes = [PowerUpTypes.SHRINK_PADDLE, PowerUpTypes.FAST_BALL];
+        this.pendingGarbage = []; // { target, type } sent this step
+        this.winner = null; // Field index, or -1 for a draw, once finished
+        this.finished = false;
+
+        const width = Math.floor(canvasWidth / 2);
+        this.fields = [0, 1].map(index => this.createField(index, width, canvasHeight));
+    }
+
+    /**
+     * A fresh field; Game loads its first level
+     */
+    createField(index, width, height) {
+        return {
+            index: index,
+            offsetX: index * width,
+            levelsCleared: 0,
+            fewestRows: 0, // Fewest brick rows left this level (see checkClearedRows)
+
+            canvas: { width: width, height: height },
+            paddles: [],
+            paddle: null,
+            balls: [],
+            bricks: [],
+            boss: null,
+            brickGrid: new SpatialGrid(64),
+            lasers: [],
+            stuckBall: null,
+            powerUpManager: new PowerUpManager(),
+            scoreManager: new ScoreManager(),
+            particleSystem: new ParticleSystem(100),
+            level: 1,
+            lives: 3,
+            levelTime: 0,
+            levelStartScore: 0,
+            autoBurstActive: false,
+            autoBurstBallsRemaining: 0,
+            autoBurstTimer: 0,
+            autoBurstPlayer: 0,
+            nextBrickExplodes: false,
+            pendingExplosions: [],
+            partyModeActive: false,
+            partyModeTimer: 0,
+            partyModeHue: 0
+        };
+    }
+
+    getOpponent(field) {
+        return this.fields[1 - field.index];
+    }
+
+    // ==================== GARBAGE ====================
+
+    isGarbage(type) {
+        return this.garbageTypes.some(garbage => garbage.id === type.id);
+    }
+
+    sendGarbage(from, type) {
+        this.pendingGarbage.push({ target: this.getOpponent(from), type: type });
+    }
+
+    /**
+     * Garbage sent this step, to be applied once both fields have stepped
+     */
+    takeGarbage() {
+        const garbage = this.pendingGarbage;
+        this.pendingGarbage = [];
+        return garbage;
+    }
+
+    /**
+     * Rows (by height) that still have breakable bricks
+     */
+    countRows(bricks) {
+        const rows = new Set();
+        for (const brick of bricks) {
+            if (!brick.destroyed && brick.type !== BrickTypes.METAL) {
+                rows.add(Math.round(brick.y));
+            }
+        }
+        return rows.size;
+    }
+
+    /**
+     * Start counting rows for a newly loaded level
+     */
+    resetRows(field) {
+        field.fewestRows = this.countRows(field.bricks);
+    }
+
+    /**
+     * Send garbage for each row cleared since the field last had fewer rows.
+     * Counting down from the fewest keeps teleporting bricks, which can open
+     * a row up again, from paying out twice.
+     */
+    checkClearedRows(field, random) {
+        const rows = this.countRows(field.bricks);
+        for (let i = rows; i < field.fewestRows; i++) {
+            this.sendGarbage(field, random.pick(this.garbageTypes));
+        }
+        field.fewestRows = Math.min(field.fewestRows, rows);
+    }
+
+    // ==================== RESULT ====================
+
+    /**
+     * Decide the match after a step. A player is done when they reach
+     * levelsToWin or the other is out of lives; if both are done in the
+     * same step the higher score wins. Returns true once finished.
+     */
+    checkResult() {
+        const done = this.fields.map(field =>
+            field.levelsCleared >= this.levelsToWin || this.getOpponent(field).lives <= 0
+        );
+        if (!done[0] && !done[1]) return false;
+
+        if (done[0] && done[1]) {
+            const [first, second] = this.fields.map(field => field.scoreManager.score);
+            this.winner = first > second ? 0 : second > first ? 1 : -1;
+        } else {
+            this.winner = done[0] ? 0 : 1;
+        }
+        this.finished = true;
+        return true;
+    }
+
+    /**
+     * The winner's field, or the one ahead on score before the match is
+     * decided or after a draw
+     */
+    getLeadingField() {
+        if (this.winner !== null && this.winner !== -1) return this.fields[this.winner];
+        const [first, second] = this.fields;
+        return second.scoreManager.score > first.scoreManager.score ? second : first;
+    }
+
+    getResultText() {
+        return this.winner === -1 ? 'Draw!' : `Player ${this.winner + 1} Wins!`;
+    }
+}
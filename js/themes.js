@@ -0,0 +1,219 @@
+﻿/**
+ * Themes - Everything that sets the game's look, in one place per theme
+ *
+ * bricks: colour per BrickTypes name
+ * hitColors: multi-hit bricks by hits left; toughColor for 4 or more
+ * ball, paddles (one per player), accent (combo text, pulses, menu
+ *     highlights) and lines (grid, walls, divider, as "r, g, b")
+ * glow: multiplier for shadow glows (0 turns them off)
+ * font: canvas font family
+ * background:
+ *     style - 'nebula' (animated gradient), 'crt' (the same plus scanlines)
+ *             or 'flat' (a single colour, no effects)
+ *     hue - fixed backdrop hue, or null to keep the level's own
+ *     saturation - multiplier for the level's saturation
+ *     lightness - [edge, middle] of the gradient, in percent
+ *     particles - floating particle colours; waves - wave colours ("r, g, b")
+ * page: the menus around the canvas (see the custom properties in style.css)
+ */
+const Themes = {
+    neon: {
+        name: 'Neon',
+        bricks: {
+            NORMAL: '#ff6b6b',
+            STRONG: '#4ecdc4',
+            SUPER: '#45b7d1',
+            METAL: '#95a5a6',
+            POWER: '#f39c12',
+            EXPLOSIVE: '#e74c3c',
+            RAINBOW: '#9b59b6',
+            MOVING: '#00bcd4',
+            MIRROR: '#e0e0e0',
+            SUPER_POWERUP: '#ffd700'
+        },
+        hitColors: { 3: '#45b7d1', 2: '#4ecdc4', 1: '#ff6b6b' },
+        toughColor: '#8e44ad',
+        ball: { color: '#ffffff', glowColor: '#4ecdc4' },
+        paddles: ['#4ecdc4', '#c39bd3'],
+        accent: '#4ecdc4',
+        lines: '100, 149, 237',
+        glow: 1,
+        font: 'Arial',
+        background: {
+            style: 'nebula',
+            hue: null,
+            saturation: 1,
+            lightness: [8, 15],
+            particles: ['#4ecdc4', '#ff6b6b', '#95e1d3', '#f38181', '#aa96da', '#fcbad3'],
+            waves: ['78, 205, 196', '255, 107, 107', '149, 225, 211']
+        },
+        page: {
+            background: 'linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%)',
+            container: 'linear-gradient(180deg, #0f0f23 0%, #1a1a3e 100%)',
+            option: '#1a1a2e',
+            accentDark: '#44a08d',
+            font: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif"
+        }
+    },
+    crt: {
+        name: 'Retro CRT',
+        bricks: {
+            NORMAL: '#39ff14',
+            STRONG: '#7dff7a',
+            SUPER: '#b6ff9e',
+            METAL: '#4f7a4f',
+            POWER: '#ffb000',
+            EXPLOSIVE: '#ff5f1f',
+            RAINBOW: '#d4ff00',
+            MOVING: '#00ffaa',
+            MIRROR: '#c8ffc8',
+            SUPER_POWERUP: '#ffd000'
+        },
+        hitColors: { 3: '#b6ff9e', 2: '#7dff7a', 1: '#39ff14' },
+        toughColor: '#ffb000',
+        ball: { color: '#e0ffe0', glowColor: '#39ff14' },
+        paddles: ['#39ff14', '#ffb000'],
+        accent: '#39ff14',
+        lines: '57, 255, 20',
+        glow: 1.3,
+        font: '"Courier New", monospace',
+        background: {
+            style: 'crt',
+            hue: 120,
+            saturation: 0.8,
+            lightness: [3, 8],
+            particles: ['#39ff14', '#7dff7a', '#ffb000'],
+            waves: ['57, 255, 20', '125, 255, 122', '255, 176, 0']
+        },
+        page: {
+            background: 'linear-gradient(135deg, #020802 0%, #061a06 50%, #0b2a0b 100%)',
+            container: 'linear-gradient(180deg, #010501 0%, #061206 100%)',
+            option: '#061206',
+            accentDark: '#1f9e0b',
+            font: "'Courier New', Courier, monospace"
+        }
+    },
+    pastel: {
+        name: 'Pastel',
+        bricks: {
+            NORMAL: '#ffadad',
+            STRONG: '#a0e7e5',
+            SUPER: '#9bb7ff',
+            METAL: '#b8b8c8',
+            POWER: '#ffd6a5',
+            EXPLOSIVE: '#ff9aa2',
+            RAINBOW: '#cdb4db',
+            MOVING: '#b5ead7',
+            MIRROR: '#f1f1f6',
+            SUPER_POWERUP: '#fdffb6'
+        },
+        hitColors: { 3: '#9bb7ff', 2: '#a0e7e5', 1: '#ffadad' },
+        toughColor: '#cdb4db',
+        ball: { color: '#ffffff', glowColor: '#ffc8dd' },
+        paddles: ['#a0e7e5', '#ffc8dd'],
+        accent: '#ffc8dd',
+        lines: '205, 180, 219',
+        glow: 0.6,
+        font: '"Trebuchet MS", Arial, sans-serif',
+        background: {
+            style: 'nebula',
+            hue: null,
+            saturation: 0.6,
+            lightness: [18, 26],
+            particles: ['#ffc8dd', '#bde0fe', '#a0e7e5', '#fdffb6', '#cdb4db'],
+            waves: ['255, 200, 221', '189, 224, 254', '160, 231, 229']
+        },
+        page: {
+            background: 'linear-gradient(135deg, #2b2440 0%, #3d3358 50%, #4a3f6b 100%)',
+            container: 'linear-gradient(180deg, #231d36 0%, #342b4d 100%)',
+            option: '#2b2440',
+            accentDark: '#c98bb0',
+            font: "'Trebuchet MS', Arial, sans-serif"
+        }
+    },
+    contrast: {
+        name: 'High Contrast',
+        bricks: {
+            NORMAL: '#ff3b3b',
+            STRONG: '#00e5ff',
+            SUPER: '#2979ff',
+            METAL: '#9e9e9e',
+            POWER: '#ffea00',
+            EXPLOSIVE: '#ff6d00',
+            RAINBOW: '#d500f9',
+            MOVING: '#00e676',
+            MIRROR: '#ffffff',
+            SUPER_POWERUP: '#ffd600'
+        },
+        hitColors: { 3: '#2979ff', 2: '#00e5ff', 1: '#ff3b3b' },
+        toughColor: '#d500f9',
+        ball: { color: '#ffffff', glowColor: '#ffffff' },
+        paddles: ['#ffea00', '#00e5ff'],
+        accent: '#ffea00',
+        lines: '255, 255, 255',
+        glow: 0,
+        font: 'Arial',
+        background: {
+            style: 'flat',
+            color: '#000000'
+        },
+        page: {
+            background: '#000000',
+            container: '#000000',
+            option: '#000000',
+            accentDark: '#c7b600',
+            font: 'Arial, Helvetica, sans-serif'
+        }
+    }
+};
+
+/**
+ * Theme - The theme in use (Theme.current) and helpers for drawing with it
+ *
+ * Game switches Theme.current and then has bricks, balls, paddles and the
+ * renderer pick up the new colours; everything else reads it as it draws.
+ */
+class Theme {
+    /**
+     * A theme by name (unknown names fall back to neon)
+     */
+    static get(name) {
+        return Themes[name] || Themes.neon;
+    }
+
+    /**
+     * The current theme's colour for a BrickTypes entry
+     */
+    static brickColor(type) {
+        const key = Object.keys(BrickTypes).find(name => BrickTypes[name] === type);
+        return Theme.current.bricks[key];
+    }
+
+    /**
+     * '#4ecdc4' -> '78, 205, 196'
+     */
+    static toRgb(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+    }
+
+    static withAlpha(hex, alpha) {
+        return `rgba(${Theme.toRgb(hex)}, ${alpha})`;
+    }
+
+    /**
+     * Canvas font in the current theme's family, e.g. font(12, 'bold')
+     */
+    static font(size, weight = '') {
+        return `${weight ? weight + ' ' : ''}${size}px ${Theme.current.font}`;
+    }
+
+    /**
+     * A shadow blur scaled by the current theme's glow
+     */
+    static glow(blur) {
+        return blur * Theme.current.glow;
+    }
+}
+
+Theme.current = Themes.neon;
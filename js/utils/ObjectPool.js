@@ -111,10 +111,15 @@ class Particle {
 
 /**
  * ParticleSystem - Manages particle pools and effects
+ *
+ * ParticleSystem.density (0-1, from the particle density setting) scales
+ * every system's particle cap and the particles each effect emits.
  */
 class ParticleSystem {
     constructor(maxParticles = 200) {
+        this.maxParticles = maxParticles;
         this.pool = new ObjectPool(() => new Particle(), maxParticles);
+        this.random = GameRandom.cosmetic; // Visual only
     }
 
     emit(x, y, count, options = {}) {
@@ -131,14 +136,16 @@ class ParticleSystem {
             direction = -Math.PI / 2
         } = options;
 
-        for (let i = 0; i < count; i++) {
-            if (this.pool.getActiveCount() >= 200) break;
+        const limit = Math.round(this.maxParticles * ParticleSystem.density);
+        const scaledCount = Math.round(count * ParticleSystem.density);
+        for (let i = 0; i < scaledCount; i++) {
+            if (this.pool.getActiveCount() >= limit) break;
             
             const particle = this.pool.acquire();
-            const angle = direction + (Math.random() - 0.5) * spread;
-            const speed = minSpeed + Math.random() * (maxSpeed - minSpeed);
-            const life = minLife + Math.random() * (maxLife - minLife);
-            const size = minSize + Math.random() * (maxSize - minSize);
+            const angle = direction + (this.random.next() - 0.5) * spread;
+            const speed = this.random.range(minSpeed, maxSpeed);
+            const life = this.random.range(minLife, maxLife);
+            const size = this.random.range(minSize, maxSize);
             
             particle.init(
                 x, y,
@@ -169,3 +176,5 @@ class ParticleSystem {
         this.pool.releaseAll();
     }
 }
+
+ParticleSystem.density = 1;
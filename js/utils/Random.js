@@ -0,0 +1,139 @@
+﻿/**
+ * SeededRandom - Small, fast seedable PRNG (mulberry32)
+ *
+ * The same seed always produces the same sequence, so any run that draws all
+ * of its gameplay randomness from a seeded stream can be reproduced.
+ */
+class SeededRandom {
+    constructor(seed = 0) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.state = seed >>> 0;
+        return this;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * True with probability p
+     */
+    chance(p) {
+        return this.next() < p;
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    /**
+     * Hash a string to a 32-bit seed (FNV-1a)
+     */
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+/**
+ * RandomService - Owns the run seed and the random streams drawn from it
+ *
+ * - gameplay: everything that affects the simulation (levels, power-ups,
+ *   launch angles, teleports). Seeded from the run seed.
+ * - cosmetic: particles, stars, shakes and other visuals. Never seeded from
+ *   the run seed, so drawing effects cannot change gameplay.
+ */
+class RandomService {
+    constructor() {
+        this.seed = 0;
+        this.gameplay = new SeededRandom();
+        this.cosmetic = new SeededRandom(this.createSeed());
+        this.setSeed(this.createSeed());
+    }
+
+    /**
+     * Create a fresh, unpredictable seed for a new run
+     */
+    createSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Start the gameplay stream from a seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.gameplay.setSeed(this.seed);
+    }
+
+    /**
+     * Get an independent stream derived from the run seed and a label, e.g.
+     * one per level so layouts don't depend on what happened earlier
+     */
+    derive(label) {
+        return new SeededRandom(SeededRandom.hashString(`${this.seed}:${label}`));
+    }
+
+    /**
+     * Format a seed for display/sharing (8 hex digits)
+     */
+    formatSeed(seed = this.seed) {
+        return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+    }
+
+    /**
+     * Parse a shared seed: hex as shown by formatSeed, or any other text
+     */
+    parseSeed(text) {
+        text = String(text).trim();
+        if (/^[0-9a-f]{1,8}$/i.test(text)) {
+            return parseInt(text, 16) >>> 0;
+        }
+        return SeededRandom.hashString(text);
+    }
+}
+
+// Shared random service used by all game systems
+const GameRandom = new RandomService();
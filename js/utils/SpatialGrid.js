@@ -0,0 +1,140 @@
+﻿/**
+ * SpatialGrid - Uniform grid index for rectangles (bricks)
+ *
+ * Each item is stored in every cell its bounding box overlaps, so a query
+ * only has to look at the few cells around the area of interest instead of
+ * every item. Items must be re-indexed with update() when they move.
+ */
+class SpatialGrid {
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+        this.cells = new Map();   // cell key -> array of entries
+        this.entries = new Map(); // item -> { item, keys, stamp }
+        this.queryStamp = 0;
+    }
+
+    /**
+     * Remove everything from the grid
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+
+    /**
+     * Index items that expose x, y, width and height
+     */
+    build(items) {
+        this.clear();
+        for (const item of items) {
+            this.insert(item);
+        }
+    }
+
+    insert(item) {
+        if (this.entries.has(item)) {
+            this.update(item);
+            return;
+        }
+
+        const entry = { item: item, keys: this.getCellKeys(item.x, item.y, item.width, item.height), stamp: 0 };
+        for (const key of entry.keys) {
+            let cell = this.cells.get(key);
+            if (!cell) {
+                cell = [];
+                this.cells.set(key, cell);
+            }
+            cell.push(entry);
+        }
+        this.entries.set(item, entry);
+    }
+
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+
+        for (const key of entry.keys) {
+            const cell = this.cells.get(key);
+            const index = cell.indexOf(entry);
+            if (index !== -1) cell.splice(index, 1);
+            if (cell.length === 0) this.cells.delete(key);
+        }
+        this.entries.delete(item);
+    }
+
+    /**
+     * Re-index an item after it moved (cheap when it stays in the same cells)
+     */
+    update(item) {
+        const entry = this.entries.get(item);
+        if (!entry) {
+            this.insert(item);
+            return;
+        }
+
+        const keys = this.getCellKeys(item.x, item.y, item.width, item.height);
+        if (keys.length === entry.keys.length && keys.every((key, i) => key === entry.keys[i])) {
+            return;
+        }
+
+        this.remove(item);
+        this.insert(item);
+    }
+
+    has(item) {
+        return this.entries.has(item);
+    }
+
+    /**
+     * Get every item whose cells overlap a rectangle (each item once).
+     * Results are candidates - callers still do the exact test.
+     */
+    query(x, y, width, height) {
+        const stamp = ++this.queryStamp;
+        const results = [];
+
+        const minCol = Math.floor(x / this.cellSize);
+        const maxCol = Math.floor((x + width) / this.cellSize);
+        const minRow = Math.floor(y / this.cellSize);
+        const maxRow = Math.floor((y + height) / this.cellSize);
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                const cell = this.cells.get(this.getKey(col, row));
+                if (!cell) continue;
+
+                for (const entry of cell) {
+                    if (entry.stamp !== stamp) {
+                        entry.stamp = stamp;
+                        results.push(entry.item);
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    getCellKeys(x, y, width, height) {
+        const keys = [];
+        const minCol = Math.floor(x / this.cellSize);
+        const maxCol = Math.floor((x + width) / this.cellSize);
+        const minRow = Math.floor(y / this.cellSize);
+        const maxRow = Math.floor((y + height) / this.cellSize);
+
+        for (let row = minRow; row <= maxRow; row++) {
+            for (let col = minCol; col <= maxCol; col++) {
+                keys.push(this.getKey(col, row));
+            }
+        }
+        return keys;
+    }
+
+    /**
+     * Pack a cell column/row into a single number (rows and columns may be
+     * negative for items that stray off the playfield)
+     */
+    getKey(col, row) {
+        return (row + 32768) * 65536 + (col + 32768);
+    }
+}
@@ -0,0 +1,79 @@
+﻿/**
+ * Key binding check - Rebinds every slot to every key and makes sure no
+ * key ends up on two actions that may not share it
+ *
+ *   node tools/check-bindings.js
+ *
+ * Exits with status 1 (listing the failures) if any rebind leaves a clash.
+ */
+'use strict';
+
+const { MemoryStorage, loadGame } = require('./headless');
+
+const { InputManager, InputActions, DefaultKeyBindings } = loadGame();
+
+/**
+ * Just the binding state of an InputManager (its constructor wires DOM listeners)
+ */
+function createInput() {
+    const input = Object.create(InputManager.prototype);
+    input.storage = new MemoryStorage();
+    input.storageKey = 'bindings';
+    input.bindings = InputManager.copyBindings(DefaultKeyBindings);
+    return input;
+}
+
+/**
+ * Pairs of actions sharing a key they may not share, e.g. "MOVE_LEFT/SHOOT on Space"
+ */
+function findClashes(bindings) {
+    const clashes = [];
+    InputActions.forEach((action, i) => {
+        for (const other of InputActions.slice(i)) {
+            if (InputManager.canShare(action.id, other.id)) continue;
+            bindings[action.id].forEach((code, slot) => {
+                bindings[other.id].forEach((otherCode, otherSlot) => {
+                    if (code === null || code !== otherCode) return;
+                    if (action.id === other.id && slot >= otherSlot) return;
+                    clashes.push(`${action.id}/${other.id} on ${code}`);
+                });
+            });
+        }
+    });
+    return clashes;
+}
+
+const failures = [];
+const check = (label, input) => {
+    const clashes = findClashes(input.bindings);
+    if (clashes.length > 0) failures.push(`${label}: ${clashes.join(', ')}`);
+};
+
+// Launch's Space onto A: Space cannot go back to move left while shoot holds it
+const input = createInput();
+const moved = input.bindKey('LAUNCH', 0, 'KeyA');
+check('LAUNCH 0 -> KeyA', input);
+if (input.bindings.MOVE_LEFT[1] !== null) {
+    failures.push(`LAUNCH 0 -> KeyA: MOVE_LEFT kept ${input.bindings.MOVE_LEFT[1]} instead of an empty slot`);
+}
+if (moved.length !== 1 || moved[0].action !== 'MOVE_LEFT' || moved[0].slot !== 1 || moved[0].code !== null) {
+    failures.push(`LAUNCH 0 -> KeyA: reported ${JSON.stringify(moved)}`);
+}
+
+// Every slot onto every default key (and a new one), from the defaults
+const codes = [...new Set(Object.values(createInput().bindings).flat())].concat('KeyZ');
+for (const action of InputActions) {
+    for (const slot of [0, 1]) {
+        for (const code of codes) {
+            const fresh = createInput();
+            fresh.bindKey(action.id, slot, code);
+            check(`${action.id} ${slot} -> ${code}`, fresh);
+        }
+    }
+}
+
+if (failures.length > 0) {
+    console.log(failures.join('\n'));
+    process.exit(1);
+}
+console.log('Key bindings OK');
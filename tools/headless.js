@@ -0,0 +1,290 @@
+﻿/**
+ * Headless harness - Runs the game under Node without a browser
+ *
+ * Loads the same scripts as index.html (in the same order) into a sandbox
+ * and builds a Game with stand-ins for the canvas, audio, storage and input,
+ * so tests and bots can drive it by calling update(dt).
+ *
+ * As a library:
+ *   const { createHeadlessGame } = require('./tools/headless');
+ *   const { game, input, step } = createHeadlessGame({ seed: 42 });
+ *   game.startGame();
+ *   input.right = true;
+ *   step(60); // one second of fixed 1/60s steps
+ *
+ * From the command line, plays a simple ball-following bot:
+ *   node tools/headless.js [--seed 1A2B3C4D] [--seconds 300] [--width 600] [--height 800]
+ *                          [--levels levels/example.json] [--mode endless|timeAttack|daily|versus|coop] [--benchmark]
+ *
+ * --benchmark adds collision checks per frame (step) to the summary, next to
+ * what testing every brick without the spatial grid would have cost.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Globals the sandbox exposes to callers (script-level consts and classes)
+const EXPORTED_NAMES = [
+    'Game', 'GameStates', 'GameModes', 'GameRandom', 'SeededRandom', 'RandomService',
+    'Vector2', 'ObjectPool', 'ParticleSystem', 'SpatialGrid', 'Theme', 'Themes',
+    'Ball', 'Paddle', 'Brick', 'BrickTypes', 'Boss', 'BossTypes',
+    'LevelManager', 'LevelLoader', 'ReplayManager', 'PowerUpManager', 'PowerUpTypes', 'ScoreManager',
+    'CampaignManager', 'SaveManager', 'TimeAttackManager', 'DailyChallengeManager', 'VersusMatch', 'CoopStats', 'GamepadManager', 'SoundPackLoader', 'InputManager', 'InputActions', 'DefaultKeyBindings', 'HighScoreManager', 'Physics', 'VirtualInput', 'AudioManager', 'Renderer'
+];
+
+/**
+ * In-memory localStorage stand-in
+ */
+class MemoryStorage {
+    constructor(initial = {}) {
+        this.items = Object.assign({}, initial);
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.items[key];
+    }
+
+    clear() {
+        this.items = {};
+    }
+}
+
+/**
+ * Canvas stand-in: a size and no 2D context (headless games never render)
+ */
+function createHeadlessCanvas(width = 600, height = 800) {
+    return {
+        width: width,
+        height: height,
+        getContext: () => null
+    };
+}
+
+/**
+ * Read the script list from index.html so the load order has one source of truth
+ */
+function getScriptPaths() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(m => m[1]);
+}
+
+/**
+ * Load all game scripts into a fresh sandbox and return its globals
+ */
+function loadGame() {
+    // No document: anything that still touches the DOM headless fails loudly
+    const sandbox = {
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        window: { addEventListener() {} }
+    };
+    vm.createContext(sandbox);
+
+    for (const script of getScriptPaths()) {
+        const code = fs.readFileSync(path.join(ROOT, script), 'utf8').replace(/^\uFEFF/, '');
+        vm.runInContext(code, sandbox, { filename: script });
+    }
+
+    const globals = vm.runInContext(`({ ${EXPORTED_NAMES.join(', ')} })`, sandbox);
+    globals.sandbox = sandbox;
+    return globals;
+}
+
+/**
+ * Build a headless Game. Every option is optional:
+ *   seed     - fixed run seed (number or hex string as in ?seed=)
+ *   width    - playfield width (default 600)
+ *   height   - playfield height (default 800)
+ *   storage  - localStorage stand-in (default: fresh MemoryStorage)
+ *   audio    - AudioManager stand-in (default: a silent, uninitialized AudioManager)
+ *   input    - input stand-in (default: VirtualInput)
+ *   levelPack - level pack JSON text to use instead of the built-in levels
+ *   benchmark - count collision checks per step (game.getBenchmarkReport())
+ *
+ * Returns { game, input, step, globals }. step(n) runs n fixed steps the way
+ * the browser game loop does and returns the number of steps run.
+ */
+function createHeadlessGame(options = {}) {
+    const globals = loadGame();
+    const input = options.input || new globals.VirtualInput();
+
+    const game = new globals.Game({
+        headless: true,
+        canvas: createHeadlessCanvas(options.width, options.height),
+        audio: options.audio || new globals.AudioManager(),
+        storage: options.storage || new MemoryStorage(),
+        input: input,
+        benchmark: options.benchmark || false
+    });
+
+    if (options.seed !== undefined) {
+        game.requestedSeed = typeof options.seed === 'string'
+            ? globals.GameRandom.parseSeed(options.seed)
+            : options.seed;
+    }
+
+    if (options.levelPack) {
+        const { pack, errors } = game.levelLoader.parse(options.levelPack);
+        if (!pack) {
+            throw new Error('Invalid level pack:\n' + errors.map(e => e.message).join('\n'));
+        }
+        game.customLevelPack = pack;
+        game.levelManager.setLevelPack(pack);
+    }
+
+    const step = (count = 1) => {
+        for (let i = 0; i < count; i++) {
+            game.update(game.fixedTimeStep);
+            game.input.clearFrameStates();
+        }
+        return count;
+    };
+
+    return { game, input, step, globals };
+}
+
+/**
+ * Set one player's input to keep their paddle under the lowest ball
+ * (playfield is the game, or a versus field)
+ */
+function steer(input, playfield, steps) {
+    const launched = playfield.balls.filter(b => b.launched);
+    const target = launched.sort((a, b) => b.position.y - a.position.y)[0] || playfield.balls[0];
+
+    input.left = false;
+    input.right = false;
+    if (target) {
+        const dx = target.position.x - playfield.paddle.position.x;
+        input.left = dx < -6;
+        input.right = dx > 6;
+    }
+    input.launch = steps % 120 === 0;
+    input.shoot = playfield.paddle.hasLaser;
+}
+
+/**
+ * Simple bot: keep the paddle under the lowest ball and relaunch when stuck
+ * (both players in versus and co-op). Takes the object returned by
+ * createHeadlessGame.
+ */
+function runBot({ game, input, step, globals }, maxSteps) {
+    const { GameStates } = globals;
+    let steps = 0;
+
+    while (steps < maxSteps) {
+        if (game.state === GameStates.LEVEL_COMPLETE) game.nextLevel();
+        if (game.state !== GameStates.PLAYING) break;
+
+        if (game.versus) {
+            for (const field of game.versus.fields) {
+                steer(input.getPlayerInput(field.index), field, steps);
+            }
+        } else if (game.coop) {
+            game.paddles.forEach((paddle, player) => {
+                steer(input.getPlayerInput(player), { balls: game.balls, paddle: paddle }, steps);
+            });
+        } else {
+            steer(input, game, steps);
+        }
+
+        steps += step();
+    }
+    return steps;
+}
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        // Flags without a value (--benchmark) are just switched on
+        if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            args[name] = argv[++i];
+        } else {
+            args[name] = true;
+        }
+    }
+    return args;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    const headless = createHeadlessGame({
+        seed: args.seed,
+        width: args.width ? Number(args.width) : undefined,
+        height: args.height ? Number(args.height) : undefined,
+        levelPack: args.levels ? fs.readFileSync(args.levels, 'utf8') : undefined,
+        benchmark: Boolean(args.benchmark)
+    });
+
+    const { game, globals } = headless;
+    game.startGame(null, args.mode || globals.GameModes.CLASSIC);
+    const steps = runBot(headless, Number(args.seconds || 300) * 60);
+
+    const summary = {
+        seed: globals.GameRandom.formatSeed(game.seed),
+        steps: steps,
+        seconds: Math.round(steps / 60),
+        state: game.state,
+        mode: game.mode,
+        level: game.level,
+        lives: game.lives,
+        score: game.scoreManager.score
+    };
+
+    if (game.mode === globals.GameModes.ENDLESS) {
+        summary.rows = game.levelManager.endless.rowsPushed;
+    }
+
+    if (game.mode === globals.GameModes.TIME_ATTACK) {
+        summary.splits = game.timeAttack.run.splits.map(split => Number(split.toFixed(2)));
+        summary.penalty = game.timeAttack.run.penalty;
+    }
+
+    if (game.mode === globals.GameModes.DAILY) {
+        summary.date = game.dailyRun.challenge.date;
+        summary.completed = game.dailyRun.completed;
+    }
+
+    if (game.coop) {
+        summary.players = game.coop.getSaveData();
+    }
+
+    if (game.versus) {
+        summary.result = game.versus.finished ? game.versus.getResultText() : null;
+        summary.scores = game.versus.fields.map(field => field.scoreManager.score);
+        summary.levelsCleared = game.versus.fields.map(field => field.levelsCleared);
+        summary.fieldLives = game.versus.fields.map(field => field.lives);
+    }
+
+    if (game.benchmark) {
+        const report = game.getBenchmarkReport();
+        summary.checksPerFrame = {
+            avg: Number(report.avgChecks.toFixed(2)),
+            max: report.maxChecks,
+            bruteForceAvg: Number(report.avgBruteForce.toFixed(2))
+        };
+    }
+
+    console.log(JSON.stringify(summary));
+}
+
+module.exports = {
+    MemoryStorage,
+    createHeadlessCanvas,
+    createHeadlessGame,
+    loadGame,
+    runBot
+};